@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for callback URL validation
+ * Tests validateCallbackUrl (protocol, host allowlist, internal addresses)
+ * and the delivery-time check of resolved addresses
+ * (no network needed: only localhost and IP literals are resolved)
+ */
+
+require('dotenv').config();
+
+// Start from the defaults: https only, no host allowlist
+delete process.env.WEBHOOK_ALLOW_HTTP;
+delete process.env.WEBHOOK_ALLOWED_HOSTS;
+
+const TARGET_UTIL = require.resolve('../src/utils/webhook-target.util');
+const VALIDATION_UTIL = require.resolve('../src/utils/request-validation.util');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Loads validateCallbackUrl with the given environment, since the target
+ * rules are read when the module loads.
+ *
+ * @param {object} env - WEBHOOK_* variables to set
+ * @returns {function(*): Array<object>} validateCallbackUrl
+ */
+function loadValidator(env = {}) {
+  Object.assign(process.env, env);
+  delete require.cache[TARGET_UTIL];
+  delete require.cache[VALIDATION_UTIL];
+  const { validateCallbackUrl } = require('../src/utils/request-validation.util');
+  Object.keys(env).forEach((name) => delete process.env[name]);
+  return validateCallbackUrl;
+}
+
+function expectValid(validate, url) {
+  const violations = validate(url);
+  assert(violations.length === 0, `Expected ${url} to be accepted, got: ${JSON.stringify(violations)}`);
+}
+
+function expectRejected(validate, url, messagePart) {
+  const violations = validate(url);
+  assert(
+    violations.length === 1 && violations[0].field === 'callbackUrl' && violations[0].message.includes(messagePart),
+    `Expected ${JSON.stringify(url)} to be rejected with "${messagePart}", got: ${JSON.stringify(violations)}`
+  );
+}
+
+async function testCallbackUrlValidation() {
+  console.log('========================================');
+  console.log('Callback URL Validation Test');
+  console.log('========================================\n');
+
+  try {
+    // Step 1: Default rules
+    console.log('Step 1: Testing default rules...');
+    let validate = loadValidator();
+    assert(validate(undefined).length === 0, 'An absent callback URL should be accepted');
+    expectValid(validate, 'https://hooks.example.com/tableau');
+    expectRejected(validate, 'http://hooks.example.com/tableau', 'must use https');
+    expectRejected(validate, 'ftp://hooks.example.com/tableau', 'must use https');
+    expectRejected(validate, 'not a url', 'absolute URL');
+    expectRejected(validate, 42, 'absolute URL');
+    expectRejected(validate, `https://hooks.example.com/${'a'.repeat(2048)}`, 'absolute URL');
+    console.log('✓ Only absolute https URLs accepted\n');
+
+    // Step 2: Internal addresses
+    console.log('Step 2: Testing internal address literals...');
+    [
+      'https://127.0.0.1/hook',
+      'https://10.1.2.3/hook',
+      'https://172.16.0.1/hook',
+      'https://192.168.1.1/hook',
+      'https://169.254.169.254/latest/meta-data',
+      'https://0.0.0.0/hook',
+      'https://[::1]/hook',
+      'https://[fd00::1]/hook',
+      'https://[fe80::1]/hook',
+      'https://[::ffff:127.0.0.1]/hook',
+    ].forEach((url) => expectRejected(validate, url, 'loopback, link-local or private'));
+    expectValid(validate, 'https://93.184.216.34/hook');
+    console.log('✓ Loopback, link-local and private addresses rejected\n');
+
+    // Step 3: Host allowlist and http opt-in
+    console.log('Step 3: Testing WEBHOOK_ALLOWED_HOSTS and WEBHOOK_ALLOW_HTTP...');
+    validate = loadValidator({
+      WEBHOOK_ALLOWED_HOSTS: 'hooks.example.com, *.partner.example',
+      WEBHOOK_ALLOW_HTTP: 'true',
+    });
+    expectValid(validate, 'https://hooks.example.com/tableau');
+    expectValid(validate, 'http://hooks.example.com/tableau');
+    expectValid(validate, 'https://eu.partner.example/tableau');
+    expectRejected(validate, 'https://partner.example/tableau', 'host is not allowed');
+    expectRejected(validate, 'https://evilpartner.example/tableau', 'host is not allowed');
+    expectRejected(validate, 'https://attacker.example/tableau', 'host is not allowed');
+    console.log('✓ Only allowlisted hosts accepted, http opt-in honoured\n');
+
+    // Step 4: Delivery-time resolution
+    console.log('Step 4: Testing delivery-time address checks...');
+    delete require.cache[TARGET_UTIL];
+    const { resolveCallbackAddress } = require('../src/utils/webhook-target.util');
+    const webhookService = require('../src/services/webhook.service');
+
+    const publicTarget = await resolveCallbackAddress('93.184.216.34');
+    assert(publicTarget.address === '93.184.216.34', 'A public address should resolve to itself');
+
+    let rejection = null;
+    try {
+      await webhookService.resolveTarget('https://localhost/hook');
+    } catch (error) {
+      rejection = error;
+    }
+    assert(
+      rejection && rejection.code === 'WEBHOOK_REJECTED' && rejection.retryable === false,
+      `A host resolving to loopback should be rejected permanently, got: ${rejection?.message}`
+    );
+    console.log('✓ Host resolving to loopback rejected at delivery');
+    console.log(`  - Reason: ${rejection.message}\n`);
+
+    console.log('========================================');
+    console.log('✓ All Callback URL Validation tests passed!');
+    console.log('========================================');
+
+    return { success: true };
+  } catch (error) {
+    console.error('\n========================================');
+    console.error('✗ Test failed!');
+    console.error('========================================');
+    console.error('Error:', error.message);
+    if (error.stack) {
+      console.error('\nStack trace:');
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  testCallbackUrlValidation();
+}
+
+module.exports = testCallbackUrlValidation;
@@ -101,6 +101,48 @@ async function testDataTransformerService() {
     console.log(`  - Transformed Views: ${transformedKeys.length}`);
     console.log(`  - View Keys: ${transformedKeys.join(', ')}\n`);
 
+    // Step 5: Test Image Transformation
+    console.log('Step 5: Testing Image Transformation (PNG path)...');
+    // PNG signature followed by the IHDR chunk: length, type, width, height
+    const pngHeader = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(pngHeader, 0);
+    pngHeader.writeUInt32BE(13, 8);
+    pngHeader.write('IHDR', 12, 'ascii');
+    pngHeader.writeUInt32BE(1600, 16);
+    pngHeader.writeUInt32BE(900, 20);
+    const mockPng = pngHeader.toString('base64');
+    const imageContext = { useCase, viewKey: 'CAMPAIGN_MAP', viewName: 'Map-ImpressionsByState' };
+
+    const transformedImage = dataTransformerService._transformImage(mockPng, imageContext);
+    assert(
+      transformedImage && transformedImage.width === 1600 && transformedImage.height === 900,
+      'Image should report the width and height from the PNG header'
+    );
+    assert(
+      transformedImage.data === `image/png;base64,${mockPng}`,
+      'Image data should be the base64 PNG with its media type'
+    );
+    assert(
+      dataTransformerService._transformImage(Buffer.from('not a png').toString('base64'), imageContext) === null,
+      'Non-PNG data should be skipped'
+    );
+    assert(
+      dataTransformerService._transformImage(pngHeader.subarray(0, 16).toString('base64'), imageContext) === null,
+      'PNG data without a complete IHDR chunk should be skipped'
+    );
+    const emptyPng = Buffer.from(pngHeader);
+    emptyPng.writeUInt32BE(0, 16);
+    assert(
+      dataTransformerService._transformImage(emptyPng.toString('base64'), imageContext) === null,
+      'PNG data with a zero width should be skipped'
+    );
+    assert(
+      dataTransformerService._transformImage(null, imageContext) === null,
+      'Missing image data should be skipped'
+    );
+    console.log('✓ Image data transformed');
+    console.log(`  - Size: ${transformedImage.width}x${transformedImage.height}\n`);
+
     console.log('========================================');
     console.log('✓ All Data Transformer Service tests passed!');
     console.log('========================================');
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for date filters
+ * Tests relative date token resolution, list and range date filters, and
+ * their request validation. The shipped use cases declare no date filter, so
+ * the script registers a test use case with one of each for the duration of
+ * the run (no Tableau or Redis needed)
+ */
+
+require('dotenv').config();
+const tableauViews = require('../src/config/tableau-views.json');
+const usecaseMapping = require('../src/config/usecase-mapping.json');
+const {
+  resolveDateFilterValue,
+  resolveDateFilterRange,
+} = require('../src/utils/date-filter.util');
+const { resolveFilterValues, buildFilterParams } = require('../src/utils/view-config.util');
+const { validateExportRequest } = require('../src/utils/request-validation.util');
+
+const TEST_USE_CASE = 'DATE_FILTER_TEST';
+
+// Wednesday 2024-03-13, 10:00 UTC
+const NOW = new Date('2024-03-13T10:00:00Z');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Registers a use case with a list date filter and a range date filter.
+ */
+function registerTestUseCase() {
+  usecaseMapping[TEST_USE_CASE] = usecaseMapping.POLITICAL_SNAPSHOT;
+  tableauViews[TEST_USE_CASE] = {
+    FILTERS: {
+      DAY: { param: 'vf_Day', type: 'date' },
+      PERIOD: { startParam: 'Start Date', endParam: 'End Date', type: 'date', format: 'MM/dd/yyyy' },
+    },
+    VIEWS: {
+      DAILY: { name: 'Daily', filters: ['DAY'] },
+      PERIOD: { name: 'Period', filters: ['PERIOD'] },
+    },
+  };
+}
+
+function unregisterTestUseCase() {
+  delete usecaseMapping[TEST_USE_CASE];
+  delete tableauViews[TEST_USE_CASE];
+}
+
+async function testDateFilters() {
+  console.log('========================================');
+  console.log('Date Filters Test');
+  console.log('========================================\n');
+
+  try {
+    registerTestUseCase();
+    const options = { now: NOW, timezone: 'UTC' };
+
+    // Step 1: Tokens resolved to lists of dates
+    console.log('Step 1: Testing list resolution...');
+    assert(resolveDateFilterValue('today', options).join() === '2024-03-13', 'today');
+    assert(resolveDateFilterValue('yesterday', options).join() === '2024-03-12', 'yesterday');
+    assert(
+      resolveDateFilterValue('week_to_date', options).join() === '2024-03-11,2024-03-12,2024-03-13',
+      'week_to_date should start on Monday'
+    );
+    assert(resolveDateFilterValue('last_month', options).length === 29, 'last_month should cover February 2024');
+    assert(
+      resolveDateFilterValue(['2024-03-01', 'today', '2024-03-01'], options).join() === '2024-03-01,2024-03-13',
+      'Literal dates and tokens should be merged without duplicates'
+    );
+    let rejected = false;
+    try {
+      resolveDateFilterValue('last_quarter', options);
+    } catch (error) {
+      rejected = true;
+    }
+    assert(rejected, 'Tokens covering more than 31 days should not be listed');
+    console.log('✓ Tokens resolved to dates\n');
+
+    // Step 2: Tokens resolved to range bounds
+    console.log('Step 2: Testing range resolution...');
+    let range = resolveDateFilterRange('last_quarter', options);
+    assert(range.start === '2023-10-01' && range.end === '2023-12-31', `last_quarter: ${JSON.stringify(range)}`);
+    range = resolveDateFilterRange('year_to_date', options);
+    assert(range.start === '2024-01-01' && range.end === '2024-03-13', `year_to_date: ${JSON.stringify(range)}`);
+    range = resolveDateFilterRange('today', { now: NOW, timezone: 'Pacific/Auckland' });
+    assert(range.start === '2024-03-13' && range.end === '2024-03-13', 'today in Auckland');
+    range = resolveDateFilterRange('today', { now: new Date('2024-03-13T12:00:00Z'), timezone: 'Pacific/Auckland' });
+    assert(range.start === '2024-03-14', 'today should follow the time zone');
+    console.log('✓ Tokens resolved to bounds\n');
+
+    // Step 3: Filter values to Tableau params
+    console.log('Step 3: Testing Tableau filter params...');
+    const resolved = resolveFilterValues(TEST_USE_CASE, { DAY: 'last_7_days', PERIOD: 'last_quarter' }, options);
+    const dailyParams = buildFilterParams(TEST_USE_CASE, 'DAILY', resolved);
+    const periodParams = buildFilterParams(TEST_USE_CASE, 'PERIOD', resolved);
+    assert(
+      dailyParams.vf_Day === '2024-03-07,2024-03-08,2024-03-09,2024-03-10,2024-03-11,2024-03-12,2024-03-13',
+      `List filter params: ${JSON.stringify(dailyParams)}`
+    );
+    assert(
+      periodParams['Start Date'] === '10/01/2023' && periodParams['End Date'] === '12/31/2023',
+      `Range filter params: ${JSON.stringify(periodParams)}`
+    );
+    assert(!('vf_Day' in periodParams), 'Views should only get their own filters');
+    console.log('✓ List sent as dates, range sent as formatted bounds');
+    console.log(`  - Range: ${periodParams['Start Date']} to ${periodParams['End Date']}\n`);
+
+    // Step 4: Request validation
+    console.log('Step 4: Testing request validation...');
+    const validate = (filters) => validateExportRequest({ useCase: TEST_USE_CASE, filters }, { requireEmail: false });
+    assert(validate({ DAY: ['2024-03-01', 'last_week'], PERIOD: 'last_year' }).length === 0, 'Valid date filters');
+    const violations = validate({ DAY: 'last_quarter', PERIOD: ['today', 'yesterday'] });
+    assert(
+      violations.length === 2 &&
+        violations.some((v) => v.field === 'filters.DAY') &&
+        violations.some((v) => v.field === 'filters.PERIOD'),
+      `Expected DAY and PERIOD violations, got: ${JSON.stringify(violations)}`
+    );
+    assert(validate({ DAY: 'next_week' }).length === 1, 'Unknown tokens should be rejected');
+    console.log('✓ Long list ranges, multiple range values and unknown tokens rejected\n');
+
+    console.log('========================================');
+    console.log('✓ All Date Filter tests passed!');
+    console.log('========================================');
+
+    return { success: true };
+  } catch (error) {
+    console.error('\n========================================');
+    console.error('✗ Test failed!');
+    console.error('========================================');
+    console.error('Error:', error.message);
+    if (error.stack) {
+      console.error('\nStack trace:');
+      console.error(error.stack);
+    }
+    process.exit(1);
+  } finally {
+    unregisterTestUseCase();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  testDateFilters();
+}
+
+module.exports = testDateFilters;
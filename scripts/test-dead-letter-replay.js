@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for dead-letter replay
+ * Tests that an entry is replayed exactly once when replays race, and that
+ * the replayed job carries the original payload and a `replayOf` reference
+ *
+ * Requires Redis (REDIS_HOST / REDIS_PORT). The entry uses an unknown use
+ * case so a running worker that picks up the replay fails it without calling
+ * Tableau or sending email; the replayed job is removed at the end.
+ */
+
+require('dotenv').config();
+const { Queue } = require('bullmq');
+const workerService = require('../src/services/worker.service');
+
+const DEAD_LETTER_QUEUE_NAME = 'tableau-ppt-export-dead-letter';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function testDeadLetterReplay() {
+  console.log('========================================');
+  console.log('Dead-Letter Replay Test');
+  console.log('========================================\n');
+
+  const deadLetterQueue = new Queue(DEAD_LETTER_QUEUE_NAME, {
+    connection: {
+      host: process.env.REDIS_HOST || 'localhost',
+      port: parseInt(process.env.REDIS_PORT, 10) || 6379,
+    },
+  });
+  let entry = null;
+  let replayedJobId = null;
+
+  try {
+    // Step 1: Create a dead-letter entry
+    console.log('Step 1: Creating a dead-letter entry...');
+    entry = await deadLetterQueue.add('dead-letter', {
+      originalJobId: `replay-test-${Date.now()}`,
+      queueName: 'tableau-ppt-export',
+      jobName: workerService.EXPORT_JOB_NAME,
+      data: {
+        useCase: 'DEAD_LETTER_REPLAY_TEST',
+        email: 'dead-letter-test@example.com',
+        filters: { CHANNEL: 'CTV' },
+        skipEmail: true,
+      },
+      priority: 'low',
+      errorCode: 'TABLEAU_REQUEST_FAILED',
+      failedReason: 'Simulated failure',
+      stacktrace: [],
+      attemptsMade: 3,
+      maxAttempts: 3,
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      failedAt: new Date().toISOString(),
+    });
+    console.log('✓ Entry created');
+    console.log(`  - Dead-letter ID: ${entry.id}\n`);
+
+    // Step 2: Concurrent replays
+    console.log('Step 2: Testing concurrent replays...');
+    const results = await Promise.all([
+      workerService.replayDeadLetter(entry.id),
+      workerService.replayDeadLetter(entry.id),
+      workerService.replayDeadLetter(entry.id),
+    ]);
+    const replays = results.filter(Boolean);
+    assert(replays.length === 1, `Expected exactly 1 replay, got ${replays.length}`);
+    replayedJobId = replays[0].jobId;
+    console.log('✓ Entry replayed once');
+    console.log(`  - New Job ID: ${replayedJobId}\n`);
+
+    // Step 3: Entry removed and not replayable again
+    console.log('Step 3: Testing the entry is consumed...');
+    assert((await workerService.getDeadLetter(entry.id)) === null, 'Replayed entry should be removed');
+    assert((await workerService.replayDeadLetter(entry.id)) === null, 'A second replay should return null');
+    console.log('✓ Entry removed, second replay refused\n');
+
+    // Step 4: Replayed job payload
+    console.log('Step 4: Testing the replayed job...');
+    const job = await workerService.findJob(replayedJobId);
+    assert(job, 'Replayed job should exist');
+    assert(job.data.replayOf?.deadLetterId === entry.id, 'Replayed job should reference the entry');
+    assert(job.data.filters?.CHANNEL === 'CTV', 'Replayed job should keep the original filters');
+    assert(job.data.skipEmail === undefined, 'Replayed job should send its own email');
+    console.log('✓ Replayed job carries the original payload\n');
+
+    console.log('========================================');
+    console.log('✓ All Dead-Letter Replay tests passed!');
+    console.log('========================================');
+
+    return { success: true };
+  } catch (error) {
+    console.error('\n========================================');
+    console.error('✗ Test failed!');
+    console.error('========================================');
+    console.error('Error:', error.message);
+    if (error.stack) {
+      console.error('\nStack trace:');
+      console.error(error.stack);
+    }
+    // Exit once the cleanup below has run
+    process.exitCode = 1;
+  } finally {
+    // Clean up the replayed job, the entry (if not replayed) and its claim
+    const job = replayedJobId ? await workerService.findJob(replayedJobId) : null;
+    await job?.remove().catch(() => {});
+    if (entry) {
+      await deadLetterQueue.remove(entry.id).catch(() => {});
+      const client = await deadLetterQueue.client;
+      await client.del(deadLetterQueue.toKey(`replay:${entry.id}`));
+    }
+    await deadLetterQueue.close();
+    await workerService.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  testDeadLetterReplay();
+}
+
+module.exports = testDeadLetterReplay;
@@ -2,13 +2,16 @@
 
 /**
  * Test script for Political PPT generation
- * Tests PPT config generation and file export (using static data)
+ * Tests PPT config generation, placement of mapped IMAGE elements and file
+ * export (using static data)
  * This is a quick test that doesn't require Tableau API access
  */
 
 const fs = require('fs');
 const path = require('path');
 const pptConfigService = require('../src/services/ppt-config.service');
+const politicalSnapshotService = require('../src/services/use-cases/political-snapshot.service');
+const dataTransformerService = require('../src/services/data-transformer.service');
 const pptBuilder = require('../src/utils/ppt-builder.util');
 const { FORMAT_TYPES } = require('../src/utils/pptx-helpers.util');
 
@@ -95,6 +98,16 @@ function getStaticTestData() {
   };
 }
 
+// 1x1 PNG, as rendered by Tableau's image endpoint
+const TEST_PNG_BASE64 =
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
 async function testPoliticalPpt() {
   console.log('========================================');
   console.log('Political PPT Generation Test');
@@ -117,14 +130,44 @@ async function testPoliticalPpt() {
     console.log(`  - Layout: ${pptConfig.LAYOUT}`);
     console.log(`  - Slides: ${pptConfig.SLIDES.length}\n`);
 
-    // Step 2: Generate PPT File
-    console.log('Step 2: Generating PPT file...');
+    // Step 2: Place mapped IMAGE elements
+    console.log('Step 2: Placing mapped IMAGE elements...');
+    const imageContext = { useCase: 'POLITICAL_SNAPSHOT', viewKey: 'TEST_MAP', viewName: 'Test Map' };
+    const imageData = {
+      TEST_MAP: dataTransformerService._transformImage(TEST_PNG_BASE64, imageContext),
+      EMPTY_MAP: { data: `image/png;base64,${TEST_PNG_BASE64}`, width: 0, height: 0 },
+    };
+    const imageSlide = pptConfig.SLIDES[0];
+    const imageCountBefore = (imageSlide.IMAGE || []).length;
+    politicalSnapshotService._addMappedImages(
+      imageSlide,
+      {
+        slideNumber: 1,
+        elements: [
+          { type: 'IMAGE', dataKey: 'TEST_MAP', rect: { x: 1, y: 2, w: 10, h: 5 }, altText: 'Test map' },
+          { type: 'IMAGE', dataKey: 'TEST_MAP' },
+          { type: 'IMAGE', dataKey: 'TEST_MAP', rect: { x: 1, y: 2, w: 0, h: 5 } },
+          { type: 'IMAGE', dataKey: 'EMPTY_MAP', rect: { x: 1, y: 2, w: 10, h: 5 } },
+        ],
+      },
+      imageData
+    );
+    const placedImages = (imageSlide.IMAGE || []).slice(imageCountBefore);
+    assert(placedImages.length === 1, `Expected 1 placed image, got ${placedImages.length}`);
+    assert(
+      ['x', 'y', 'w', 'h'].every((key) => Number.isFinite(placedImages[0][key])),
+      'Placed image geometry should be finite'
+    );
+    console.log('✓ Valid element placed; elements without a rect, with an empty rect or an empty image skipped\n');
+
+    // Step 3: Generate PPT File
+    console.log('Step 3: Generating PPT file...');
     const pptBuffer = await pptBuilder.createSlidesAsBuffer(pptConfig);
     console.log('✓ PPT file generated successfully');
     console.log(`  - Size: ${(pptBuffer.length / 1024).toFixed(2)} KB\n`);
 
-    // Step 3: Save PPT File
-    console.log('Step 3: Saving PPT file...');
+    // Step 4: Save PPT File
+    console.log('Step 4: Saving PPT file...');
     const outputDir = __dirname;
     const fileName = `political-snapshot-test-${Date.now()}.pptx`;
     const filePath = path.join(outputDir, fileName);
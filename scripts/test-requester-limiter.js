@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the per-requester limiter
+ * Tests the acquire/release Lua script: concurrency cap, slot renewal and
+ * the throughput window
+ *
+ * Requires Redis (REDIS_HOST / REDIS_PORT). Uses a unique requester whose
+ * keys are emptied or expire by the end of the run; no jobs are queued.
+ */
+
+// The limits are read when the worker service loads
+process.env.REQUESTER_MAX_CONCURRENCY = '2';
+process.env.REQUESTER_RATE_LIMIT = '3';
+process.env.REQUESTER_RATE_WINDOW_SECONDS = '2';
+
+require('dotenv').config();
+const workerService = require('../src/services/worker.service');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function testRequesterLimiter() {
+  console.log('========================================');
+  console.log('Requester Limiter Test');
+  console.log('========================================\n');
+
+  const requester = `limiter-test-${Date.now()}`;
+  const { acquireRequesterSlot, releaseRequesterSlot } = workerService;
+
+  try {
+    // Step 1: Concurrency cap
+    console.log('Step 1: Testing the concurrency cap (2)...');
+    const first = await acquireRequesterSlot(requester, 'job-1');
+    const second = await acquireRequesterSlot(requester, 'job-2');
+    const third = await acquireRequesterSlot(requester, 'job-3');
+    assert(first.allowed && second.allowed, 'The first two jobs should get a slot');
+    assert(!third.allowed && third.reason === 'concurrency', `Third job should hit the concurrency cap, got ${JSON.stringify(third)}`);
+    console.log('✓ Third concurrent job deferred (reason: concurrency)\n');
+
+    // Step 2: Re-acquiring renews the slot without counting as a new start
+    console.log('Step 2: Testing slot renewal...');
+    const renewed = await acquireRequesterSlot(requester, 'job-1');
+    assert(renewed.allowed, 'A job re-acquiring its own slot should be allowed');
+    console.log('✓ Existing slot renewed\n');
+
+    // Step 3: Releasing frees a slot
+    console.log('Step 3: Testing release...');
+    await releaseRequesterSlot(requester, 'job-1');
+    const afterRelease = await acquireRequesterSlot(requester, 'job-3');
+    assert(afterRelease.allowed, `Job 3 should get the released slot, got ${JSON.stringify(afterRelease)}`);
+    console.log('✓ Released slot reused\n');
+
+    // Step 4: Throughput window (3 starts per 2 seconds)
+    console.log('Step 4: Testing the throughput window (3 per 2s)...');
+    await releaseRequesterSlot(requester, 'job-2');
+    await releaseRequesterSlot(requester, 'job-3');
+    const limited = await acquireRequesterSlot(requester, 'job-4');
+    assert(!limited.allowed && limited.reason === 'rate', `Fourth start should hit the rate limit, got ${JSON.stringify(limited)}`);
+    assert(
+      limited.retryAfterMs > 0 && limited.retryAfterMs <= 2000,
+      `retryAfterMs should fall within the window, got ${limited.retryAfterMs}`
+    );
+    console.log('✓ Fourth start deferred (reason: rate)');
+    console.log(`  - Retry after: ${limited.retryAfterMs}ms\n`);
+
+    // Step 5: The window slides
+    console.log('Step 5: Testing the window sliding...');
+    await new Promise((resolve) => setTimeout(resolve, limited.retryAfterMs + 50));
+    const afterWindow = await acquireRequesterSlot(requester, 'job-4');
+    assert(afterWindow.allowed, `Job 4 should start once the window slides, got ${JSON.stringify(afterWindow)}`);
+    await releaseRequesterSlot(requester, 'job-4');
+    console.log('✓ Job started after the window slid\n');
+
+    console.log('========================================');
+    console.log('✓ All Requester Limiter tests passed!');
+    console.log('========================================');
+
+    return { success: true };
+  } catch (error) {
+    console.error('\n========================================');
+    console.error('✗ Test failed!');
+    console.error('========================================');
+    console.error('Error:', error.message);
+    if (error.stack) {
+      console.error('\nStack trace:');
+      console.error(error.stack);
+    }
+    process.exit(1);
+  } finally {
+    await workerService.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  testRequesterLimiter();
+}
+
+module.exports = testRequesterLimiter;
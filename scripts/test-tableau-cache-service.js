@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for TableauCacheService
+ * Tests getOrFetch caching, in-process coalescing, the cross-process lock
+ * and the fallbacks when the lock holder fails or Redis is unavailable
+ * (no Redis needed: the service is given an in-memory client)
+ */
+
+require('dotenv').config();
+const tableauCacheService = require('../src/services/tableau-cache.service');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Minimal in-memory stand-in for the Redis commands the cache uses.
+ * `eval` only implements the lock release script (compare and delete).
+ *
+ * @returns {object} Client
+ */
+function createMemoryClient() {
+  const values = new Map();
+  return {
+    values,
+    get: async (key) => values.get(key) ?? null,
+    set: async (key, value, ...args) => {
+      if (args.includes('NX') && values.has(key)) {
+        return null;
+      }
+      values.set(key, value);
+      return 'OK';
+    },
+    exists: async (key) => (values.has(key) ? 1 : 0),
+    del: async (...keys) => keys.filter((key) => values.delete(key)).length,
+    eval: async (script, numKeys, key, token) => {
+      if (values.get(key) === token) {
+        values.delete(key);
+        return 1;
+      }
+      return 0;
+    },
+    quit: async () => 'OK',
+  };
+}
+
+/**
+ * Creates a fetcher that counts its calls and resolves after a short delay.
+ *
+ * @param {*} value - Value to return
+ * @returns {function(): Promise<*>} Fetcher with a `calls` counter
+ */
+function createFetcher(value) {
+  const fetcher = async () => {
+    fetcher.calls++;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    return value;
+  };
+  fetcher.calls = 0;
+  return fetcher;
+}
+
+async function testTableauCacheService() {
+  console.log('========================================');
+  console.log('Tableau Cache Service Test');
+  console.log('========================================\n');
+
+  const originalClient = tableauCacheService.client;
+  const originalEnabled = tableauCacheService.enabled;
+  if (originalClient) {
+    originalClient.disconnect();
+  }
+
+  try {
+    tableauCacheService.enabled = true;
+    const key = tableauCacheService.buildKey('site', 'view-1', { vf_Channel: 'CTV' });
+
+    // Step 1: Miss, then hit
+    console.log('Step 1: Testing cache miss and hit...');
+    let client = createMemoryClient();
+    tableauCacheService.client = client;
+    let fetcher = createFetcher('csv-1');
+    const miss = await tableauCacheService.getOrFetch(key, 60, fetcher);
+    const hit = await tableauCacheService.getOrFetch(key, 60, fetcher);
+    assert(miss.source === 'tableau' && miss.value === 'csv-1', 'First lookup should fetch from Tableau');
+    assert(hit.source === 'cache' && hit.value === 'csv-1', 'Second lookup should be served from the cache');
+    assert(fetcher.calls === 1, `Expected 1 fetch, got ${fetcher.calls}`);
+    assert(!client.values.has(`${key}:lock`), 'Lock should be released after the fetch');
+    console.log('✓ Miss fetched once, hit served from cache\n');
+
+    // Step 2: Concurrent misses in one process share a fetch
+    console.log('Step 2: Testing in-process coalescing...');
+    client = createMemoryClient();
+    tableauCacheService.client = client;
+    fetcher = createFetcher('csv-2');
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => tableauCacheService.getOrFetch(key, 60, fetcher))
+    );
+    assert(fetcher.calls === 1, `Expected 1 fetch for 5 concurrent lookups, got ${fetcher.calls}`);
+    assert(results.every((result) => result.value === 'csv-2'), 'Every lookup should get the fetched value');
+    assert(tableauCacheService.inFlight.size === 0, 'In-flight fetches should be cleared');
+    console.log('✓ 5 concurrent lookups, 1 fetch\n');
+
+    // Step 3: Another process holds the lock and caches the entry
+    console.log('Step 3: Testing waiting on another process\'s lock...');
+    client = createMemoryClient();
+    tableauCacheService.client = client;
+    fetcher = createFetcher('never-used');
+    client.values.set(`${key}:lock`, 'other-process');
+    setTimeout(() => {
+      client.values.set(key, JSON.stringify({ value: 'csv-3', cachedAt: Date.now() }));
+      client.values.delete(`${key}:lock`);
+    }, 100);
+    const shared = await tableauCacheService.getOrFetch(key, 60, fetcher);
+    assert(shared.source === 'cache' && shared.value === 'csv-3', 'Should use the entry cached by the lock holder');
+    assert(fetcher.calls === 0, `Expected no fetch, got ${fetcher.calls}`);
+    console.log('✓ Waited for the lock holder\'s entry\n');
+
+    // Step 4: The lock holder gives up without caching an entry
+    console.log('Step 4: Testing fallback when the lock holder fails...');
+    client = createMemoryClient();
+    tableauCacheService.client = client;
+    fetcher = createFetcher('csv-4');
+    client.values.set(`${key}:lock`, 'other-process');
+    setTimeout(() => client.values.delete(`${key}:lock`), 100);
+    const fallback = await tableauCacheService.getOrFetch(key, 60, fetcher);
+    assert(fallback.source === 'tableau' && fallback.value === 'csv-4', 'Should fetch once the lock is released');
+    assert(fetcher.calls === 1, `Expected 1 fetch, got ${fetcher.calls}`);
+    console.log('✓ Fetched after the lock was released without an entry\n');
+
+    // Step 5: Redis unavailable
+    console.log('Step 5: Testing fallback when Redis is unavailable...');
+    const unavailable = async () => {
+      throw new Error('Connection is closed.');
+    };
+    tableauCacheService.client = { ...createMemoryClient(), get: unavailable, set: unavailable };
+    fetcher = createFetcher('csv-5');
+    const direct = await tableauCacheService.getOrFetch(key, 60, fetcher);
+    assert(direct.source === 'tableau' && direct.value === 'csv-5', 'Should query Tableau directly');
+    assert(fetcher.calls === 1, `Expected 1 fetch, got ${fetcher.calls}`);
+    console.log('✓ Queried Tableau directly\n');
+
+    // Step 6: freshness "fresh" skips the cached entry but refreshes it
+    console.log('Step 6: Testing fresh lookups...');
+    client = createMemoryClient();
+    tableauCacheService.client = client;
+    client.values.set(key, JSON.stringify({ value: 'stale', cachedAt: Date.now() }));
+    fetcher = createFetcher('csv-6');
+    const fresh = await tableauCacheService.getOrFetch(key, 60, fetcher, { freshness: 'fresh' });
+    const afterFresh = await tableauCacheService.getOrFetch(key, 60, fetcher);
+    assert(fresh.source === 'tableau' && fresh.value === 'csv-6', 'Fresh lookup should bypass the cache');
+    assert(afterFresh.value === 'csv-6', 'Fresh lookup should update the cached entry');
+    console.log('✓ Fresh lookup bypassed and refreshed the cache\n');
+
+    console.log('========================================');
+    console.log('✓ All Tableau Cache Service tests passed!');
+    console.log('========================================');
+
+    return { success: true };
+  } catch (error) {
+    console.error('\n========================================');
+    console.error('✗ Test failed!');
+    console.error('========================================');
+    console.error('Error:', error.message);
+    if (error.stack) {
+      console.error('\nStack trace:');
+      console.error(error.stack);
+    }
+    process.exit(1);
+  } finally {
+    tableauCacheService.client = originalClient;
+    tableauCacheService.enabled = originalEnabled;
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  testTableauCacheService();
+}
+
+module.exports = testTableauCacheService;
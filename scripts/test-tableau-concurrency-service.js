@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for TableauConcurrencyService
+ * Tests the per-process cap, the cross-process cap, the wait deadline and
+ * that requests waiting for a cross-process slot do not hold a process slot
+ * (no Redis needed: the service is given an in-memory client)
+ */
+
+require('dotenv').config();
+const tableauConcurrencyService = require('../src/services/tableau-concurrency.service');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Minimal in-memory stand-in for the Redis commands the service uses.
+ * `eval` implements the acquire script on a per-key set of tokens; slots of
+ * a site listed in `blocked` are always taken by another process.
+ *
+ * @returns {object} Client
+ */
+function createMemoryClient() {
+  const slots = new Map();
+  return {
+    slots,
+    blocked: new Set(),
+    async eval(script, numKeys, key, now, token, maxConcurrency) {
+      const site = key.split(':').pop();
+      const held = slots.get(key) || new Set();
+      if (this.blocked.has(site) || held.size >= maxConcurrency) {
+        return 0;
+      }
+      held.add(token);
+      slots.set(key, held);
+      return 1;
+    },
+    zrem: async (key, token) => (slots.get(key)?.delete(token) ? 1 : 0),
+    quit: async () => 'OK',
+  };
+}
+
+/**
+ * Creates a task that records how many tasks run at once.
+ *
+ * @param {{running: number, peak: number}} counter - Shared counter
+ * @param {number} [durationMs=30] - Task duration
+ * @returns {function(): Promise<string>} Task
+ */
+function createTask(counter, durationMs = 30) {
+  return async () => {
+    counter.running++;
+    counter.peak = Math.max(counter.peak, counter.running);
+    await new Promise((resolve) => setTimeout(resolve, durationMs));
+    counter.running--;
+    return 'ok';
+  };
+}
+
+async function testTableauConcurrencyService() {
+  console.log('========================================');
+  console.log('Tableau Concurrency Service Test');
+  console.log('========================================\n');
+
+  const original = {
+    client: tableauConcurrencyService.client,
+    siteMaxConcurrency: tableauConcurrencyService.siteMaxConcurrency,
+    globalMaxConcurrency: tableauConcurrencyService.globalMaxConcurrency,
+    slotWaitMs: tableauConcurrencyService.slotWaitMs,
+  };
+  if (original.client) {
+    original.client.disconnect();
+  }
+
+  /**
+   * Applies limits and clears the per-site limiters built with older ones.
+   */
+  function configure(options) {
+    Object.assign(tableauConcurrencyService, options);
+    tableauConcurrencyService.siteLimits.clear();
+  }
+
+  try {
+    // Step 1: Process cap only
+    console.log('Step 1: Testing the process cap (2)...');
+    configure({ client: null, siteMaxConcurrency: 2, globalMaxConcurrency: 0 });
+    let counter = { running: 0, peak: 0 };
+    await Promise.all(
+      Array.from({ length: 6 }, () => tableauConcurrencyService.run('site-a', createTask(counter)))
+    );
+    assert(counter.peak === 2, `Expected at most 2 concurrent requests, got ${counter.peak}`);
+    console.log('✓ At most 2 requests at once\n');
+
+    // Step 2: Cross-process cap below the process cap
+    console.log('Step 2: Testing the cross-process cap (1)...');
+    let client = createMemoryClient();
+    configure({ client, siteMaxConcurrency: 3, globalMaxConcurrency: 1, slotWaitMs: 5000 });
+    counter = { running: 0, peak: 0 };
+    await Promise.all(
+      Array.from({ length: 4 }, () => tableauConcurrencyService.run('site-a', createTask(counter)))
+    );
+    assert(counter.peak === 1, `Expected at most 1 concurrent request, got ${counter.peak}`);
+    assert(client.slots.get('tableau-ppt-export:tableau-site-slots:site-a').size === 0, 'Slots should be released');
+    console.log('✓ At most 1 request at once, slots released\n');
+
+    // Step 3: Waiting for a cross-process slot frees the process slot
+    console.log('Step 3: Testing that waiting requests free their process slot...');
+    client = createMemoryClient();
+    client.blocked.add('site-busy');
+    configure({ client, siteMaxConcurrency: 1, globalMaxConcurrency: 5, slotWaitMs: 2000 });
+    const waiting = tableauConcurrencyService.run('site-busy', async () => 'waited');
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    const siteLimit = tableauConcurrencyService.siteLimits.get('site-busy');
+    assert(siteLimit.activeCount === 0, `Process slot should be free while waiting, ${siteLimit.activeCount} in use`);
+    client.blocked.delete('site-busy');
+    assert((await waiting) === 'waited', 'The waiting request should run once a slot frees up');
+    console.log('✓ Process slot free while waiting, request ran once the site had capacity\n');
+
+    // Step 4: Deadline
+    console.log('Step 4: Testing the wait deadline...');
+    client.blocked.add('site-busy');
+    configure({ client, slotWaitMs: 300 });
+    let rejection = null;
+    try {
+      await tableauConcurrencyService.run('site-busy', async () => 'never');
+    } catch (error) {
+      rejection = error;
+    }
+    assert(
+      rejection && rejection.retryable === true && rejection.code === 'TABLEAU_REQUEST_FAILED',
+      `Expected a retryable TABLEAU_REQUEST_FAILED error, got: ${rejection?.message}`
+    );
+    console.log('✓ Gave up with a retryable error');
+    console.log(`  - Reason: ${rejection.message}\n`);
+
+    // Step 5: Redis unavailable
+    console.log('Step 5: Testing fallback when Redis is unavailable...');
+    configure({
+      client: {
+        eval: async () => {
+          throw new Error('Connection is closed.');
+        },
+        quit: async () => 'OK',
+      },
+    });
+    const direct = await tableauConcurrencyService.run('site-a', async () => 'direct');
+    assert(direct === 'direct', 'Should run with the process cap only');
+    console.log('✓ Ran with the process cap only\n');
+
+    console.log('========================================');
+    console.log('✓ All Tableau Concurrency Service tests passed!');
+    console.log('========================================');
+
+    return { success: true };
+  } catch (error) {
+    console.error('\n========================================');
+    console.error('✗ Test failed!');
+    console.error('========================================');
+    console.error('Error:', error.message);
+    if (error.stack) {
+      console.error('\nStack trace:');
+      console.error(error.stack);
+    }
+    process.exit(1);
+  } finally {
+    configure(original);
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  testTableauConcurrencyService();
+}
+
+module.exports = testTableauConcurrencyService;
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for TableauService list paging
+ * Tests that _listAll follows the pagination block and always terminates
+ * (no Tableau server needed: list responses are served by a stub client)
+ */
+
+require('dotenv').config();
+const tableauService = require('../src/services/tableau.service');
+const tableauCacheService = require('../src/services/tableau-cache.service');
+const tableauConcurrencyService = require('../src/services/tableau-concurrency.service');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Replaces the Tableau HTTP client with one serving the given pages in order.
+ * Requests past the last page get an empty page.
+ *
+ * @param {Array<{views: Array<object>, totalAvailable: (number|undefined)}>} pages - Responses
+ * @returns {Array<object>} Query params of every request made
+ */
+function stubListResponses(pages) {
+  const requests = [];
+  tableauService.client = {
+    get: async (path, { params }) => {
+      requests.push(params);
+      const page = pages[params.pageNumber - 1] || { views: [] };
+      return {
+        data: {
+          ...(page.totalAvailable !== undefined && {
+            pagination: {
+              pageNumber: String(params.pageNumber),
+              pageSize: String(params.pageSize),
+              totalAvailable: String(page.totalAvailable),
+            },
+          }),
+          views: { view: page.views },
+        },
+      };
+    },
+  };
+  return requests;
+}
+
+function makeViews(count, offset = 0) {
+  return Array.from({ length: count }, (_, index) => ({ id: `view-${offset + index}` }));
+}
+
+async function testTableauListPaging() {
+  console.log('========================================');
+  console.log('Tableau List Paging Test');
+  console.log('========================================\n');
+
+  const originalClient = tableauService.client;
+  const listOptions = { collection: 'views', item: 'view' };
+
+  try {
+    // Step 1: Several pages until totalAvailable is reached
+    console.log('Step 1: Testing paging up to totalAvailable...');
+    let requests = stubListResponses([
+      { views: makeViews(2), totalAvailable: 5 },
+      { views: makeViews(2, 2), totalAvailable: 5 },
+      { views: makeViews(1, 4), totalAvailable: 5 },
+    ]);
+    let items = await tableauService._listAll('/views', 'token', listOptions);
+    assert(items.length === 5, `Expected 5 items, got ${items.length}`);
+    assert(requests.length === 3, `Expected 3 requests, got ${requests.length}`);
+    assert(
+      requests.map((params) => params.pageNumber).join(',') === '1,2,3',
+      'Pages should be requested in order'
+    );
+    console.log('✓ Stopped after the last page');
+    console.log(`  - Requests: ${requests.length}, Items: ${items.length}\n`);
+
+    // Step 2: An empty page ends paging even if totalAvailable was not reached
+    console.log('Step 2: Testing termination on an empty page...');
+    requests = stubListResponses([
+      { views: makeViews(2), totalAvailable: 10 },
+      { views: [], totalAvailable: 10 },
+    ]);
+    items = await tableauService._listAll('/views', 'token', listOptions);
+    assert(items.length === 2, `Expected 2 items, got ${items.length}`);
+    assert(requests.length === 2, `Expected 2 requests, got ${requests.length}`);
+    console.log('✓ Stopped on the empty page');
+    console.log(`  - Requests: ${requests.length}, Items: ${items.length}\n`);
+
+    // Step 3: Responses without a pagination block are a single page
+    console.log('Step 3: Testing responses without pagination...');
+    requests = stubListResponses([
+      { views: makeViews(3) },
+      { views: makeViews(3, 3) },
+    ]);
+    items = await tableauService._listAll('/views', 'token', listOptions);
+    assert(items.length === 3, `Expected 3 items, got ${items.length}`);
+    assert(requests.length === 1, `Expected 1 request, got ${requests.length}`);
+    console.log('✓ Treated as a single page\n');
+
+    // Step 4: Extra params are sent on every page
+    console.log('Step 4: Testing extra query params...');
+    requests = stubListResponses([
+      { views: makeViews(1), totalAvailable: 2 },
+      { views: makeViews(1, 1), totalAvailable: 2 },
+    ]);
+    await tableauService._listAll('/views', 'token', {
+      ...listOptions,
+      params: { filter: 'name:eq:Test' },
+    });
+    assert(
+      requests.every((params) => params.filter === 'name:eq:Test' && params.pageSize > 0),
+      'Every page request should carry the filter and page size'
+    );
+    console.log('✓ Params sent on every page\n');
+
+    console.log('========================================');
+    console.log('✓ All Tableau list paging tests passed!');
+    console.log('========================================');
+
+    return { success: true };
+  } catch (error) {
+    console.error('\n========================================');
+    console.error('✗ Test failed!');
+    console.error('========================================');
+    console.error('Error:', error.message);
+    if (error.stack) {
+      console.error('\nStack trace:');
+      console.error(error.stack);
+    }
+    process.exit(1);
+  } finally {
+    tableauService.client = originalClient;
+    await tableauCacheService.close();
+    await tableauConcurrencyService.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  testTableauListPaging();
+}
+
+module.exports = testTableauListPaging;
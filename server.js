@@ -1,66 +1,107 @@
 require("dotenv").config();
-const app = require("./src/app");
 const logger = require("./src/utils/logger.util");
-const { initWorker, close: closeQueue } = require("./src/services/worker.service");
+const { getProcessRole, runsApi, runsWorker } = require("./src/utils/process-role.util");
 
-const PORT = process.env.PORT;
-const NODE_ENV = process.env.NODE_ENV;
-const SHUTDOWN_TIMEOUT_MS = 10000;
+const PROCESS_ROLE = getProcessRole();
 
-const server = app.getApp().listen(PORT, () => {
-  logger.info("Server started successfully", {
-    port: PORT,
-    environment: NODE_ENV,
-    nodeVersion: process.version,
-  });
+if (!runsApi(PROCESS_ROLE)) {
+  // Worker-only processes have their own entrypoint, health endpoint and shutdown
+  require("./worker");
+} else {
+  startApiServer();
+}
+
+/**
+ * Starts the REST API, plus the queue workers when the role is `all`.
+ * API-only processes enqueue jobs but never consume them.
+ */
+function startApiServer() {
+  const app = require("./src/app");
+  const { initWorker, close: closeQueue } = require("./src/services/worker.service");
+  const exportHistoryService = require("./src/services/export-history.service");
+
+  const PORT = process.env.PORT;
+  const NODE_ENV = process.env.NODE_ENV;
+  const withWorker = runsWorker(PROCESS_ROLE);
+  // In-process workers wait for active exports to finish, so allow them longer to drain
+  const SHUTDOWN_TIMEOUT_MS = withWorker
+    ? parseInt(process.env.WORKER_SHUTDOWN_TIMEOUT_MS, 10) || 60000
+    : 10000;
+
+  let isShuttingDown = false;
 
-  // Start Worker Logic (Subscriber) - This enables the "Worker as part of REST service" model
   try {
-    initWorker();
-    logger.info("Background worker started processing jobs...");
+    exportHistoryService.validateConfig(PROCESS_ROLE);
   } catch (err) {
-    logger.error("Failed to start worker", err);
+    logger.error("Failed to start server", err);
+    process.exit(1);
   }
-});
 
-/**
- * Handles graceful shutdown on termination signals.
- * Allows existing connections to complete before closing.
- *
- * @param {string} signal - Signal that triggered shutdown
- */
-const gracefulShutdown = async (signal) => {
-  logger.info(`Received ${signal}, starting graceful shutdown...`);
+  const server = app.getApp().listen(PORT, () => {
+    logger.info("Server started successfully", {
+      port: PORT,
+      environment: NODE_ENV,
+      role: PROCESS_ROLE,
+      nodeVersion: process.version,
+    });
 
-  server.close(async () => {
-    logger.info("HTTP server closed");
+    if (!withWorker) {
+      logger.info("Running API only; jobs are processed by worker processes");
+      return;
+    }
 
+    // Start Worker Logic (Subscriber) - This enables the "Worker as part of REST service" model
     try {
-      await closeQueue();
-      logger.info("Queue and worker closed");
-    } catch (error) {
-      logger.error("Error closing queue and worker", error);
+      initWorker();
+      logger.info("Background worker started processing jobs...");
+    } catch (err) {
+      logger.error("Failed to start worker", err);
     }
-
-    logger.info("Graceful shutdown completed");
-    process.exit(0);
   });
 
-  setTimeout(() => {
-    logger.error("Forced shutdown after timeout");
-    process.exit(1);
-  }, SHUTDOWN_TIMEOUT_MS);
-};
+  /**
+   * Handles graceful shutdown on termination signals.
+   * Allows existing connections to complete before closing.
+   *
+   * @param {string} signal - Signal that triggered shutdown
+   */
+  const gracefulShutdown = async (signal) => {
+    if (isShuttingDown) {
+      return;
+    }
+    isShuttingDown = true;
+    logger.info(`Received ${signal}, starting graceful shutdown...`);
+
+    server.close(async () => {
+      logger.info("HTTP server closed");
+
+      try {
+        await closeQueue();
+        logger.info(withWorker ? "Queue and worker closed" : "Queue connections closed");
+      } catch (error) {
+        logger.error("Error closing queue and worker", error);
+      }
 
-process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
-process.on("SIGINT", () => gracefulShutdown("SIGINT"));
+      logger.info("Graceful shutdown completed");
+      process.exit(0);
+    });
 
-process.on("uncaughtException", (error) => {
-  logger.error("Uncaught exception", error);
-  gracefulShutdown("uncaughtException");
-});
+    setTimeout(() => {
+      logger.error("Forced shutdown after timeout");
+      process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS);
+  };
 
-process.on("unhandledRejection", (reason, promise) => {
-  logger.error("Unhandled rejection", reason, { promise });
-  gracefulShutdown("unhandledRejection");
-});
+  process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
+  process.on("SIGINT", () => gracefulShutdown("SIGINT"));
+
+  process.on("uncaughtException", (error) => {
+    logger.error("Uncaught exception", error);
+    gracefulShutdown("uncaughtException");
+  });
+
+  process.on("unhandledRejection", (reason, promise) => {
+    logger.error("Unhandled rejection", reason, { promise });
+    gracefulShutdown("unhandledRejection");
+  });
+}
@@ -0,0 +1,224 @@
+const {
+  PRIORITY_LANES,
+  listDeadLetters: listQueueDeadLetters,
+  getDeadLetter: getQueueDeadLetter,
+  replayDeadLetter: replayQueueDeadLetter,
+  removeDeadLetter,
+  purgeDeadLetters: purgeQueueDeadLetters,
+} = require("../services/worker.service");
+const { validateExportRequest } = require("../utils/request-validation.util");
+const logger = require("../utils/logger.util");
+
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+
+/**
+ * Lists dead-lettered jobs, most recent first.
+ *
+ * @param {object} req - Express request object
+ * @param {object} req.query - Query parameters
+ * @param {number} [req.query.limit=20] - Page size (max 100)
+ * @param {number} [req.query.offset=0] - Entries to skip
+ * @param {object} res - Express response object
+ */
+async function listDeadLetters(req, res) {
+  try {
+    const { limit, offset } = req.query;
+    const pageSize = limit === undefined ? DEFAULT_LIST_LIMIT : parseInt(limit, 10);
+    const skip = offset === undefined ? 0 : parseInt(offset, 10);
+
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIST_LIMIT) {
+      return res.status(400).json({
+        error: `limit must be an integer between 1 and ${MAX_LIST_LIMIT}`,
+      });
+    }
+
+    if (!Number.isInteger(skip) || skip < 0) {
+      return res.status(400).json({
+        error: "offset must be a non-negative integer",
+      });
+    }
+
+    const page = await listQueueDeadLetters({ limit: pageSize, offset: skip });
+
+    res.status(200).json(page);
+  } catch (error) {
+    logger.error("Failed to list dead-lettered jobs", error);
+    res.status(500).json({
+      error: "Failed to list dead-lettered jobs",
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Gets a dead-lettered job with its payload, stack traces and attempt history.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function getDeadLetter(req, res) {
+  try {
+    const { deadLetterId } = req.params;
+    const entry = await getQueueDeadLetter(deadLetterId);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: "Dead-letter entry not found",
+        deadLetterId,
+      });
+    }
+
+    res.status(200).json(entry);
+  } catch (error) {
+    logger.error("Failed to get dead-lettered job", error, {
+      deadLetterId: req.params.deadLetterId,
+    });
+    res.status(500).json({
+      error: "Failed to get dead-lettered job",
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Replays a dead-lettered job as a new export job and removes the entry.
+ *
+ * @param {object} req - Express request object
+ * @param {object} [req.body] - Optional changes for the replay
+ * @param {object} [req.body.filters] - Replacement filters
+ * @param {string} [req.body.email] - Replacement recipient
+ * @param {string} [req.body.priority] - Priority lane (defaults to the original lane)
+ * @param {object} res - Express response object
+ */
+async function replayDeadLetter(req, res) {
+  const { deadLetterId } = req.params;
+
+  try {
+    const { filters, email, priority } = req.body || {};
+    const entry = await getQueueDeadLetter(deadLetterId);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: "Dead-letter entry not found",
+        deadLetterId,
+      });
+    }
+
+    const violations = validateExportRequest(
+      { useCase: entry.useCase, email, filters },
+      { requireEmail: false }
+    );
+    if (priority !== undefined && !Object.hasOwn(PRIORITY_LANES, priority)) {
+      violations.push({
+        field: "priority",
+        message: `must be one of: ${Object.keys(PRIORITY_LANES).join(", ")}`,
+      });
+    }
+
+    if (violations.length > 0) {
+      logger.warn("Dead-letter replay rejected", { deadLetterId, violations });
+      return res.status(400).json({
+        error: "Invalid replay request",
+        violations,
+      });
+    }
+
+    const replay = await replayQueueDeadLetter(deadLetterId, { filters, email, priority });
+
+    if (!replay) {
+      // Replayed or purged by another request in the meantime
+      return res.status(404).json({
+        error: "Dead-letter entry not found",
+        deadLetterId,
+      });
+    }
+
+    res.status(202).json({
+      message: "Job replayed successfully",
+      ...replay,
+    });
+  } catch (error) {
+    logger.error("Failed to replay dead-lettered job", error, { deadLetterId });
+    res.status(500).json({
+      error: "Failed to replay dead-lettered job",
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Purges a single dead-lettered job.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function deleteDeadLetter(req, res) {
+  const { deadLetterId } = req.params;
+
+  try {
+    const removed = await removeDeadLetter(deadLetterId);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: "Dead-letter entry not found",
+        deadLetterId,
+      });
+    }
+
+    res.status(200).json({
+      message: "Dead-letter entry purged",
+      deadLetterId,
+    });
+  } catch (error) {
+    logger.error("Failed to purge dead-lettered job", error, { deadLetterId });
+    res.status(500).json({
+      error: "Failed to purge dead-lettered job",
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Purges the dead-letter queue, optionally only entries older than a threshold.
+ *
+ * @param {object} req - Express request object
+ * @param {object} req.query - Query parameters
+ * @param {number} [req.query.olderThanSeconds=0] - Only purge entries dead-lettered at least this long ago
+ * @param {object} res - Express response object
+ */
+async function purgeDeadLetters(req, res) {
+  try {
+    const { olderThanSeconds } = req.query;
+    const threshold = olderThanSeconds === undefined ? 0 : Number(olderThanSeconds);
+
+    if (!Number.isInteger(threshold) || threshold < 0) {
+      return res.status(400).json({
+        error: "Invalid purge request",
+        violations: [{ field: "olderThanSeconds", message: "must be a non-negative integer" }],
+      });
+    }
+
+    const { removed } = await purgeQueueDeadLetters({ olderThanSeconds: threshold });
+
+    res.status(200).json({
+      message: "Dead-letter queue purged",
+      removed,
+      olderThanSeconds: threshold,
+    });
+  } catch (error) {
+    logger.error("Failed to purge dead-letter queue", error);
+    res.status(500).json({
+      error: "Failed to purge dead-letter queue",
+      message: error.message,
+    });
+  }
+}
+
+module.exports = {
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  deleteDeadLetter,
+  purgeDeadLetters,
+};
@@ -0,0 +1,189 @@
+const exportPptService = require("../services/export-ppt.service");
+const exportHistoryService = require("../services/export-history.service");
+const { validateExportRequest } = require("../utils/request-validation.util");
+const { ERROR_CODES, getErrorCode } = require("../utils/errors.util");
+const logger = require("../utils/logger.util");
+
+const PPTX_CONTENT_TYPE =
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation";
+
+const HISTORY_OUTCOMES = ["completed", "failed", "cancelled"];
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+// Preview failures caused by the request or by Tableau; anything else is a 500
+const PREVIEW_ERROR_STATUSES = {
+  [ERROR_CODES.INVALID_JOB_DATA]: 400,
+  [ERROR_CODES.INVALID_FILTER]: 400,
+  [ERROR_CODES.UNKNOWN_USE_CASE]: 400,
+  [ERROR_CODES.TABLEAU_AUTH_FAILED]: 502,
+  [ERROR_CODES.TABLEAU_NOT_FOUND]: 502,
+  [ERROR_CODES.TABLEAU_REQUEST_REJECTED]: 502,
+  [ERROR_CODES.TABLEAU_REQUEST_FAILED]: 502,
+  [ERROR_CODES.NO_VIEW_DATA]: 502,
+};
+
+/**
+ * Generates a deck synchronously and streams it back in the response.
+ * Runs the same pipeline as a queued export but skips the queue and email
+ * delivery, so analysts can iterate on filters and templates quickly.
+ * Failures report their error code: invalid requests get a 400, Tableau
+ * failures a 502, and anything else a 500.
+ *
+ * @param {object} req - Express request object
+ * @param {object} req.body - Request body
+ * @param {string} req.body.useCase - Use case identifier
+ * @param {object} [req.body.filters] - Optional filters for data export
+ * @param {string} [req.body.freshness="cached"] - "fresh" bypasses the Tableau response cache
+ * @param {object} res - Express response object
+ */
+async function previewExport(req, res) {
+  try {
+    const { useCase, filters, freshness } = req.body || {};
+
+    const violations = validateExportRequest(
+      { useCase, filters, freshness },
+      { requireEmail: false }
+    );
+    if (violations.length > 0) {
+      logger.warn("Preview request rejected", { useCase, violations });
+      return res.status(400).json({
+        error: "Invalid export request",
+        violations,
+      });
+    }
+
+    logger.info("Preview request received", {
+      useCase,
+      filterCount: filters ? Object.keys(filters).length : 0,
+    });
+
+    const { pptBuffer, viewsProcessed } =
+      await exportPptService.generatePresentation(useCase, filters || {}, {}, { freshness });
+
+    const fileName = `tableau-preview-${Date.now()}.pptx`;
+
+    logger.info("Preview generated successfully", {
+      useCase,
+      fileName,
+      viewsProcessed,
+      bufferSize: pptBuffer.length,
+    });
+
+    res.set({
+      "Content-Type": PPTX_CONTENT_TYPE,
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+      "Content-Length": pptBuffer.length,
+      "X-Views-Processed": viewsProcessed,
+    });
+    res.status(200).send(pptBuffer);
+  } catch (error) {
+    const code = getErrorCode(error);
+    const status = PREVIEW_ERROR_STATUSES[code] || 500;
+    logger.error("Failed to generate preview", error, {
+      useCase: req.body?.useCase,
+      code,
+      status,
+    });
+    res.status(status).json({
+      error: "Failed to generate preview",
+      code,
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Queries the durable export history, most recently finished first.
+ *
+ * @param {object} req - Express request object
+ * @param {object} req.query - Query parameters, all optional
+ * @param {string} [req.query.useCase] - Use case identifier
+ * @param {string} [req.query.email] - Recipient email
+ * @param {string} [req.query.requester] - Requesting client ID
+ * @param {string} [req.query.outcome] - completed, failed or cancelled
+ * @param {string} [req.query.jobId] - Queue job ID
+ * @param {string} [req.query.from] - Earliest finish time (ISO 8601, inclusive)
+ * @param {string} [req.query.to] - Latest finish time (ISO 8601, exclusive)
+ * @param {number} [req.query.limit=20] - Page size (max 100)
+ * @param {number} [req.query.offset=0] - Records to skip
+ * @param {object} res - Express response object
+ */
+async function getExportHistory(req, res) {
+  try {
+    const { useCase, email, requester, outcome, jobId, from, to, limit, offset } = req.query;
+    const violations = [];
+
+    const pageSize = limit === undefined ? DEFAULT_HISTORY_LIMIT : Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_HISTORY_LIMIT) {
+      violations.push({
+        field: "limit",
+        message: `must be an integer between 1 and ${MAX_HISTORY_LIMIT}`,
+      });
+    }
+
+    const skip = offset === undefined ? 0 : Number(offset);
+    if (!Number.isInteger(skip) || skip < 0) {
+      violations.push({ field: "offset", message: "must be a non-negative integer" });
+    }
+
+    if (outcome !== undefined && !HISTORY_OUTCOMES.includes(outcome)) {
+      violations.push({
+        field: "outcome",
+        message: `must be one of: ${HISTORY_OUTCOMES.join(", ")}`,
+      });
+    }
+
+    const range = {};
+    for (const [field, value] of Object.entries({ from, to })) {
+      if (value === undefined) {
+        continue;
+      }
+      range[field] = new Date(value);
+      if (typeof value !== "string" || Number.isNaN(range[field].getTime())) {
+        violations.push({ field, message: "must be an ISO 8601 date or timestamp" });
+      }
+    }
+
+    for (const [field, value] of Object.entries({ useCase, email, requester, jobId })) {
+      if (value !== undefined && typeof value !== "string") {
+        violations.push({ field, message: "must be a single string value" });
+      }
+    }
+
+    if (violations.length > 0) {
+      return res.status(400).json({
+        error: "Invalid history query",
+        violations,
+      });
+    }
+
+    const page = await exportHistoryService.query({
+      useCase,
+      email,
+      requester,
+      outcome,
+      jobId,
+      from: range.from,
+      to: range.to,
+      limit: pageSize,
+      offset: skip,
+    });
+
+    res.status(200).json({
+      enabled: exportHistoryService.isEnabled(),
+      ...page,
+    });
+  } catch (error) {
+    logger.error("Failed to query export history", error);
+    res.status(500).json({
+      error: "Failed to query export history",
+      message: error.message,
+    });
+  }
+}
+
+module.exports = {
+  previewExport,
+  getExportHistory,
+};
@@ -1,4 +1,5 @@
-const { getQueueStats } = require("../services/worker.service");
+const { getQueueStats, getWorkerHealth } = require("../services/worker.service");
+const { getProcessRole } = require("../utils/process-role.util");
 const logger = require("../utils/logger.util");
 
 /**
@@ -15,6 +16,7 @@ async function healthCheck(req, res) {
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       environment: process.env.NODE_ENV,
+      role: getProcessRole(),
     });
   } catch (error) {
     logger.error("Health check failed", error);
@@ -27,7 +29,7 @@ async function healthCheck(req, res) {
 
 /**
  * Readiness check endpoint for Kubernetes/orchestration platforms.
- * Verifies Redis connectivity and queue statistics.
+ * Verifies Redis connectivity and queue statistics, and reports paused queues.
  *
  * @param {object} req - Express request object
  * @param {object} res - Express response object
@@ -36,9 +38,12 @@ async function readinessCheck(req, res) {
   try {
     const stats = await getQueueStats();
 
+    // A paused queue stays ready: the API keeps accepting jobs for later
     res.status(200).json({
       status: "ready",
       redis: "connected",
+      paused: stats.pausedQueues.length > 0,
+      pausedQueues: stats.pausedQueues,
       queue: stats,
       timestamp: new Date().toISOString(),
     });
@@ -52,6 +57,34 @@ async function readinessCheck(req, res) {
   }
 }
 
+/**
+ * Readiness check for worker-only processes.
+ * Ready while Redis is reachable and every queue worker is running; reports
+ * not ready once shutdown has started so no new traffic is routed here.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function workerReadinessCheck(req, res) {
+  try {
+    const { healthy, redis, workers } = await getWorkerHealth();
+
+    res.status(healthy ? 200 : 503).json({
+      status: healthy ? "ready" : "not ready",
+      redis,
+      workers,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Worker readiness check failed", error);
+    res.status(503).json({
+      status: "not ready",
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
 /**
  * Liveness check endpoint for Kubernetes/orchestration platforms.
  * Simple check to verify the application is running.
@@ -77,5 +110,6 @@ async function livenessCheck(req, res) {
 module.exports = {
   healthCheck,
   readinessCheck,
+  workerReadinessCheck,
   livenessCheck,
 };
@@ -1,57 +1,253 @@
-const { exportQueue, getJobById: getQueueJobById, getQueueStats: getQueueStatsFromProvider } = require("../services/worker.service");
+const {
+  PRIORITY_LANES,
+  findJob,
+  cleanQueue,
+  CLEANABLE_STATES,
+  IdempotencyError,
+  addExportJob,
+  addBatch,
+  getJobById: getQueueJobById,
+  getQueueStats: getQueueStatsFromProvider,
+  getQueueNames,
+  PAUSE_SCOPES,
+  pauseQueues,
+  resumeQueues,
+  drainQueues,
+  listJobs: listQueueJobs,
+  cancelJob: cancelQueueJob,
+  clearCancellation,
+  subscribeToJobEvents,
+} = require("../services/worker.service");
+const artifactService = require("../services/artifact.service");
+const webhookService = require("../services/webhook.service");
+const { validateExportRequest, validateCallbackUrl } = require("../utils/request-validation.util");
 const logger = require("../utils/logger.util");
 
+const PPTX_CONTENT_TYPE =
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation";
+
+const BATCH_SUMMARY_MODES = ["none", "attachments", "links"];
+const MAX_BATCH_SIZE = parseInt(process.env.BATCH_MAX_SIZE, 10) || 100;
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+const MAX_CLIENT_ID_LENGTH = 255;
+
+const TERMINAL_STATUSES = ["completed", "failed", "cancelled"];
+const SSE_HEARTBEAT_MS = 15000;
+
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+
+const BULLMQ_TO_LEGACY_STATUS = {
+  waiting: "pending",
+  prioritized: "pending",
+  active: "processing",
+  completed: "completed",
+  failed: "failed",
+  delayed: "pending",
+  paused: "pending",
+  "waiting-children": "processing",
+  // Not a BullMQ state: reported for jobs cancelled through the API
+  cancelled: "cancelled",
+};
+
 /**
  * Maps BullMQ job states to legacy status values for backward compatibility.
  * @param {string} bullmqState - BullMQ job state (waiting, active, completed, failed, delayed, paused)
- * @returns {string} Legacy status (pending, processing, completed, failed)
+ * @returns {string} Legacy status (pending, processing, completed, failed, cancelled)
  */
 function mapBullMQStateToLegacyStatus(bullmqState) {
-  const stateMap = {
-    waiting: "pending",
-    active: "processing",
-    completed: "completed",
-    failed: "failed",
-    delayed: "pending",
-    paused: "pending",
+  return BULLMQ_TO_LEGACY_STATUS[bullmqState] || bullmqState;
+}
+
+/**
+ * Maps a legacy status back to the BullMQ states it covers.
+ * @param {string} legacyStatus - Legacy status (pending, processing, completed, failed)
+ * @returns {Array<string>} Matching BullMQ states (empty if the status is unknown)
+ */
+function mapLegacyStatusToBullMQStates(legacyStatus) {
+  return Object.keys(BULLMQ_TO_LEGACY_STATUS).filter(
+    (state) => BULLMQ_TO_LEGACY_STATUS[state] === legacyStatus
+  );
+}
+
+/**
+ * Builds the artifact block reported for a job from its stored metadata.
+ * @param {string} jobId - Job identifier
+ * @param {object} [artifact] - Artifact metadata recorded in the job result
+ * @returns {object|null} Artifact summary with download URL, or null if none was stored
+ */
+function buildArtifactInfo(jobId, artifact) {
+  if (!artifact) {
+    return null;
+  }
+
+  const expired = artifactService.isExpired(artifact);
+  return {
+    fileName: artifact.fileName,
+    size: artifact.size,
+    store: artifact.store,
+    storedAt: artifact.storedAt,
+    expiresAt: artifact.expiresAt,
+    available: !expired,
+    downloadUrl: expired ? null : `/api/v1/jobs/${jobId}/download`,
+  };
+}
+
+/**
+ * Checks an optional priority lane from a request body.
+ * @param {*} priority - Requested lane
+ * @returns {Array<{field: string, message: string}>} Violations (empty when valid)
+ */
+function validatePriority(priority) {
+  if (priority === undefined || Object.hasOwn(PRIORITY_LANES, priority)) {
+    return [];
+  }
+  return [
+    {
+      field: "priority",
+      message: `must be one of: ${Object.keys(PRIORITY_LANES).join(", ")}`,
+    },
+  ];
+}
+
+/**
+ * Reads the optional `X-Client-Id` header identifying the calling API client.
+ * Jobs are rate limited per client when it is present, otherwise per recipient.
+ * @param {object} req - Express request object
+ * @returns {{clientId: string|undefined, violations: Array<{field: string, message: string}>}} Client ID and any violations
+ */
+function getClientId(req) {
+  const clientId = req.get("X-Client-Id")?.trim();
+  if (clientId === undefined || (clientId !== "" && clientId.length <= MAX_CLIENT_ID_LENGTH)) {
+    return { clientId, violations: [] };
+  }
+  return {
+    clientId: undefined,
+    violations: [
+      {
+        field: "X-Client-Id",
+        message: `must be between 1 and ${MAX_CLIENT_ID_LENGTH} characters`,
+      },
+    ],
+  };
+}
+
+/**
+ * Validates the body of a pause, resume or drain request.
+ * @param {object} body - Request body
+ * @param {Array<string>} allowedFields - Optional fields accepted besides `queue`
+ * @returns {Array<{field: string, message: string}>} Violations (empty when valid)
+ */
+function validateQueueControlRequest(body, allowedFields) {
+  const violations = [];
+  const queueNames = getQueueNames();
+
+  if (body.queue !== undefined && !queueNames.includes(body.queue)) {
+    violations.push({ field: "queue", message: `must be one of: ${queueNames.join(", ")}` });
+  }
+
+  if (allowedFields.includes("scope") && body.scope !== undefined && !PAUSE_SCOPES.includes(body.scope)) {
+    violations.push({ field: "scope", message: `must be one of: ${PAUSE_SCOPES.join(", ")}` });
+  }
+
+  if (
+    allowedFields.includes("includeDelayed") &&
+    body.includeDelayed !== undefined &&
+    typeof body.includeDelayed !== "boolean"
+  ) {
+    violations.push({ field: "includeDelayed", message: "must be a boolean" });
+  }
+
+  return violations;
+}
+
+/**
+ * Shapes a job returned by the worker service into the public API response.
+ * @param {object} job - Job as returned by the worker service
+ * @returns {object} Job status response
+ */
+function formatJobResponse(job) {
+  // Map BullMQ state to legacy status for backward compatibility
+  const legacyStatus = mapBullMQStateToLegacyStatus(job.status);
+
+  return {
+    jobId: job.id,
+    status: legacyStatus,
+    queue: job.queue,
+    priority: job.priority,
+    attempts: job.attemptsMade,
+    maxAttempts: job.maxAttempts,
+    createdAt: job.createdAt,
+    updatedAt: job.processedOn || job.createdAt,
+    startedAt: job.processedOn,
+    completedAt: job.finishedOn,
+    failedAt: legacyStatus === "failed" ? job.finishedOn : null,
+    cancelledAt: job.cancelledAt,
+    progress: job.progress && typeof job.progress === "object" ? job.progress : null,
+    error: legacyStatus === "cancelled" ? null : job.error?.message ?? null,
+    errorCode: legacyStatus === "cancelled" ? null : job.error?.code ?? null,
+    result: job.returnValue,
+    artifact: buildArtifactInfo(job.id, job.returnValue?.artifact),
+    callback: job.callback,
+    parentJobId: job.parentJobId,
+    batch: job.batch,
   };
-  return stateMap[bullmqState] || bullmqState;
 }
 
 /**
  * Validates and queues a new export job.
+ * An `Idempotency-Key` header makes retries safe: a repeated request with the
+ * same key returns the original job ID with 200 instead of queuing again.
  *
  * @param {object} req - Express request object
  * @param {object} req.body - Request body
  * @param {string} req.body.useCase - Use case identifier
  * @param {string} req.body.email - Recipient email address
  * @param {object} [req.body.filters] - Optional filters for data export
+ * @param {string} [req.body.priority="normal"] - Priority lane (high, normal, low)
+ * @param {string} [req.body.callbackUrl] - URL notified with a signed payload when the job completes or fails
+ * @param {string} [req.body.freshness="cached"] - "fresh" bypasses the Tableau response cache
  * @param {object} res - Express response object
  */
 async function addJob(req, res) {
   try {
-    const { useCase, email, filters } = req.body;
+    const { useCase, email, filters, priority, callbackUrl, freshness } = req.body || {};
+    const { clientId, violations: clientIdViolations } = getClientId(req);
 
-    if (!useCase) {
-      return res.status(400).json({
-        error: "useCase is required",
-        validUseCases: ["POLITICAL_SNAPSHOT"],
+    const violations = [
+      ...validateExportRequest({ useCase, email, filters, freshness }),
+      ...validatePriority(priority),
+      ...validateCallbackUrl(callbackUrl),
+      ...clientIdViolations,
+    ];
+    if (callbackUrl !== undefined && !webhookService.isEnabled()) {
+      violations.push({
+        field: "callbackUrl",
+        message: "is not supported: webhook signing is not configured on this server",
       });
     }
-
-    if (!email) {
+    if (violations.length > 0) {
+      logger.warn("Export request rejected", { useCase, violations });
       return res.status(400).json({
-        error: "email is required",
+        error: "Invalid export request",
+        violations,
       });
     }
 
-    // Validate useCase exists in mapping
-    const usecaseMapping = require("../config/usecase-mapping.json");
-    if (!usecaseMapping[useCase]) {
+    const idempotencyKey = req.get("Idempotency-Key");
+    if (
+      idempotencyKey !== undefined &&
+      (idempotencyKey.trim() === "" || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)
+    ) {
       return res.status(400).json({
-        error: `Invalid useCase: ${useCase}. Valid use cases are: ${Object.keys(
-          usecaseMapping
-        ).join(", ")}`,
+        error: "Invalid export request",
+        violations: [
+          {
+            field: "Idempotency-Key",
+            message: `must be between 1 and ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`,
+          },
+        ],
       });
     }
 
@@ -59,20 +255,46 @@ async function addJob(req, res) {
       useCase,
       email,
       filterCount: filters ? Object.keys(filters).length : 0,
+      priority,
+      clientId,
+      hasCallback: !!callbackUrl,
+      hasIdempotencyKey: !!idempotencyKey,
     });
 
     // Add job to BullMQ queue
-    const job = await exportQueue.add("political-snapshot", {
-      useCase,
-      email,
-      filters: filters || {},
-    });
+    const { jobId, duplicate } = await addExportJob(
+      {
+        useCase,
+        email,
+        filters: filters || {},
+        ...(clientId && { requester: clientId }),
+        ...(callbackUrl && { callbackUrl }),
+        ...(freshness && { freshness }),
+      },
+      { idempotencyKey, priority }
+    );
+
+    if (duplicate) {
+      res.set("Idempotent-Replayed", "true");
+      return res.status(200).json({
+        message: "Export job already queued for this request",
+        jobId,
+      });
+    }
 
     res.status(202).json({
       message: "Export job queued successfully",
-      jobId: job.id,
+      jobId,
     });
   } catch (error) {
+    if (error instanceof IdempotencyError) {
+      const status = error.code === "IDEMPOTENCY_KEY_MISMATCH" ? 422 : 409;
+      return res.status(status).json({
+        error: error.message,
+        code: error.code,
+      });
+    }
+
     logger.error("Failed to queue export job", error);
     res.status(500).json({
       error: "Failed to queue export job",
@@ -108,28 +330,385 @@ async function getJobById(req, res) {
       });
     }
 
-    // Map BullMQ state to legacy status for backward compatibility
-    const legacyStatus = mapBullMQStateToLegacyStatus(job.status);
+    res.status(200).json(formatJobResponse(job));
+  } catch (error) {
+    logger.error("Failed to get job status", error, {
+      jobId: req.params.jobId,
+    });
+    res.status(500).json({
+      error: "Failed to get job status",
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Streams a job's status as Server-Sent Events until it reaches a terminal state.
+ * Sends the current status first, then `progress` events while the job runs and
+ * a final `completed`, `failed`, `cancelled` or `removed` event before closing.
+ *
+ * @param {object} req - Express request object
+ * @param {object} req.params - Route parameters
+ * @param {string} req.params.jobId - Job ID
+ * @param {object} res - Express response object
+ */
+async function streamJobEvents(req, res) {
+  const { jobId } = req.params;
+  let unsubscribe = null;
+  let heartbeat = null;
+  let closed = false;
+
+  const sendEvent = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  const closeStream = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    res.end();
+  };
+
+  // Re-reads the job and ends the stream if it has finished
+  const sendStatus = async () => {
+    const job = await getQueueJobById(jobId);
+
+    if (!job) {
+      sendEvent("removed", { jobId });
+      return closeStream();
+    }
+
+    const formatted = formatJobResponse(job);
+    if (TERMINAL_STATUSES.includes(formatted.status)) {
+      sendEvent(formatted.status, formatted);
+      return closeStream();
+    }
+
+    return formatted;
+  };
+
+  try {
+    const job = await getQueueJobById(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: "Job not found",
+        jobId,
+      });
+    }
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    req.on("close", closeStream);
+
+    // Subscribe before re-reading the status so a job finishing in between is not missed
+    unsubscribe = await subscribeToJobEvents(jobId, (event) => {
+      if (event.type === "progress") {
+        sendEvent("progress", { jobId, progress: event.progress });
+      } else {
+        sendStatus().catch((error) => {
+          logger.error("Failed to stream job status", error, { jobId });
+          closeStream();
+        });
+      }
+    });
+
+    if (closed) {
+      return unsubscribe();
+    }
+
+    const current = await sendStatus();
+    if (current) {
+      sendEvent("status", current);
+      heartbeat = setInterval(() => {
+        if (!closed) res.write(": keep-alive\n\n");
+      }, SSE_HEARTBEAT_MS);
+    }
+  } catch (error) {
+    logger.error("Failed to stream job events", error, { jobId });
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: "Failed to stream job events",
+        message: error.message,
+      });
+    }
+    sendEvent("error", { error: "Failed to stream job events", message: error.message });
+    closeStream();
+  }
+}
+
+/**
+ * Validates and queues a batch of export jobs under a parent job.
+ * Every filter set becomes one child export; the parent completes once all
+ * children have finished and can send a single summary email.
+ *
+ * @param {object} req - Express request object
+ * @param {object} req.body - Request body
+ * @param {string} req.body.useCase - Use case identifier shared by all children
+ * @param {string} req.body.email - Recipient email address
+ * @param {Array<object>} req.body.filterSets - One filters object per export
+ * @param {string} [req.body.summary="none"] - Summary email mode (none, attachments, links)
+ * @param {string} [req.body.priority="low"] - Priority lane for the exports (high, normal, low)
+ * @param {object} res - Express response object
+ */
+async function addBatchJob(req, res) {
+  try {
+    const { useCase, email, filterSets, summary = "none", priority } = req.body || {};
+    const { clientId, violations: clientIdViolations } = getClientId(req);
+    const violations = [...validatePriority(priority), ...clientIdViolations];
+
+    if (!Array.isArray(filterSets) || filterSets.length === 0) {
+      violations.push({ field: "filterSets", message: "must be a non-empty array" });
+    } else if (filterSets.length > MAX_BATCH_SIZE) {
+      violations.push({
+        field: "filterSets",
+        message: `must not contain more than ${MAX_BATCH_SIZE} entries`,
+      });
+    }
+
+    if (!BATCH_SUMMARY_MODES.includes(summary)) {
+      violations.push({
+        field: "summary",
+        message: `must be one of: ${BATCH_SUMMARY_MODES.join(", ")}`,
+      });
+    } else if (summary !== "none" && !artifactService.isEnabled()) {
+      violations.push({
+        field: "summary",
+        message: "requires an artifact store; ARTIFACT_STORE is set to none",
+      });
+    }
+
+    // Validate the shared fields once, then each filter set
+    violations.push(...validateExportRequest({ useCase, email }));
+    if (Array.isArray(filterSets) && !violations.some((v) => v.field === "useCase")) {
+      filterSets.forEach((filters, index) => {
+        validateExportRequest({ useCase, email, filters })
+          .filter((violation) => violation.field.startsWith("filters"))
+          .forEach((violation) => {
+            violations.push({
+              field: `filterSets[${index}]${violation.field.slice("filters".length)}`,
+              message: violation.message,
+            });
+          });
+      });
+    }
+
+    if (violations.length > 0) {
+      logger.warn("Batch export request rejected", { useCase, violations });
+      return res.status(400).json({
+        error: "Invalid export request",
+        violations,
+      });
+    }
+
+    logger.info("Batch export request received", {
+      useCase,
+      email,
+      childCount: filterSets.length,
+      summary,
+      priority,
+    });
+
+    const batch = await addBatch({
+      useCase,
+      email,
+      filterSets,
+      summary,
+      priority,
+      requester: clientId,
+    });
+
+    res.status(202).json({
+      message: "Batch export queued successfully",
+      jobId: batch.jobId,
+      childJobIds: batch.childJobIds,
+    });
+  } catch (error) {
+    logger.error("Failed to queue batch export", error);
+    res.status(500).json({
+      error: "Failed to queue batch export",
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Lists jobs with optional filtering and pagination.
+ *
+ * @param {object} req - Express request object
+ * @param {object} req.query - Query parameters
+ * @param {string} [req.query.status] - Comma-separated legacy statuses (pending, processing, completed, failed, cancelled)
+ * @param {string} [req.query.useCase] - Use case identifier
+ * @param {string} [req.query.email] - Recipient email address
+ * @param {string} [req.query.createdFrom] - ISO timestamp, inclusive lower bound on creation time
+ * @param {string} [req.query.createdTo] - ISO timestamp, inclusive upper bound on creation time
+ * @param {string} [req.query.limit] - Page size (default 20, max 100)
+ * @param {string} [req.query.offset] - Number of matching jobs to skip
+ * @param {string} [req.query.cursor] - Cursor returned as `nextCursor` by a previous page
+ * @param {object} res - Express response object
+ */
+async function listJobs(req, res) {
+  try {
+    const { status, useCase, email, createdFrom, createdTo, limit, offset, cursor } = req.query;
+
+    // Repeated params (?email=a&email=b) parse to arrays
+    const violations = Object.entries({ status, useCase, email, createdFrom, createdTo, limit, offset, cursor })
+      .filter(([, value]) => value !== undefined && typeof value !== "string")
+      .map(([field]) => ({ field, message: "must be a single string value" }));
+
+    if (violations.length > 0) {
+      return res.status(400).json({
+        error: "Invalid job list query",
+        violations,
+      });
+    }
+
+    let states;
+    if (status) {
+      const statuses = status.split(",").map((s) => s.trim()).filter(Boolean);
+      const validStatuses = [...new Set(Object.values(BULLMQ_TO_LEGACY_STATUS))];
+      const invalidStatuses = statuses.filter((s) => !validStatuses.includes(s));
+
+      if (invalidStatuses.length > 0) {
+        return res.status(400).json({
+          error: `Invalid status: ${invalidStatuses.join(", ")}. Valid statuses are: ${validStatuses.join(", ")}`,
+        });
+      }
+
+      states = [...new Set(statuses.flatMap(mapLegacyStatusToBullMQStates))];
+    }
+
+    const fromDate = createdFrom ? new Date(createdFrom) : undefined;
+    const toDate = createdTo ? new Date(createdTo) : undefined;
+
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        error: "createdFrom and createdTo must be valid ISO 8601 timestamps",
+      });
+    }
+
+    const pageSize = limit === undefined ? DEFAULT_LIST_LIMIT : parseInt(limit, 10);
+    const skip = offset === undefined ? 0 : parseInt(offset, 10);
+
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIST_LIMIT) {
+      return res.status(400).json({
+        error: `limit must be an integer between 1 and ${MAX_LIST_LIMIT}`,
+      });
+    }
+
+    if (!Number.isInteger(skip) || skip < 0) {
+      return res.status(400).json({
+        error: "offset must be a non-negative integer",
+      });
+    }
+
+    let page;
+    try {
+      page = await listQueueJobs({
+        states,
+        useCase,
+        email,
+        createdFrom: fromDate,
+        createdTo: toDate,
+        limit: pageSize,
+        offset: skip,
+        cursor,
+      });
+    } catch (error) {
+      if (error.message === "Invalid cursor") {
+        return res.status(400).json({
+          error: "Invalid cursor",
+        });
+      }
+      throw error;
+    }
 
     res.status(200).json({
-      jobId: job.id,
-      status: legacyStatus,
-      attempts: job.attemptsMade,
-      maxAttempts: job.maxAttempts,
-      createdAt: job.createdAt,
-      updatedAt: job.processedOn || job.createdAt,
-      startedAt: job.processedOn,
-      completedAt: job.finishedOn,
-      failedAt: legacyStatus === "failed" ? job.finishedOn : null,
-      error: job.failedReason,
-      result: job.returnValue,
+      jobs: page.jobs.map((job) => ({
+        ...formatJobResponse(job),
+        useCase: job.data?.useCase,
+        email: job.data?.email,
+        filters: job.data?.filters,
+      })),
+      pagination: {
+        limit: pageSize,
+        offset: cursor ? null : skip,
+        hasMore: page.hasMore,
+        truncated: page.truncated,
+        nextCursor: page.nextCursor,
+      },
     });
   } catch (error) {
-    logger.error("Failed to get job status", error, {
+    logger.error("Failed to list jobs", error, {
+      query: req.query,
+    });
+    res.status(500).json({
+      error: "Failed to list jobs",
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Downloads the deck generated by a completed job from the artifact store.
+ *
+ * @param {object} req - Express request object
+ * @param {object} req.params - URL parameters
+ * @param {string} req.params.jobId - Job identifier
+ * @param {object} res - Express response object
+ */
+async function downloadJobArtifact(req, res) {
+  try {
+    const { jobId } = req.params;
+
+    if (!jobId) {
+      return res.status(400).json({
+        error: "jobId is required",
+      });
+    }
+
+    const artifact = await artifactService.getArtifact(jobId);
+
+    if (!artifact) {
+      return res.status(404).json({
+        error: "Artifact not found",
+        jobId,
+        message:
+          "No stored deck exists for this job. It may not have completed yet or its retention period has elapsed.",
+      });
+    }
+
+    const { buffer, metadata } = artifact;
+    const fileName = metadata.fileName || `tableau-export-${jobId}.pptx`;
+
+    logger.info("Serving job artifact", {
+      jobId,
+      fileName,
+      size: buffer.length,
+    });
+
+    res.set({
+      "Content-Type": PPTX_CONTENT_TYPE,
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+      "Content-Length": buffer.length,
+    });
+    res.status(200).send(buffer);
+  } catch (error) {
+    logger.error("Failed to download job artifact", error, {
       jobId: req.params.jobId,
     });
     res.status(500).json({
-      error: "Failed to get job status",
+      error: "Failed to download job artifact",
       message: error.message,
     });
   }
@@ -152,13 +731,190 @@ async function getQueueStats(req, res) {
   }
 }
 
+/**
+ * Pauses export processing, e.g. during a Tableau maintenance window.
+ * The default global pause stops every instance; `scope: "local"` only stops
+ * this process's workers. Active jobs finish; new jobs are still accepted.
+ *
+ * @param {object} req - Express request object
+ * @param {object} [req.body] - Request body
+ * @param {string} [req.body.queue] - Queue to pause (defaults to every export queue)
+ * @param {string} [req.body.scope="global"] - global or local
+ * @param {object} res - Express response object
+ */
+async function pauseQueue(req, res) {
+  await changeQueuePauseState(req, res, "pause");
+}
+
+/**
+ * Resumes export processing paused with `pauseQueue`.
+ *
+ * @param {object} req - Express request object
+ * @param {object} [req.body] - Request body
+ * @param {string} [req.body.queue] - Queue to resume (defaults to every export queue)
+ * @param {string} [req.body.scope="global"] - global or local
+ * @param {object} res - Express response object
+ */
+async function resumeQueue(req, res) {
+  await changeQueuePauseState(req, res, "resume");
+}
+
+/**
+ * Shared handler for pause and resume requests.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {string} action - pause or resume
+ */
+async function changeQueuePauseState(req, res, action) {
+  try {
+    const body = req.body || {};
+    const violations = validateQueueControlRequest(body, ["scope"]);
+
+    if (violations.length > 0) {
+      return res.status(400).json({
+        error: `Invalid ${action} request`,
+        violations,
+      });
+    }
+
+    const scope = body.scope || "global";
+    const change = action === "pause" ? pauseQueues : resumeQueues;
+    const queues = await change({ queueName: body.queue, scope });
+
+    if (scope === "local" && queues.every(({ workerPaused }) => workerPaused === null)) {
+      return res.status(409).json({
+        error: "No workers run in this process",
+        message: 'Use scope "global" to pause or resume workers in other processes',
+      });
+    }
+
+    res.status(200).json({
+      message: action === "pause" ? "Export processing paused" : "Export processing resumed",
+      scope,
+      queues,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to ${action} queue`, error);
+    res.status(500).json({
+      error: `Failed to ${action} queue`,
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Removes every job waiting to run, e.g. requests that will be stale after a
+ * maintenance window. Active, completed and failed jobs are kept.
+ *
+ * @param {object} req - Express request object
+ * @param {object} [req.body] - Request body
+ * @param {string} [req.body.queue] - Queue to drain (defaults to every export queue)
+ * @param {boolean} [req.body.includeDelayed=false] - Also remove delayed jobs (retry backoff, requester deferrals)
+ * @param {object} res - Express response object
+ */
+async function drainQueue(req, res) {
+  try {
+    const body = req.body || {};
+    const violations = validateQueueControlRequest(body, ["includeDelayed"]);
+
+    if (violations.length > 0) {
+      return res.status(400).json({
+        error: "Invalid drain request",
+        violations,
+      });
+    }
+
+    const outcome = await drainQueues({
+      queueName: body.queue,
+      includeDelayed: body.includeDelayed,
+    });
+
+    res.status(200).json({
+      message: `Drain completed: ${outcome.removed} job(s) removed`,
+      ...outcome,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to drain queue", error);
+    res.status(500).json({
+      error: "Failed to drain queue",
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Removes old finished/delayed jobs and, optionally, stalled active jobs.
+ *
+ * @param {object} req - Express request object
+ * @param {object} req.body - Request body
+ * @param {Array<string>} [req.body.states=["completed","failed"]] - States to clean (completed, failed, delayed)
+ * @param {number} [req.body.olderThanSeconds=0] - Only remove jobs older than this
+ * @param {number} [req.body.keep=0] - Keep this many of the newest jobs per state
+ * @param {number} [req.body.limit=1000] - Maximum jobs removed per state
+ * @param {boolean} [req.body.removeStalled=false] - Also remove active jobs that lost their worker lock
+ * @param {number} [req.body.stalledAfterSeconds=1800] - Minimum run time before an active job counts as stalled
+ * @param {boolean} [req.body.dryRun=false] - Report what would be removed without removing anything
+ * @param {object} res - Express response object
+ */
 async function cleanupStuckJobs(req, res) {
   try {
-    // BullMQ handles stuck jobs automatically, but we can clean failed jobs if needed
-    // This is a placeholder - BullMQ doesn't have a direct equivalent to cleanupStuckJobs
-    // You can implement custom cleanup logic here if needed
+    const body = req.body || {};
+    const violations = [];
+
+    const { states } = body;
+    if (
+      states !== undefined &&
+      (!Array.isArray(states) || states.length === 0 || states.some((s) => !CLEANABLE_STATES.includes(s)))
+    ) {
+      violations.push({
+        field: "states",
+        message: `must be a non-empty array of: ${CLEANABLE_STATES.join(", ")}`,
+      });
+    }
+
+    ["olderThanSeconds", "keep", "stalledAfterSeconds"].forEach((field) => {
+      if (body[field] !== undefined && (!Number.isInteger(body[field]) || body[field] < 0)) {
+        violations.push({ field, message: "must be a non-negative integer" });
+      }
+    });
+
+    if (body.limit !== undefined && (!Number.isInteger(body.limit) || body.limit < 1)) {
+      violations.push({ field: "limit", message: "must be a positive integer" });
+    }
+
+    ["removeStalled", "dryRun"].forEach((field) => {
+      if (body[field] !== undefined && typeof body[field] !== "boolean") {
+        violations.push({ field, message: "must be a boolean" });
+      }
+    });
+
+    if (violations.length > 0) {
+      return res.status(400).json({
+        error: "Invalid cleanup request",
+        violations,
+      });
+    }
+
+    logger.info("Queue cleanup request received", body);
+
+    const outcome = await cleanQueue({
+      states,
+      olderThanSeconds: body.olderThanSeconds,
+      keep: body.keep,
+      limit: body.limit,
+      removeStalled: body.removeStalled,
+      stalledAfterSeconds: body.stalledAfterSeconds,
+      dryRun: body.dryRun,
+    });
+
     res.status(200).json({
-      message: "Cleanup completed (BullMQ handles stuck jobs automatically)",
+      message: outcome.dryRun
+        ? `Dry run: ${outcome.totalMatched} job(s) would be removed`
+        : `Cleanup completed: ${outcome.totalRemoved} job(s) removed`,
+      ...outcome,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -191,8 +947,8 @@ async function retryJob(req, res) {
 
     logger.info("Retry job request received", { jobId });
 
-    // Get the job from BullMQ
-    const job = await exportQueue.getJob(jobId);
+    // Get the job from whichever BullMQ queue holds it
+    const job = await findJob(jobId);
 
     if (!job) {
       return res.status(404).json({
@@ -213,7 +969,8 @@ async function retryJob(req, res) {
       });
     }
 
-    // Retry the job
+    // Retry the job, dropping any cancellation so the worker does not abort it again
+    await clearCancellation(job.id);
     await job.retry();
 
     logger.info("Job queued for retry", {
@@ -238,10 +995,93 @@ async function retryJob(req, res) {
   }
 }
 
+/**
+ * Cancels a queued or running job.
+ * Jobs that have not started are removed immediately; running jobs stop at
+ * their next pipeline stage and no email is sent.
+ *
+ * @param {object} req - Express request object
+ * @param {object} req.params - URL parameters
+ * @param {string} req.params.jobId - Job identifier
+ * @param {object} res - Express response object
+ */
+async function cancelJob(req, res) {
+  try {
+    const { jobId } = req.params;
+
+    if (!jobId) {
+      return res.status(400).json({
+        error: "jobId is required",
+      });
+    }
+
+    logger.info("Cancel job request received", { jobId });
+
+    const result = await cancelQueueJob(jobId);
+
+    if (!result) {
+      return res.status(404).json({
+        error: "Job not found",
+        jobId,
+      });
+    }
+
+    const previousStatus = mapBullMQStateToLegacyStatus(result.previousState);
+
+    switch (result.outcome) {
+      case "removed":
+        return res.status(200).json({
+          message: "Job cancelled successfully",
+          jobId,
+          status: "cancelled",
+          previousStatus,
+          timestamp: new Date().toISOString(),
+        });
+      case "cancelling":
+        return res.status(202).json({
+          message: "Cancellation requested. The job will stop before its next stage.",
+          jobId,
+          status: "cancelled",
+          previousStatus,
+          timestamp: new Date().toISOString(),
+        });
+      case "already_cancelled":
+        return res.status(409).json({
+          error: "Job has already been cancelled",
+          jobId,
+          status: "cancelled",
+        });
+      default:
+        return res.status(409).json({
+          error: `Job cannot be cancelled. Current status: ${previousStatus}`,
+          jobId,
+          status: previousStatus,
+          message: "Only pending or processing jobs can be cancelled.",
+        });
+    }
+  } catch (error) {
+    logger.error("Failed to cancel job", error, {
+      jobId: req.params.jobId,
+    });
+    res.status(500).json({
+      error: "Failed to cancel job",
+      message: error.message,
+    });
+  }
+}
+
 module.exports = {
   addJob,
+  addBatchJob,
+  listJobs,
   getJobById,
+  streamJobEvents,
+  downloadJobArtifact,
   getQueueStats,
+  pauseQueue,
+  resumeQueue,
+  drainQueue,
   cleanupStuckJobs,
   retryJob,
+  cancelJob,
 };
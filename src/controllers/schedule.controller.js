@@ -0,0 +1,142 @@
+const {
+  addSchedule,
+  getSchedule: getQueueSchedule,
+  listSchedules: listQueueSchedules,
+  removeSchedule,
+} = require("../services/worker.service");
+const { validateScheduleRequest } = require("../utils/request-validation.util");
+const logger = require("../utils/logger.util");
+
+/**
+ * Creates a recurring export schedule.
+ *
+ * @param {object} req - Express request object
+ * @param {object} req.body - Request body
+ * @param {string} req.body.useCase - Use case identifier
+ * @param {object} [req.body.filters] - Filters applied on every run
+ * @param {Array<string>} req.body.recipients - Recipient email addresses
+ * @param {string} req.body.cron - Cron expression, e.g. "0 8 * * 1" for Mondays at 08:00
+ * @param {string} [req.body.timezone] - IANA time zone the cron expression is evaluated in
+ * @param {string} [req.body.name] - Human-readable schedule name
+ * @param {object} res - Express response object
+ */
+async function createSchedule(req, res) {
+  try {
+    const { useCase, filters, recipients, cron, timezone, name } = req.body || {};
+
+    const violations = validateScheduleRequest({ useCase, filters, recipients, cron, timezone, name });
+    if (violations.length > 0) {
+      logger.warn("Schedule request rejected", { useCase, violations });
+      return res.status(400).json({
+        error: "Invalid schedule request",
+        violations,
+      });
+    }
+
+    const schedule = await addSchedule({ useCase, filters, recipients, cron, timezone, name });
+
+    res.status(201).json({
+      message: "Schedule created successfully",
+      ...schedule,
+    });
+  } catch (error) {
+    logger.error("Failed to create schedule", error);
+    res.status(500).json({
+      error: "Failed to create schedule",
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Lists all recurring export schedules.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function listSchedules(req, res) {
+  try {
+    const schedules = await listQueueSchedules();
+
+    res.status(200).json({
+      schedules,
+      total: schedules.length,
+    });
+  } catch (error) {
+    logger.error("Failed to list schedules", error);
+    res.status(500).json({
+      error: "Failed to list schedules",
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Gets a recurring export schedule by ID.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function getSchedule(req, res) {
+  try {
+    const { scheduleId } = req.params;
+    const schedule = await getQueueSchedule(scheduleId);
+
+    if (!schedule) {
+      return res.status(404).json({
+        error: "Schedule not found",
+        scheduleId,
+      });
+    }
+
+    res.status(200).json(schedule);
+  } catch (error) {
+    logger.error("Failed to get schedule", error, {
+      scheduleId: req.params.scheduleId,
+    });
+    res.status(500).json({
+      error: "Failed to get schedule",
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Deletes a recurring export schedule. Runs already queued still complete.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function deleteSchedule(req, res) {
+  try {
+    const { scheduleId } = req.params;
+    const removed = await removeSchedule(scheduleId);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: "Schedule not found",
+        scheduleId,
+      });
+    }
+
+    res.status(200).json({
+      message: "Schedule deleted successfully",
+      scheduleId,
+    });
+  } catch (error) {
+    logger.error("Failed to delete schedule", error, {
+      scheduleId: req.params.scheduleId,
+    });
+    res.status(500).json({
+      error: "Failed to delete schedule",
+      message: error.message,
+    });
+  }
+}
+
+module.exports = {
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  deleteSchedule,
+};
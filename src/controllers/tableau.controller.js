@@ -0,0 +1,53 @@
+const tableauService = require("../services/tableau.service");
+const tableauCacheService = require("../services/tableau-cache.service");
+const logger = require("../utils/logger.util");
+
+/**
+ * Flushes cached workbook and view metadata on every instance. Call it after
+ * republishing a workbook so exports pick up new or renamed views.
+ *
+ * @param {object} req - Express request object
+ * @param {object} [req.body] - Request body
+ * @param {string} [req.body.siteName] - Only flush this site (defaults to every site)
+ * @param {object} res - Express response object
+ */
+async function flushMetadataCache(req, res) {
+  try {
+    const { siteName } = req.body || {};
+
+    if (siteName !== undefined && (typeof siteName !== "string" || siteName.trim() === "")) {
+      return res.status(400).json({
+        error: "Invalid flush request",
+        violations: [{ field: "siteName", message: "must be a non-empty string" }],
+      });
+    }
+
+    if (!tableauCacheService.enabled) {
+      return res.status(200).json({
+        message: "Tableau cache is disabled, nothing to flush",
+        enabled: false,
+        removed: 0,
+      });
+    }
+
+    const removed = await tableauService.flushMetadataCache(siteName);
+
+    res.status(200).json({
+      message: `Tableau metadata cache flushed: ${removed} entr${removed === 1 ? "y" : "ies"} removed`,
+      enabled: true,
+      siteName: siteName || null,
+      removed,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to flush Tableau metadata cache", error);
+    res.status(500).json({
+      error: "Failed to flush Tableau metadata cache",
+      message: error.message,
+    });
+  }
+}
+
+module.exports = {
+  flushMetadataCache,
+};
@@ -0,0 +1,12 @@
+const express = require('express');
+const deadLetterController = require('../controllers/dead-letter.controller');
+
+const router = express.Router();
+
+router.get('/dead-letter', deadLetterController.listDeadLetters);
+router.delete('/dead-letter', deadLetterController.purgeDeadLetters);
+router.get('/dead-letter/:deadLetterId', deadLetterController.getDeadLetter);
+router.post('/dead-letter/:deadLetterId/replay', deadLetterController.replayDeadLetter);
+router.delete('/dead-letter/:deadLetterId', deadLetterController.deleteDeadLetter);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const exportController = require('../controllers/export.controller');
+
+const router = express.Router();
+
+router.post('/exports/preview', exportController.previewExport);
+router.get('/exports/history', exportController.getExportHistory);
+
+module.exports = router;
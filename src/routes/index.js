@@ -1,10 +1,18 @@
 const express = require('express');
 const healthRoutes = require('./health.routes');
-const exportRoutes = require('./job.routes');
+const jobRoutes = require('./job.routes');
+const exportRoutes = require('./export.routes');
+const scheduleRoutes = require('./schedule.routes');
+const deadLetterRoutes = require('./dead-letter.routes');
+const tableauRoutes = require('./tableau.routes');
 
 const router = express.Router();
 
 router.use('/', healthRoutes);
+router.use('/api/v1', jobRoutes);
 router.use('/api/v1', exportRoutes);
+router.use('/api/v1', scheduleRoutes);
+router.use('/api/v1', deadLetterRoutes);
+router.use('/api/v1', tableauRoutes);
 
 module.exports = router;
@@ -4,10 +4,19 @@ const jobController = require('../controllers/job.controller');
 const router = express.Router();
 
 router.post('/jobs', jobController.addJob);
+router.post('/jobs/batch', jobController.addBatchJob);
+router.get('/jobs', jobController.listJobs);
 // More specific routes must come before parameterized routes
 router.post('/jobs/:jobId/retry', jobController.retryJob);
+router.post('/jobs/:jobId/cancel', jobController.cancelJob);
 router.get('/jobs/queue/stats', jobController.getQueueStats);
+router.post('/jobs/queue/pause', jobController.pauseQueue);
+router.post('/jobs/queue/resume', jobController.resumeQueue);
+router.post('/jobs/queue/drain', jobController.drainQueue);
 router.post('/jobs/queue/cleanup', jobController.cleanupStuckJobs);
+router.get('/jobs/:jobId/events', jobController.streamJobEvents);
+router.get('/jobs/:jobId/download', jobController.downloadJobArtifact);
 router.get('/jobs/:jobId', jobController.getJobById);
+router.delete('/jobs/:jobId', jobController.cancelJob);
 
 module.exports = router;
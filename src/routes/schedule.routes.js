@@ -0,0 +1,11 @@
+const express = require('express');
+const scheduleController = require('../controllers/schedule.controller');
+
+const router = express.Router();
+
+router.post('/schedules', scheduleController.createSchedule);
+router.get('/schedules', scheduleController.listSchedules);
+router.get('/schedules/:scheduleId', scheduleController.getSchedule);
+router.delete('/schedules/:scheduleId', scheduleController.deleteSchedule);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const tableauController = require('../controllers/tableau.controller');
+
+const router = express.Router();
+
+router.post('/tableau/metadata/flush', tableauController.flushMetadataCache);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const healthController = require('../controllers/health.controller');
+
+const router = express.Router();
+
+/**
+ * Worker Health Routes
+ * Served by worker-only processes, which do not expose the REST API.
+ */
+
+// Basic health check
+router.get('/health', healthController.healthCheck);
+
+// Readiness check (Redis and queue workers)
+router.get('/health/ready', healthController.workerReadinessCheck);
+
+// Liveness check
+router.get('/health/live', healthController.livenessCheck);
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const fs = require("fs/promises");
+const path = require("path");
+const logger = require("../../utils/logger.util");
+
+const DEFAULT_BASE_DIR = path.join(__dirname, "../../../storage/artifacts");
+
+/**
+ * Artifact store backed by the local filesystem.
+ * Each artifact is written as `<key>.pptx` with a `<key>.json` metadata sidecar.
+ */
+class LocalArtifactStore {
+  /**
+   * @param {object} [options={}] - Store options
+   * @param {string} [options.baseDir] - Directory artifacts are written to
+   */
+  constructor(options = {}) {
+    this.name = "local";
+    this.baseDir = options.baseDir || DEFAULT_BASE_DIR;
+  }
+
+  /**
+   * Writes an artifact and its metadata to disk.
+   *
+   * @param {string} key - Artifact key (job ID)
+   * @param {Buffer} buffer - File contents
+   * @param {object} metadata - Metadata persisted alongside the file
+   * @returns {Promise<string>} Location of the stored file
+   */
+  async put(key, buffer, metadata) {
+    await fs.mkdir(this.baseDir, { recursive: true });
+
+    const filePath = this._filePath(key);
+    await fs.writeFile(filePath, buffer);
+    await fs.writeFile(this._metadataPath(key), JSON.stringify(metadata));
+
+    logger.debug("Artifact written to local store", { key, filePath });
+    return filePath;
+  }
+
+  /**
+   * Reads an artifact and its metadata from disk.
+   *
+   * @param {string} key - Artifact key (job ID)
+   * @returns {Promise<{buffer: Buffer, metadata: object}|null>} Artifact or null if missing
+   */
+  async get(key) {
+    try {
+      const [buffer, rawMetadata] = await Promise.all([
+        fs.readFile(this._filePath(key)),
+        fs.readFile(this._metadataPath(key), "utf8"),
+      ]);
+      return { buffer, metadata: JSON.parse(rawMetadata) };
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Removes an artifact and its metadata. Missing files are ignored.
+   *
+   * @param {string} key - Artifact key (job ID)
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await Promise.all([
+      fs.rm(this._filePath(key), { force: true }),
+      fs.rm(this._metadataPath(key), { force: true }),
+    ]);
+  }
+
+  /**
+   * Lists metadata for every stored artifact.
+   *
+   * @returns {Promise<Array<object>>} Metadata entries
+   */
+  async list() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.baseDir);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+
+    const metadataFiles = entries.filter((entry) => entry.endsWith(".json"));
+    const results = [];
+
+    for (const entry of metadataFiles) {
+      try {
+        const raw = await fs.readFile(path.join(this.baseDir, entry), "utf8");
+        results.push(JSON.parse(raw));
+      } catch (error) {
+        logger.warn("Skipping unreadable artifact metadata", {
+          entry,
+          error: error.message,
+        });
+      }
+    }
+
+    return results;
+  }
+
+  _filePath(key) {
+    return path.join(this.baseDir, `${this._safeKey(key)}.pptx`);
+  }
+
+  _metadataPath(key) {
+    return path.join(this.baseDir, `${this._safeKey(key)}.json`);
+  }
+
+  /**
+   * Prevents keys from escaping the base directory.
+   * @private
+   */
+  _safeKey(key) {
+    return String(key).replace(/[^a-zA-Z0-9_.:-]/g, "_");
+  }
+}
+
+module.exports = LocalArtifactStore;
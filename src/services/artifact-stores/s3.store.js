@@ -0,0 +1,168 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+  HeadObjectCommand,
+} = require("@aws-sdk/client-s3");
+const logger = require("../../utils/logger.util");
+
+const METADATA_HEADER_KEY = "artifact";
+
+/**
+ * Artifact store backed by an S3-compatible object store (AWS S3, MinIO, etc.).
+ * The deck is stored as `<prefix><key>.pptx`; metadata travels as object user metadata.
+ * Credentials are resolved through the default AWS provider chain.
+ */
+class S3ArtifactStore {
+  /**
+   * @param {object} options - Store options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} [options.region] - Bucket region
+   * @param {string} [options.endpoint] - Custom endpoint for S3-compatible stores
+   * @param {string} [options.prefix] - Key prefix inside the bucket
+   * @param {boolean} [options.forcePathStyle] - Use path-style addressing
+   */
+  constructor(options) {
+    if (!options?.bucket) {
+      throw new Error("bucket is required for the S3 artifact store");
+    }
+
+    this.name = "s3";
+    this.bucket = options.bucket;
+    this.prefix = options.prefix || "";
+    this.client = new S3Client({
+      region: options.region || "us-east-1",
+      endpoint: options.endpoint || undefined,
+      forcePathStyle: !!options.forcePathStyle,
+    });
+  }
+
+  /**
+   * Uploads an artifact with its metadata.
+   *
+   * @param {string} key - Artifact key (job ID)
+   * @param {Buffer} buffer - File contents
+   * @param {object} metadata - Metadata persisted alongside the object
+   * @returns {Promise<string>} Location of the stored object
+   */
+  async put(key, buffer, metadata) {
+    const objectKey = this._objectKey(key);
+
+    await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: objectKey,
+        Body: buffer,
+        ContentType:
+          "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+        Metadata: {
+          [METADATA_HEADER_KEY]: Buffer.from(JSON.stringify(metadata)).toString(
+            "base64"
+          ),
+        },
+      })
+    );
+
+    logger.debug("Artifact uploaded to S3 store", {
+      key,
+      bucket: this.bucket,
+      objectKey,
+    });
+    return `s3://${this.bucket}/${objectKey}`;
+  }
+
+  /**
+   * Downloads an artifact and its metadata.
+   *
+   * @param {string} key - Artifact key (job ID)
+   * @returns {Promise<{buffer: Buffer, metadata: object}|null>} Artifact or null if missing
+   */
+  async get(key) {
+    try {
+      const response = await this.client.send(
+        new GetObjectCommand({ Bucket: this.bucket, Key: this._objectKey(key) })
+      );
+      const bytes = await response.Body.transformToByteArray();
+      return {
+        buffer: Buffer.from(bytes),
+        metadata: this._decodeMetadata(response.Metadata),
+      };
+    } catch (error) {
+      if (this._isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Removes an artifact. Missing objects are ignored.
+   *
+   * @param {string} key - Artifact key (job ID)
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.client.send(
+      new DeleteObjectsCommand({
+        Bucket: this.bucket,
+        Delete: { Objects: [{ Key: this._objectKey(key) }], Quiet: true },
+      })
+    );
+  }
+
+  /**
+   * Lists metadata for every stored artifact under the configured prefix.
+   *
+   * @returns {Promise<Array<object>>} Metadata entries
+   */
+  async list() {
+    const results = [];
+    let continuationToken;
+
+    do {
+      const page = await this.client.send(
+        new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: this.prefix,
+          ContinuationToken: continuationToken,
+        })
+      );
+
+      for (const object of page.Contents || []) {
+        if (!object.Key.endsWith(".pptx")) continue;
+        const head = await this.client.send(
+          new HeadObjectCommand({ Bucket: this.bucket, Key: object.Key })
+        );
+        results.push(this._decodeMetadata(head.Metadata));
+      }
+
+      continuationToken = page.IsTruncated
+        ? page.NextContinuationToken
+        : undefined;
+    } while (continuationToken);
+
+    return results;
+  }
+
+  _objectKey(key) {
+    return `${this.prefix}${key}.pptx`;
+  }
+
+  _decodeMetadata(rawMetadata = {}) {
+    const encoded = rawMetadata[METADATA_HEADER_KEY];
+    if (!encoded) return {};
+    return JSON.parse(Buffer.from(encoded, "base64").toString("utf8"));
+  }
+
+  _isNotFound(error) {
+    return (
+      error.name === "NoSuchKey" ||
+      error.name === "NotFound" ||
+      error.$metadata?.httpStatusCode === 404
+    );
+  }
+}
+
+module.exports = S3ArtifactStore;
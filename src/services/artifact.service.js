@@ -0,0 +1,191 @@
+const LocalArtifactStore = require("./artifact-stores/local.store");
+const logger = require("../utils/logger.util");
+
+const DEFAULT_RETENTION_DAYS = 30;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Service for persisting generated decks so they can be re-downloaded per job.
+ * Delegates storage to a pluggable backend selected via `ARTIFACT_STORE`
+ * (`local` by default, `s3` for S3-compatible object stores, `none` to disable)
+ * and enforces a retention window of `ARTIFACT_RETENTION_DAYS`.
+ */
+class ArtifactService {
+  constructor() {
+    this.retentionDays =
+      parseInt(process.env.ARTIFACT_RETENTION_DAYS, 10) ||
+      DEFAULT_RETENTION_DAYS;
+    this.store = this._createStore(process.env.ARTIFACT_STORE || "local");
+    this.sweepTimer = null;
+
+    logger.info("Artifact Service initialized", {
+      store: this.store?.name || "none",
+      retentionDays: this.retentionDays,
+    });
+  }
+
+  /**
+   * Instantiates the configured storage backend.
+   *
+   * @param {string} type - Store type (local, s3, none)
+   * @returns {object|null} Store instance or null when disabled
+   * @private
+   */
+  _createStore(type) {
+    switch (type) {
+      case "none":
+        return null;
+      case "local":
+        return new LocalArtifactStore({
+          baseDir: process.env.ARTIFACT_LOCAL_DIR,
+        });
+      case "s3": {
+        // Required lazily so the AWS SDK is only loaded when actually used
+        const S3ArtifactStore = require("./artifact-stores/s3.store");
+        return new S3ArtifactStore({
+          bucket: process.env.ARTIFACT_S3_BUCKET,
+          region: process.env.ARTIFACT_S3_REGION,
+          endpoint: process.env.ARTIFACT_S3_ENDPOINT,
+          prefix: process.env.ARTIFACT_S3_PREFIX,
+          forcePathStyle: process.env.ARTIFACT_S3_FORCE_PATH_STYLE === "true",
+        });
+      }
+      default:
+        throw new Error(
+          `Unknown ARTIFACT_STORE "${type}". Supported stores: local, s3, none`
+        );
+    }
+  }
+
+  isEnabled() {
+    return this.store !== null;
+  }
+
+  /**
+   * Persists a generated deck keyed by job ID.
+   *
+   * @param {string} jobId - Job identifier used as the artifact key
+   * @param {Buffer} buffer - PPTX file contents
+   * @param {object} details - Descriptive details stored with the artifact
+   * @param {string} details.fileName - File name presented on download
+   * @param {string} [details.useCase] - Use case identifier
+   * @returns {Promise<object|null>} Artifact metadata, or null when storage is disabled
+   */
+  async saveArtifact(jobId, buffer, details) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const storedAt = new Date();
+    const metadata = {
+      jobId: String(jobId),
+      fileName: details.fileName,
+      useCase: details.useCase,
+      size: buffer.length,
+      store: this.store.name,
+      storedAt: storedAt.toISOString(),
+      expiresAt: new Date(
+        storedAt.getTime() + this.retentionDays * DAY_MS
+      ).toISOString(),
+    };
+
+    const location = await this.store.put(String(jobId), buffer, metadata);
+
+    logger.info("Artifact stored", {
+      jobId,
+      store: this.store.name,
+      location,
+      size: buffer.length,
+    });
+
+    return metadata;
+  }
+
+  /**
+   * Loads a stored deck by job ID. Expired artifacts are removed and reported missing.
+   *
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<{buffer: Buffer, metadata: object}|null>} Artifact or null if unavailable
+   */
+  async getArtifact(jobId) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const artifact = await this.store.get(String(jobId));
+    if (!artifact) {
+      return null;
+    }
+
+    if (this.isExpired(artifact.metadata)) {
+      logger.info("Artifact expired, removing", { jobId });
+      await this.store.delete(String(jobId));
+      return null;
+    }
+
+    return artifact;
+  }
+
+  /**
+   * Checks whether artifact metadata is past its retention window.
+   *
+   * @param {object} metadata - Artifact metadata
+   * @returns {boolean} True if expired
+   */
+  isExpired(metadata) {
+    return !!metadata?.expiresAt && Date.parse(metadata.expiresAt) <= Date.now();
+  }
+
+  /**
+   * Deletes every artifact whose retention window has elapsed.
+   *
+   * @returns {Promise<number>} Number of artifacts removed
+   */
+  async purgeExpired() {
+    if (!this.isEnabled()) {
+      return 0;
+    }
+
+    const entries = await this.store.list();
+    const expired = entries.filter((metadata) => this.isExpired(metadata));
+
+    for (const metadata of expired) {
+      await this.store.delete(metadata.jobId);
+    }
+
+    if (expired.length > 0) {
+      logger.info("Expired artifacts purged", {
+        store: this.store.name,
+        purged: expired.length,
+      });
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Starts the periodic retention sweep. Safe to call more than once.
+   */
+  startRetentionSweep() {
+    if (!this.isEnabled() || this.sweepTimer) {
+      return;
+    }
+
+    this.sweepTimer = setInterval(() => {
+      this.purgeExpired().catch((error) => {
+        logger.error("Artifact retention sweep failed", error);
+      });
+    }, SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  stopRetentionSweep() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+}
+
+module.exports = new ArtifactService();
@@ -2,6 +2,9 @@ const tableauViews = require("../config/tableau-views.json");
 const { buildFilterParams } = require("../utils/view-config.util");
 const { FORMAT_TYPES } = require("../utils/pptx-helpers.util");
 const logger = require("../utils/logger.util");
+const { ERROR_CODES, PermanentError } = require("../utils/errors.util");
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
 
 /**
  * Transforms Tableau CSV view data into a shape that is easy to consume when
@@ -10,7 +13,8 @@ const logger = require("../utils/logger.util");
  * The service is intentionally small and focused:
  * - `buildViewConfigsForFetching` → prepares what Tableau should return
  * - `transformViewDataMap`       → converts raw Tableau CSV responses into
- *                                  simple flag‑card and table structures
+ *                                  simple flag‑card and table structures, and
+ *                                  rendered PNGs into slide-ready images
  */
 class DataTransformerService {
   constructor() {
@@ -22,19 +26,25 @@ class DataTransformerService {
    *
    * @param {string} useCase - Use case identifier (for example, "POLITICAL_SNAPSHOT").
    * @param {object} jobFilters - Filters provided on the job request.
-   * @returns {Array<{viewName: string, viewKey: string, filters: object}>}
+   * @returns {Array<{viewName: string, viewKey: string, viewType: string, image: object, filters: object, cacheTtlSeconds: number}>}
    */
   buildViewConfigsForFetching(useCase, jobFilters = {}) {
     const useCaseConfig = tableauViews[useCase];
     if (!useCaseConfig?.VIEWS) {
-      throw new Error(`Use case "${useCase}" not found in tableau-views.json`);
+      throw new PermanentError(
+        `Use case "${useCase}" not found in tableau-views.json`,
+        ERROR_CODES.UNKNOWN_USE_CASE
+      );
     }
 
     const viewConfigs = Object.entries(useCaseConfig.VIEWS).map(
       ([viewKey, viewConfig]) => ({
         viewName: viewConfig.name,
         viewKey,
+        viewType: viewConfig.viewType,
+        image: viewConfig.image || {},
         filters: buildFilterParams(useCase, viewKey, jobFilters),
+        cacheTtlSeconds: viewConfig.cacheTtlSeconds || 0,
       })
     );
 
@@ -82,13 +92,14 @@ class DataTransformerService {
   }
 
   /**
-   * Transforms the raw Tableau CSV payload for a single view into either:
-   * - a flag‑card object `{ field, value, format }`, or
-   * - a table object `{ headers, rows }`.
+   * Transforms the raw Tableau payload for a single view into either:
+   * - a flag‑card object `{ field, value, format }`,
+   * - a table object `{ headers, rows }`, or
+   * - an image object `{ data, width, height }` for IMAGE_VIEW views.
    *
    * @param {string} useCase - Use case identifier.
    * @param {string} viewKey - View key as defined in `tableau-views.json`.
-   * @param {string} rawData - Raw Tableau payload (CSV string).
+   * @param {string} rawData - Raw Tableau payload (CSV string, or base64 PNG for IMAGE_VIEW).
    * @returns {object|null} Transformed view data or null when it cannot be used.
    */
   transformTableauData(useCase, viewKey, rawData) {
@@ -105,6 +116,10 @@ class DataTransformerService {
         return null;
       }
 
+      if (viewType === "IMAGE_VIEW") {
+        return this._transformImage(rawData, { useCase, viewKey, viewName: viewConfig.name });
+      }
+
       if (typeof rawData !== "string") {
         logger.warn("Invalid data type for Tableau view data, expected CSV string", {
           useCase,
@@ -177,6 +192,40 @@ class DataTransformerService {
     return viewConfig;
   }
 
+  /**
+   * Converts a base64 PNG rendered by Tableau into `{ data, width, height }`,
+   * where `data` is the `image/png;base64,...` string PptxGenJS accepts and
+   * width/height are the pixel dimensions read from the PNG header.
+   *
+   * @param {string} rawData - Base64-encoded PNG.
+   * @param {object} context - Context for logging.
+   * @returns {{data: string, width: number, height: number}|null}
+   * @private
+   */
+  _transformImage(rawData, context) {
+    const { useCase, viewKey, viewName } = context;
+    const buffer = typeof rawData === "string" ? Buffer.from(rawData, "base64") : null;
+
+    // Signature followed by the IHDR chunk, which holds width and height
+    if (!buffer || buffer.length < 24 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+      logger.warn("Tableau image is not a PNG, skipping", { useCase, viewKey, viewName });
+      return null;
+    }
+
+    const width = buffer.readUInt32BE(16);
+    const height = buffer.readUInt32BE(20);
+    if (width === 0 || height === 0) {
+      logger.warn("Tableau image has no size, skipping", { useCase, viewKey, viewName, width, height });
+      return null;
+    }
+
+    return {
+      data: `image/png;base64,${rawData}`,
+      width,
+      height,
+    };
+  }
+
   /**
    * Transforms flag‑card data (single value) from row maps.
    *
@@ -0,0 +1,146 @@
+const JsonLinesHistoryStore = require("./history-stores/jsonl.store");
+const logger = require("../utils/logger.util");
+const { PROCESS_ROLES, getProcessRole } = require("../utils/process-role.util");
+
+/**
+ * Service keeping a durable record of every export, beyond Redis job retention.
+ * Delegates storage to a pluggable backend selected via `EXPORT_HISTORY_STORE`
+ * (`jsonl` by default, `none` to disable).
+ */
+class ExportHistoryService {
+  constructor() {
+    this.store = this._createStore(process.env.EXPORT_HISTORY_STORE || "jsonl");
+
+    logger.info("Export History Service initialized", {
+      store: this.store?.name || "none",
+      filePath: this.store?.filePath,
+      writerId: this.store?.writerId,
+    });
+  }
+
+  /**
+   * Instantiates the configured storage backend.
+   *
+   * @param {string} type - Store type (jsonl, none)
+   * @returns {object|null} Store instance or null when disabled
+   * @throws {Error} If the store type is unknown
+   * @private
+   */
+  _createStore(type) {
+    switch (type) {
+      case "none":
+        return null;
+      case "jsonl":
+        return new JsonLinesHistoryStore({
+          filePath: process.env.EXPORT_HISTORY_FILE,
+          writerId: process.env.EXPORT_HISTORY_WRITER_ID,
+        });
+      default:
+        throw new Error(
+          `Unknown EXPORT_HISTORY_STORE "${type}". Supported stores: jsonl, none`
+        );
+    }
+  }
+
+  /**
+   * Checks that the history store suits how the process is deployed.
+   * Entrypoints call this at startup, inside their error handling.
+   *
+   * @param {string} [role=getProcessRole()] - Process role
+   * @throws {Error} If the jsonl store would use its process-local default path
+   *   while the API and workers run as separate processes
+   */
+  validateConfig(role = getProcessRole()) {
+    if (this.store?.name === "jsonl" && !process.env.EXPORT_HISTORY_FILE && role !== PROCESS_ROLES.ALL) {
+      // Workers would write history the API process can never read
+      throw new Error(
+        `EXPORT_HISTORY_FILE must point to storage shared by the API and worker processes when PROCESS_ROLE is "${role}" ` +
+          "(or set EXPORT_HISTORY_STORE=none)"
+      );
+    }
+  }
+
+  /**
+   * Checks whether a history store is configured.
+   *
+   * @returns {boolean} False when EXPORT_HISTORY_STORE is "none"
+   */
+  isEnabled() {
+    return this.store !== null;
+  }
+
+  /**
+   * Records a finished export. Failures are logged rather than thrown so a
+   * history outage never fails the export itself.
+   *
+   * @param {object} record - History record (see worker.service `buildHistoryRecord`)
+   * @returns {Promise<boolean>} True if the record was written
+   */
+  async record(record) {
+    if (!this.isEnabled()) {
+      return false;
+    }
+
+    try {
+      await this.store.append({ ...record, recordedAt: new Date().toISOString() });
+      logger.debug("Export history recorded", {
+        jobId: record.jobId,
+        outcome: record.outcome,
+      });
+      return true;
+    } catch (error) {
+      logger.error("Failed to record export history", error, {
+        jobId: record.jobId,
+        outcome: record.outcome,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Queries export history, most recently finished first.
+   *
+   * @param {object} [criteria={}] - Query criteria; all are optional
+   * @param {string} [criteria.useCase] - Use case identifier
+   * @param {string} [criteria.email] - Recipient email (case-insensitive)
+   * @param {string} [criteria.requester] - Requesting client ID
+   * @param {string} [criteria.outcome] - completed, failed or cancelled
+   * @param {string} [criteria.jobId] - Queue job ID
+   * @param {Date} [criteria.from] - Earliest finish time (inclusive)
+   * @param {Date} [criteria.to] - Latest finish time (exclusive)
+   * @param {number} [criteria.limit=20] - Page size
+   * @param {number} [criteria.offset=0] - Records to skip
+   * @returns {Promise<{records: Array<object>, hasMore: boolean, limit: number, offset: number}>} Page of records
+   */
+  async query(criteria = {}) {
+    const { useCase, email, requester, outcome, jobId, from, to, limit = 20, offset = 0 } = criteria;
+
+    if (!this.isEnabled()) {
+      return { records: [], hasMore: false, limit, offset };
+    }
+
+    const normalizedEmail = email?.toLowerCase();
+    const matches = await this.store.find((record) => {
+      const finishedAt = Date.parse(record.finishedAt);
+      return (
+        (!useCase || record.useCase === useCase) &&
+        (!requester || record.requester === requester) &&
+        (!outcome || record.outcome === outcome) &&
+        (!jobId || String(record.jobId) === String(jobId)) &&
+        (!normalizedEmail ||
+          (record.recipients || []).some((recipient) => recipient.toLowerCase() === normalizedEmail)) &&
+        (!from || finishedAt >= from.getTime()) &&
+        (!to || finishedAt < to.getTime())
+      );
+    }, { from, to, limit: offset + limit + 1 });
+
+    return {
+      records: matches.slice(offset, offset + limit),
+      hasMore: matches.length > offset + limit,
+      limit,
+      offset,
+    };
+  }
+}
+
+module.exports = new ExportHistoryService();
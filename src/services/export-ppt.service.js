@@ -1,13 +1,46 @@
 const notificationService = require("./notification.service");
+const artifactService = require("./artifact.service");
 const pptConfigService = require("./ppt-config.service");
 const tableauService = require("./tableau.service");
 const dataTransformerService = require("./data-transformer.service");
 const pptBuilder = require("../utils/ppt-builder.util");
+const { resolveFilterValues } = require("../utils/view-config.util");
 const usecaseMapping = require("../config/usecase-mapping.json");
 const logger = require("../utils/logger.util");
+const { ERROR_CODES, PermanentError } = require("../utils/errors.util");
 
 const DEFAULT_CONCURRENCY = 5;
 
+/**
+ * Progress checkpoints reported while an export runs. The fetch stage spans
+ * `percent` to `endPercent`, advancing as each view settles.
+ */
+const PROGRESS_STAGES = {
+  starting: { percent: 0, label: "Starting export" },
+  fetching: { percent: 5, endPercent: 70, label: "Fetching Tableau data" },
+  transforming: { percent: 75, label: "Transforming view data" },
+  building: { percent: 80, label: "Building presentation" },
+  storing: { percent: 90, label: "Storing presentation" },
+  emailing: { percent: 95, label: "Sending email" },
+  completed: { percent: 100, label: "Export completed" },
+};
+
+/**
+ * Escapes text for use in email HTML. Error messages from Tableau or SMTP
+ * may contain markup characters.
+ *
+ * @param {*} value - Value to escape
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 /**
  * Service responsible for orchestrating the complete export pipeline.
  * Coordinates between Tableau data fetching, transformation, PPT generation,
@@ -20,20 +53,28 @@ class ExportPptService {
 
   /**
    * Executes the complete export workflow from data fetching to email delivery.
-   * Steps: Config lookup → Build view configs → Fetch data → Transform → Generate PPT → Send email
+   * Generates the deck via `generatePresentation`, then emails it as an attachment.
    *
    * @param {object} jobData - Export job configuration
    * @param {string} jobData.useCase - Use case identifier
-   * @param {string} jobData.email - Recipient email address
+   * @param {string|Array<string>} jobData.email - Recipient email address (scheduled exports may carry several)
    * @param {object} [jobData.filters={}] - Optional filters for Tableau data
+   * @param {string} [jobData.timezone] - Time zone for relative date filters (set by schedules)
+   * @param {string} [jobData.freshness="cached"] - "fresh" bypasses the Tableau response cache
+   * @param {boolean} [jobData.skipEmail=false] - Store the deck without emailing it (batch children with a summary email)
+   * @param {object} [context={}] - Execution context supplied by the worker
+   * @param {string} [context.jobId] - Queue job ID; when present the deck is persisted as an artifact
+   * @param {function(string): Promise<void>} [context.throwIfCancelled] - Called before each stage; throws to abort a cancelled job
+   * @param {function(object): Promise<void>} [context.onProgress] - Receives a progress snapshot at every stage (see `_reportProgress`)
    * @returns {Promise<object>} Export result with status and metadata
-   * @throws {Error} If use case not found or required fields missing
+   * @throws {import('../utils/errors.util').ExportError} If use case not found, required fields missing, or a stage fails
    */
-  async processExport(jobData) {
-    const { email, filters = {}, useCase } = jobData;
+  async processExport(jobData, context = {}) {
+    const { email, filters = {}, useCase, timezone, freshness, skipEmail = false } = jobData;
+    const { jobId } = context;
 
     if (!useCase) {
-      throw new Error("useCase is required for export job");
+      throw new PermanentError("useCase is required for export job", ERROR_CODES.INVALID_JOB_DATA);
     }
 
     logger.info("Processing export job", {
@@ -43,97 +84,48 @@ class ExportPptService {
     });
 
     try {
-      logger.info("Looking up use case configuration", { useCase });
-      const useCaseConfig = usecaseMapping[useCase];
-      if (!useCaseConfig) {
-        throw new Error(
-          `Use case "${useCase}" not found in usecase-mapping.json`
-        );
-      }
+      await this._reportProgress(context, { stage: "starting" });
 
-      const { workbookName, siteName } = useCaseConfig;
-      logger.info("Use case configuration retrieved", {
-        workbookName,
-        siteName,
-        useCase,
-      });
+      const { pptBuffer, viewsProcessed, resolvedFilters } =
+        await this.generatePresentation(useCase, filters, context, { timezone, freshness });
 
-      logger.info("Building view configs for fetching", { useCase });
-      const viewConfigs = dataTransformerService.buildViewConfigsForFetching(
+      await this._reportProgress(context, { stage: "storing" });
+      const fileName = `tableau-export-${Date.now()}.pptx`;
+      const artifact = await this._storeArtifact(jobId, pptBuffer, {
+        fileName,
         useCase,
-        filters
-      );
-
-      logger.info("Fetching view data in parallel", {
-        workbookName,
-        siteName,
-        viewCount: viewConfigs.length,
       });
 
-      const viewDataMap = await tableauService.fetchViewsDataInParallel(
-        viewConfigs,
-        workbookName,
-        siteName,
-        DEFAULT_CONCURRENCY
-      );
+      await this._checkpoint(context, "email");
 
-      logger.info("View data fetched successfully", {
-        successfulViews: viewDataMap.size,
-        totalViews: viewConfigs.length,
-      });
-
-      if (viewDataMap.size === 0) {
-        throw new Error("No view data was successfully fetched from Tableau");
-      }
+      if (skipEmail) {
+        logger.info("Skipping email notification for this job", { email });
+      } else {
+        logger.info("Sending email notification", { email });
+        await this._reportProgress(context, { stage: "emailing" });
 
-      logger.info("Transforming view data to PPT format", {
-        viewCount: viewDataMap.size,
-      });
-      const transformedData = dataTransformerService.transformViewDataMap(
-        useCase,
-        viewDataMap
-      );
+        const subject = "Your Tableau Export Report";
+        const body =
+          "<p>Please find the attached <b>Tableau presentation report</b>.</p>";
 
-      // Validate that at least some data was transformed
-      if (!transformedData || Object.keys(transformedData).length === 0) {
-        throw new Error(
-          `No view data could be transformed. ` +
-          `Fetched ${viewDataMap.size} views from Tableau but all transformations failed. ` +
-          `Check logs for transformation errors.`
+        await notificationService.sendEmail(
+          email,
+          subject,
+          body,
+          pptBuffer,
+          fileName
         );
       }
 
-      logger.info("Generating PowerPoint presentation", { useCase });
-      const pptConfig = await pptConfigService.getPptConfig({
-        useCase,
-        filters,
-        viewData: transformedData,
+      await this._reportProgress(context, {
+        stage: "completed",
+        emailSent: !skipEmail,
       });
 
-      const pptBuffer = await pptBuilder.createSlidesAsBuffer(pptConfig);
-      logger.info("PowerPoint created successfully", {
-        bufferSize: pptBuffer.length,
-      });
-
-      logger.info("Sending email notification", { email });
-
-      const fileName = `tableau-export-${Date.now()}.pptx`;
-      const subject = "Your Tableau Export Report";
-      const body =
-        "<p>Please find the attached <b>Tableau presentation report</b>.</p>";
-
-      await notificationService.sendEmail(
-        email,
-        subject,
-        body,
-        pptBuffer,
-        fileName
-      );
-
       logger.info("Export job completed successfully", {
         email,
         useCase,
-        viewsProcessed: viewDataMap.size,
+        viewsProcessed,
       });
 
       return {
@@ -141,7 +133,10 @@ class ExportPptService {
         fileName,
         email,
         useCase,
-        viewsProcessed: viewDataMap.size,
+        viewsProcessed,
+        resolvedFilters,
+        artifact,
+        emailSent: !skipEmail,
       };
     } catch (error) {
       logger.error("Export job failed", error, {
@@ -154,11 +149,308 @@ class ExportPptService {
     }
   }
 
+  /**
+   * Runs the data and rendering half of the export pipeline and returns the deck.
+   * Steps: Config lookup → Resolve filters → Build view configs → Fetch data → Transform → Generate PPT
+   *
+   * @param {string} useCase - Use case identifier
+   * @param {object} [filters={}] - Optional filters for Tableau data
+   * @param {object} [context={}] - Execution context (see `processExport`)
+   * @param {object} [options={}] - Generation options
+   * @param {string} [options.timezone] - Time zone for relative date filters (defaults to DATE_FILTER_TIMEZONE or UTC)
+   * @param {string} [options.freshness="cached"] - "fresh" bypasses the Tableau response cache
+   * @returns {Promise<{pptBuffer: Buffer, viewsProcessed: number, resolvedFilters: object}>} Generated deck, fetched view count and the filter values sent to Tableau
+   * @throws {Error} If use case not found or no view data could be fetched/transformed
+   */
+  async generatePresentation(useCase, filters = {}, context = {}, options = {}) {
+    logger.info("Looking up use case configuration", { useCase });
+    const useCaseConfig = usecaseMapping[useCase];
+    if (!useCaseConfig) {
+      throw new PermanentError(
+        `Use case "${useCase}" not found in usecase-mapping.json`,
+        ERROR_CODES.UNKNOWN_USE_CASE
+      );
+    }
+
+    const { workbookName, siteName } = useCaseConfig;
+    logger.info("Use case configuration retrieved", {
+      workbookName,
+      siteName,
+      useCase,
+    });
+
+    // Relative date tokens resolve against the time of execution, not submission
+    let resolvedFilters;
+    try {
+      resolvedFilters = resolveFilterValues(useCase, filters, {
+        timezone: options.timezone,
+      });
+    } catch (error) {
+      throw new PermanentError(error.message, ERROR_CODES.INVALID_FILTER, { cause: error });
+    }
+    logger.debug("Resolved export filters", { useCase, resolvedFilters });
+
+    logger.info("Building view configs for fetching", { useCase });
+    const viewConfigs = dataTransformerService.buildViewConfigsForFetching(
+      useCase,
+      resolvedFilters
+    );
+
+    await this._checkpoint(context, "fetch");
+    await this._reportProgress(context, {
+      stage: "fetching",
+      viewsTotal: viewConfigs.length,
+      viewsFetched: 0,
+      viewsFailed: 0,
+    });
+    logger.info("Fetching view data in parallel", {
+      workbookName,
+      siteName,
+      viewCount: viewConfigs.length,
+    });
+
+    const viewDataMap = await tableauService.fetchViewsDataInParallel(
+      viewConfigs,
+      workbookName,
+      siteName,
+      DEFAULT_CONCURRENCY,
+      ({ settled, failed }) => {
+        this._reportProgress(context, {
+          stage: "fetching",
+          viewsFetched: settled - failed,
+          viewsFailed: failed,
+          viewsSettled: settled,
+        });
+      },
+      { freshness: options.freshness }
+    );
+
+    logger.info("View data fetched successfully", {
+      successfulViews: viewDataMap.size,
+      totalViews: viewConfigs.length,
+    });
+
+    await this._checkpoint(context, "transform");
+    await this._reportProgress(context, { stage: "transforming" });
+    logger.info("Transforming view data to PPT format", {
+      viewCount: viewDataMap.size,
+    });
+    const transformedData = dataTransformerService.transformViewDataMap(
+      useCase,
+      viewDataMap
+    );
+
+    // Validate that at least some data was transformed
+    if (!transformedData || Object.keys(transformedData).length === 0) {
+      throw new PermanentError(
+        `No view data could be transformed. ` +
+        `Fetched ${viewDataMap.size} views from Tableau but all transformations failed. ` +
+        `Check logs for transformation errors.`,
+        ERROR_CODES.TRANSFORM_FAILED
+      );
+    }
+
+    await this._checkpoint(context, "build");
+    await this._reportProgress(context, { stage: "building" });
+    logger.info("Generating PowerPoint presentation", { useCase });
+    const pptConfig = await pptConfigService.getPptConfig({
+      useCase,
+      filters,
+      viewData: transformedData,
+    });
+
+    const pptBuffer = await pptBuilder.createSlidesAsBuffer(pptConfig);
+    logger.info("PowerPoint created successfully", {
+      bufferSize: pptBuffer.length,
+    });
+    await this._reportProgress(context, {
+      stage: "building",
+      slidesBuilt: pptConfig.SLIDES?.length || 0,
+    });
+
+    return { pptBuffer, viewsProcessed: viewDataMap.size, resolvedFilters };
+  }
+
+  /**
+   * Gives the caller a chance to abort between pipeline stages.
+   *
+   * @param {object} context - Execution context
+   * @param {string} stage - Stage about to start (fetch, transform, build, email)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _checkpoint(context, stage) {
+    if (context.throwIfCancelled) {
+      await context.throwIfCancelled(stage);
+    }
+  }
+
+  /**
+   * Publishes a progress snapshot through `context.onProgress`.
+   * Updates are merged into the snapshot kept on the context, so each stage only
+   * passes what changed. The snapshot looks like:
+   * `{ stage, label, percent, message, viewsTotal, viewsFetched, viewsFailed, slidesBuilt, emailSent, updatedAt }`.
+   * Reporting failures are logged and never fail the export.
+   *
+   * @param {object} context - Execution context
+   * @param {object} update - Fields to merge; `stage` must be a key of PROGRESS_STAGES
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _reportProgress(context, update) {
+    if (!context.onProgress) {
+      return;
+    }
+
+    if (!context.progress) {
+      context.progress = {
+        viewsTotal: 0,
+        viewsFetched: 0,
+        viewsFailed: 0,
+        slidesBuilt: 0,
+        emailSent: false,
+      };
+    }
+
+    const { viewsSettled, ...fields } = update;
+    const progress = Object.assign(context.progress, fields);
+    const stage = PROGRESS_STAGES[progress.stage];
+
+    let percent = stage.percent;
+    let message = stage.label;
+
+    if (progress.stage === "fetching" && progress.viewsTotal > 0) {
+      const settled = viewsSettled ?? progress.viewsFetched + progress.viewsFailed;
+      percent += Math.floor(
+        ((stage.endPercent - stage.percent) * settled) / progress.viewsTotal
+      );
+      message = `${stage.label}: ${settled}/${progress.viewsTotal} views`;
+    } else if (progress.stage === "building" && progress.slidesBuilt > 0) {
+      message = `${stage.label}: ${progress.slidesBuilt} slides built`;
+    }
+
+    progress.label = stage.label;
+    progress.percent = percent;
+    progress.message = message;
+    progress.updatedAt = new Date().toISOString();
+
+    try {
+      await context.onProgress({ ...progress });
+    } catch (error) {
+      logger.warn("Failed to report export progress", {
+        jobId: context.jobId,
+        stage: progress.stage,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Persists the generated deck for later download.
+   * Storage errors are logged but do not fail the export, since the deck is
+   * still delivered by email.
+   *
+   * @param {string} [jobId] - Queue job ID used as the artifact key
+   * @param {Buffer} pptBuffer - Generated deck
+   * @param {object} details - File name and use case stored with the artifact
+   * @returns {Promise<object|null>} Artifact metadata or null if not stored
+   * @private
+   */
+  async _storeArtifact(jobId, pptBuffer, details) {
+    if (!jobId) {
+      return null;
+    }
+
+    try {
+      return await artifactService.saveArtifact(jobId, pptBuffer, details);
+    } catch (error) {
+      logger.error("Failed to store export artifact", error, { jobId });
+      return null;
+    }
+  }
+
+  /**
+   * Sends one email summarising every export in a batch.
+   * In `attachments` mode each successful deck is loaded from the artifact
+   * store and attached; in `links` mode the email lists download links.
+   *
+   * @param {string} email - Recipient email address
+   * @param {string} useCase - Use case identifier
+   * @param {string} batchJobId - Batch parent job ID
+   * @param {Array<object>} children - Child outcomes ({ jobId, status, fileName, error })
+   * @param {string} mode - Summary mode (attachments, links)
+   * @returns {Promise<void>}
+   * @throws {Error} If the email cannot be sent
+   */
+  async sendBatchSummaryEmail(email, useCase, batchJobId, children, mode) {
+    const completed = children.filter((child) => child.status === "completed");
+    const failed = children.filter((child) => child.status === "failed");
+    const baseUrl = (process.env.PUBLIC_BASE_URL || "").replace(/\/$/, "");
+
+    logger.info("Sending batch summary email", {
+      email,
+      batchJobId,
+      mode,
+      completed: completed.length,
+      failed: failed.length,
+    });
+
+    const attachments = [];
+    if (mode === "attachments") {
+      for (const child of completed) {
+        const artifact = await artifactService.getArtifact(child.jobId);
+        if (artifact) {
+          attachments.push({
+            fileContent: artifact.buffer,
+            fileName: artifact.metadata.fileName || `tableau-export-${child.jobId}.pptx`,
+          });
+        } else {
+          logger.warn("Artifact missing for batch child, omitting attachment", {
+            batchJobId,
+            jobId: child.jobId,
+          });
+        }
+      }
+    }
+
+    const rows = children
+      .map((child) => {
+        const jobId = escapeHtml(child.jobId);
+        const outcome =
+          child.status === "completed"
+            ? mode === "links"
+              ? `<a href="${escapeHtml(baseUrl)}/api/v1/jobs/${encodeURIComponent(child.jobId)}/download">Download</a>`
+              : "Attached"
+            : `Failed: ${escapeHtml(child.error || "unknown error")}`;
+        return `<tr><td>${jobId}</td><td>${outcome}</td></tr>`;
+      })
+      .join("");
+
+    const subject = `Your Tableau Export Batch (${completed.length}/${children.length} succeeded)`;
+    const body = `
+        <p>Your batch of <b>${escapeHtml(useCase)}</b> exports has finished.</p>
+        <p><strong>Batch ID:</strong> ${escapeHtml(batchJobId)}</p>
+        <table border="1" cellpadding="4" cellspacing="0">
+          <tr><th>Job ID</th><th>Result</th></tr>
+          ${rows}
+        </table>
+        <p>Please contact support with the Batch ID above if you need assistance.</p>
+      `;
+
+    await notificationService.sendEmailWithAttachments(
+      email,
+      subject,
+      body,
+      attachments
+    );
+    logger.info("Batch summary email sent", { email, batchJobId });
+  }
+
   /**
    * Sends failure notification email to user when export job fails.
    * Swallows email errors to prevent masking original failure.
    *
-   * @param {string} email - Recipient email address
+   * @param {string|Array<string>} email - Recipient email address(es)
    * @param {string} useCase - Use case identifier for context
    * @param {Error} error - Original error that caused failure
    * @param {string} jobId - Job identifier for support reference
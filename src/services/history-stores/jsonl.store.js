@@ -0,0 +1,184 @@
+const fs = require("fs");
+const fsPromises = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const logger = require("../../utils/logger.util");
+
+const DEFAULT_FILE_PATH = path.join(__dirname, "../../../storage/history/exports.jsonl");
+
+/**
+ * Export history store backed by append-only JSON-lines files.
+ * Each record is one line, appended in a single write.
+ *
+ * Records are split into one file per month of their `finishedAt` and per
+ * writer, named after `filePath` (`exports.jsonl` ->
+ * `exports-2024-01.<writerId>.jsonl`). Each host appends only to its own
+ * files, because appends from several hosts to one file on a network share
+ * can interleave or overwrite each other; processes on the same host share
+ * that host's files. Queries read the newest month first across all writers,
+ * skip months outside their time bounds and stop once they have enough
+ * matches, so they do not read the whole history.
+ */
+class JsonLinesHistoryStore {
+  /**
+   * @param {object} [options={}] - Store options
+   * @param {string} [options.filePath] - Base path of the monthly files
+   * @param {string} [options.writerId=os.hostname()] - Names this writer's files; must differ per host
+   */
+  constructor(options = {}) {
+    this.name = "jsonl";
+    this.filePath = options.filePath || DEFAULT_FILE_PATH;
+    this.writerId = (options.writerId || os.hostname()).replace(/[^A-Za-z0-9_-]/g, "_");
+
+    const { dir, name, ext } = path.parse(this.filePath);
+    this.dir = dir;
+    this.baseName = name;
+    this.extension = ext;
+    this.segmentPattern = new RegExp(
+      `^${escapeRegExp(name)}-(\\d{4})-(\\d{2})(?:\\.[A-Za-z0-9_-]+)?${escapeRegExp(ext)}$`
+    );
+  }
+
+  /**
+   * Gets the file holding this writer's records for one month.
+   *
+   * @param {string} month - Month as `YYYY-MM`
+   * @returns {string} File path
+   * @private
+   */
+  _segmentPath(month) {
+    return path.join(this.dir, `${this.baseName}-${month}.${this.writerId}${this.extension}`);
+  }
+
+  /**
+   * Appends a record to the file for the month it finished in.
+   *
+   * @param {object} record - History record
+   * @returns {Promise<void>}
+   */
+  async append(record) {
+    const finishedAt = new Date(record.finishedAt || Date.now());
+    const month = finishedAt.toISOString().slice(0, 7);
+
+    await fsPromises.mkdir(this.dir, { recursive: true });
+    await fsPromises.appendFile(this._segmentPath(month), `${JSON.stringify(record)}\n`);
+  }
+
+  /**
+   * Lists the months with records, newest first, with every writer's file.
+   *
+   * @returns {Promise<Array<{filePaths: Array<string>, start: number, end: number}>>} Months with
+   *   the finish-time range they cover (`start` inclusive, `end` exclusive)
+   * @private
+   */
+  async _listSegments() {
+    let entries;
+    try {
+      entries = await fsPromises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+
+    const months = new Map();
+    entries
+      .map((entry) => entry.match(this.segmentPattern))
+      .filter(Boolean)
+      .forEach(([fileName, year, month]) => {
+        const start = Date.UTC(Number(year), Number(month) - 1, 1);
+        if (!months.has(start)) {
+          months.set(start, { filePaths: [], start, end: Date.UTC(Number(year), Number(month), 1) });
+        }
+        months.get(start).filePaths.push(path.join(this.dir, fileName));
+      });
+
+    return [...months.values()].sort((a, b) => b.start - a.start);
+  }
+
+  /**
+   * Reads every record of one file matching a predicate, in file order.
+   *
+   * @param {string} filePath - File to read
+   * @param {function(object): boolean} predicate - Returns true for records to keep
+   * @returns {Promise<Array<object>>} Matching records
+   * @private
+   */
+  async _readSegment(filePath, predicate) {
+    const matches = [];
+    const stream = fs.createReadStream(filePath, { encoding: "utf8" });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) {
+        continue;
+      }
+
+      try {
+        const record = JSON.parse(line);
+        if (predicate(record)) {
+          matches.push(record);
+        }
+      } catch (error) {
+        // A crash mid-append can leave a partial last line
+        logger.warn("Skipping unreadable export history line", {
+          filePath,
+          lineNumber,
+          error: error.message,
+        });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Reads records matching a predicate, most recently finished first.
+   *
+   * @param {function(object): boolean} predicate - Returns true for records to keep
+   * @param {object} [options={}] - Read options
+   * @param {Date} [options.from] - Skip months ending before this finish time
+   * @param {Date} [options.to] - Skip months starting at or after this finish time
+   * @param {number} [options.limit] - Stop after the month in which this many matches were reached
+   * @returns {Promise<Array<object>>} Matching records (at least `limit` when that many exist)
+   */
+  async find(predicate, options = {}) {
+    const { from, to, limit = Infinity } = options;
+    const matches = [];
+
+    for (const segment of await this._listSegments()) {
+      if ((from && segment.end <= from.getTime()) || (to && segment.start >= to.getTime())) {
+        continue;
+      }
+
+      const segmentMatches = (
+        await Promise.all(segment.filePaths.map((filePath) => this._readSegment(filePath, predicate)))
+      ).flat();
+      segmentMatches.sort((a, b) => Date.parse(b.finishedAt) - Date.parse(a.finishedAt));
+      matches.push(...segmentMatches);
+
+      // Older months only hold records that finished earlier
+      if (matches.length >= limit) {
+        break;
+      }
+    }
+
+    return matches;
+  }
+}
+
+/**
+ * Escapes a string for use as a literal in a regular expression.
+ *
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = JsonLinesHistoryStore;
@@ -1,9 +1,17 @@
 const axios = require("axios");
 const FormData = require("form-data");
 const logger = require("../utils/logger.util");
+const { ERROR_CODES, RetryableError, toExportError } = require("../utils/errors.util");
 
 const REQUEST_TIMEOUT_MS = 30000;
 
+// Error codes for failed notification API calls (see toExportError)
+const NOTIFICATION_ERROR_CODES = {
+  auth: ERROR_CODES.NOTIFICATION_AUTH_FAILED,
+  rejected: ERROR_CODES.NOTIFICATION_REJECTED,
+  failed: ERROR_CODES.NOTIFICATION_FAILED,
+};
+
 /**
  * Service for sending email notifications with attachments.
  * Interfaces with external notification API for email delivery.
@@ -53,8 +61,9 @@ class NotificationService {
       });
 
       if (!response.data?.notificationBucketId) {
-        throw new Error(
-          "Invalid response from upload API: missing notificationBucketId"
+        throw new RetryableError(
+          "Invalid response from upload API: missing notificationBucketId",
+          ERROR_CODES.NOTIFICATION_FAILED
         );
       }
 
@@ -71,7 +80,11 @@ class NotificationService {
         fileName,
         errorDetails: error.response?.data,
       });
-      throw new Error(`Failed to upload attachment: ${error.message}`);
+      throw toExportError(
+        error,
+        `Failed to upload attachment: ${error.message}`,
+        NOTIFICATION_ERROR_CODES
+      );
     }
   }
 
@@ -79,7 +92,7 @@ class NotificationService {
    * Sends HTML email with optional file attachment.
    * Uploads attachment first if provided, then sends email with attachment reference.
    *
-   * @param {string} recipientEmail - Recipient email address
+   * @param {string|Array<string>} recipientEmail - Recipient email address(es)
    * @param {string} subject - Email subject line
    * @param {string} body - HTML email body
    * @param {Buffer} [fileContent=null] - Optional file attachment buffer
@@ -93,18 +106,51 @@ class NotificationService {
     body,
     fileContent = null,
     fileName = null
+  ) {
+    const attachments =
+      fileContent && fileName ? [{ fileContent, fileName }] : [];
+    const result = await this.sendEmailWithAttachments(
+      recipientEmail,
+      subject,
+      body,
+      attachments
+    );
+
+    return {
+      success: result.success,
+      attachmentId: result.attachmentIds[0] || null,
+      response: result.response,
+    };
+  }
+
+  /**
+   * Sends HTML email with any number of file attachments.
+   * Uploads each attachment first, then sends email referencing all of them.
+   *
+   * @param {string|Array<string>} recipientEmail - Recipient email address, or several for one shared email
+   * @param {string} subject - Email subject line
+   * @param {string} body - HTML email body
+   * @param {Array<{fileContent: Buffer, fileName: string}>} [attachments=[]] - File attachments
+   * @returns {Promise<{success: boolean, attachmentIds: Array<string>, response: object}>} Send result
+   * @throws {Error} If email send fails
+   */
+  async sendEmailWithAttachments(
+    recipientEmail,
+    subject,
+    body,
+    attachments = []
   ) {
     try {
       logger.info("Preparing to send email", {
         recipientEmail,
         subject,
-        hasAttachment: !!fileContent,
+        attachmentCount: attachments.length,
       });
 
-      let attachmentId = null;
+      const attachmentIds = [];
 
-      if (fileContent && fileName) {
-        attachmentId = await this.uploadAttachment(fileContent, fileName);
+      for (const { fileContent, fileName } of attachments) {
+        attachmentIds.push(await this.uploadAttachment(fileContent, fileName));
       }
 
       const payload = {
@@ -115,7 +161,7 @@ class NotificationService {
               channelType: "EMAIL",
               contact: {
                 from: this.emailFrom,
-                to: [recipientEmail],
+                to: [].concat(recipientEmail),
               },
               content: {
                 subject,
@@ -131,15 +177,13 @@ class NotificationService {
         },
       };
 
-      if (attachmentId) {
+      if (attachmentIds.length > 0) {
         payload.notifications[0].notification.content.attachmentInfo = {
           compression: false,
-          attachments: [
-            {
-              platform: "SELF",
-              notificationBucketId: attachmentId,
-            },
-          ],
+          attachments: attachmentIds.map((notificationBucketId) => ({
+            platform: "SELF",
+            notificationBucketId,
+          })),
         };
       }
 
@@ -148,13 +192,13 @@ class NotificationService {
       logger.info("Email sent successfully", {
         recipientEmail,
         subject,
-        attachmentId,
+        attachmentIds,
         responseStatus: response.status,
       });
 
       return {
         success: true,
-        attachmentId,
+        attachmentIds,
         response: response.data,
       };
     } catch (error) {
@@ -163,7 +207,11 @@ class NotificationService {
         subject,
         errorDetails: error.response?.data,
       });
-      throw new Error(`Failed to send email: ${error.message}`);
+      throw toExportError(
+        error,
+        `Failed to send email: ${error.message}`,
+        NOTIFICATION_ERROR_CODES
+      );
     }
   }
 
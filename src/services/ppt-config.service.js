@@ -1,4 +1,5 @@
 const logger = require('../utils/logger.util');
+const { ERROR_CODES, PermanentError } = require('../utils/errors.util');
 const politicalSnapshotService = require('./use-cases/political-snapshot.service');
 
 class PptConfigService {
@@ -14,13 +15,16 @@ class PptConfigService {
     const { useCase, viewData, ...restData } = requestData;
 
     if (!useCase) {
-      throw new Error('Use case key is required for use-case specific processing');
+      throw new PermanentError('Use case key is required for use-case specific processing', ERROR_CODES.INVALID_JOB_DATA);
     }
 
     const useCaseService = this.useCaseServices[useCase];
 
     if (!useCaseService) {
-      throw new Error(`Unknown use case: ${useCase}. Supported use cases: ${Object.keys(this.useCaseServices).join(', ')}`);
+      throw new PermanentError(
+        `Unknown use case: ${useCase}. Supported use cases: ${Object.keys(this.useCaseServices).join(', ')}`,
+        ERROR_CODES.UNKNOWN_USE_CASE
+      );
     }
 
     logger.info('Routing to use-case specific service', {
@@ -0,0 +1,268 @@
+const crypto = require("crypto");
+const { createRedisClient } = require("../utils/redis-client.util");
+const logger = require("../utils/logger.util");
+
+const KEY_PREFIX = "tableau-ppt-export:tableau-cache";
+const METADATA_KEY_PREFIX = "tableau-ppt-export:tableau-metadata";
+const FLUSH_SCAN_COUNT = 500;
+// Longer than a Tableau request with its retries, so a live fetch keeps its lock
+const LOCK_TTL_MS = 5 * 60 * 1000;
+const LOCK_POLL_MS = 250;
+
+const FRESHNESS_MODES = {
+  CACHED: "cached",
+  FRESH: "fresh",
+};
+
+// Deletes the lock only if this process still holds it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Redis-backed cache for Tableau view data, shared by every worker.
+ *
+ * Entries are keyed by site, view ID and normalised filter params and expire
+ * after the view's `cacheTtlSeconds` (tableau-views.json). Concurrent misses
+ * for the same key are coalesced: within a process they share one promise,
+ * across processes a Redis lock lets one fetch while the others wait for its
+ * result. Any Redis failure falls back to querying Tableau directly.
+ *
+ * Workbook and view metadata is cached the same way under its own prefix so
+ * it can be flushed separately (`flushMetadata`).
+ */
+class TableauCacheService {
+  constructor() {
+    this.enabled = process.env.TABLEAU_CACHE_ENABLED !== "false";
+    this.inFlight = new Map();
+    this.client = this.enabled ? createRedisClient("tableau-cache") : null;
+
+    logger.info("Tableau Cache Service initialized", {
+      enabled: this.enabled,
+    });
+  }
+
+  /**
+   * Builds the cache key for a view data request.
+   *
+   * @param {string} siteName - Tableau site
+   * @param {string} viewId - Tableau view ID
+   * @param {object} params - Query params sent to Tableau (filters)
+   * @returns {string} Cache key
+   */
+  buildKey(siteName, viewId, params) {
+    const normalized = Object.keys(params)
+      .sort()
+      .map((name) => [name, String(params[name]).trim()]);
+    const hash = crypto
+      .createHash("sha256")
+      .update(JSON.stringify(normalized))
+      .digest("hex");
+    return `${KEY_PREFIX}:${siteName}:${viewId}:${hash}`;
+  }
+
+  /**
+   * Builds the cache key for workbook or view metadata.
+   *
+   * @param {string} siteName - Tableau site
+   * @param {string} kind - Metadata kind, e.g. "workbook" or "views"
+   * @param {string} id - Workbook name or ID
+   * @returns {string} Cache key
+   */
+  buildMetadataKey(siteName, kind, id) {
+    return `${METADATA_KEY_PREFIX}:${siteName}:${kind}:${id}`;
+  }
+
+  /**
+   * Removes cached workbook and view metadata, e.g. after a workbook is
+   * republished. Applies to every instance since entries live in Redis.
+   *
+   * @param {string} [siteName] - Only flush this site (defaults to every site)
+   * @returns {Promise<number>} Number of entries removed
+   * @throws {Error} If Redis is unavailable
+   */
+  async flushMetadata(siteName) {
+    if (!this.enabled) {
+      return 0;
+    }
+
+    const scope = siteName ? `${siteName.replace(/[*?[\]\\]/g, "\\$&")}:` : "";
+    const match = `${METADATA_KEY_PREFIX}:${scope}*`;
+    let cursor = "0";
+    let removed = 0;
+
+    do {
+      const [next, keys] = await this.client.scan(cursor, "MATCH", match, "COUNT", FLUSH_SCAN_COUNT);
+      cursor = next;
+      // Locks belong to fetches in progress; they are released by their owner
+      const entries = keys.filter((key) => !key.endsWith(":lock"));
+      if (entries.length > 0) {
+        removed += await this.client.del(...entries);
+      }
+    } while (cursor !== "0");
+
+    logger.info("Tableau metadata cache flushed", { siteName: siteName || null, removed });
+    return removed;
+  }
+
+  /**
+   * Returns a cached value, or fetches, caches and returns it.
+   *
+   * @param {string} key - Cache key (see `buildKey`)
+   * @param {number} ttlSeconds - Time to live; 0 or less disables caching for this call
+   * @param {function(): Promise<*>} fetcher - Fetches the value on a miss; must return JSON-serialisable data
+   * @param {object} [options={}] - Lookup options
+   * @param {string} [options.freshness="cached"] - "fresh" skips cached entries (the new value is still cached)
+   * @returns {Promise<{value: *, source: string}>} Value and where it came from (cache, tableau)
+   */
+  async getOrFetch(key, ttlSeconds, fetcher, options = {}) {
+    const { freshness = FRESHNESS_MODES.CACHED } = options;
+
+    if (!this.enabled || !(ttlSeconds > 0)) {
+      return { value: await fetcher(), source: "tableau" };
+    }
+
+    const requestedAt = Date.now();
+    if (freshness !== FRESHNESS_MODES.FRESH) {
+      const cached = await this._read(key);
+      if (cached) {
+        return { value: cached.value, source: "cache" };
+      }
+    }
+
+    // Share a fetch already running in this process
+    if (!this.inFlight.has(key)) {
+      const promise = this._fetchWithLock(key, ttlSeconds, fetcher, requestedAt).finally(() => {
+        this.inFlight.delete(key);
+      });
+      this.inFlight.set(key, promise);
+    }
+    return this.inFlight.get(key);
+  }
+
+  /**
+   * Fetches a value under a Redis lock so only one process queries Tableau
+   * for a key at a time. Processes that lose the race wait for the winner's
+   * entry, and fetch themselves if it fails or the lock expires.
+   *
+   * @param {string} key - Cache key
+   * @param {number} ttlSeconds - Time to live
+   * @param {function(): Promise<*>} fetcher - Fetches the value
+   * @param {number} requestedAt - When the lookup started; older entries are not accepted while waiting
+   * @returns {Promise<{value: *, source: string}>} Value and source
+   * @private
+   */
+  async _fetchWithLock(key, ttlSeconds, fetcher, requestedAt) {
+    const lockKey = `${key}:lock`;
+    const token = crypto.randomUUID();
+
+    let locked = false;
+    try {
+      locked = (await this.client.set(lockKey, token, "PX", LOCK_TTL_MS, "NX")) === "OK";
+    } catch (error) {
+      logger.warn("Tableau cache unavailable, querying Tableau directly", { error: error.message });
+      return { value: await fetcher(), source: "tableau" };
+    }
+
+    if (!locked) {
+      const shared = await this._waitForEntry(key, lockKey, requestedAt);
+      if (shared) {
+        return { value: shared.value, source: "cache" };
+      }
+      return { value: await fetcher(), source: "tableau" };
+    }
+
+    try {
+      const value = await fetcher();
+      await this._write(key, value, ttlSeconds);
+      return { value, source: "tableau" };
+    } finally {
+      await this.client
+        .eval(RELEASE_LOCK_SCRIPT, 1, lockKey, token)
+        .catch((error) => logger.debug("Failed to release Tableau cache lock", { error: error.message }));
+    }
+  }
+
+  /**
+   * Waits for another process to cache a key it is fetching.
+   *
+   * @param {string} key - Cache key
+   * @param {string} lockKey - Lock held by the fetching process
+   * @param {number} requestedAt - Entries cached before this time are ignored
+   * @returns {Promise<{value: *, cachedAt: number}|null>} The entry, or null if the other fetch gave up
+   * @private
+   */
+  async _waitForEntry(key, lockKey, requestedAt) {
+    const deadline = Date.now() + LOCK_TTL_MS;
+
+    while (Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, LOCK_POLL_MS));
+
+      const entry = await this._read(key);
+      if (entry && entry.cachedAt >= requestedAt) {
+        return entry;
+      }
+
+      try {
+        if (!(await this.client.exists(lockKey))) {
+          // Released without a new entry: the other fetch failed
+          return null;
+        }
+      } catch (error) {
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Reads a cache entry, treating Redis errors and corrupt entries as misses.
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<{value: *, cachedAt: number}|null>} Entry or null
+   * @private
+   */
+  async _read(key) {
+    try {
+      const raw = await this.client.get(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      logger.warn("Tableau cache read failed", { key, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Writes a cache entry. Failures are logged; the fetched value is still used.
+   *
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   * @param {number} ttlSeconds - Time to live
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _write(key, value, ttlSeconds) {
+    try {
+      await this.client.set(key, JSON.stringify({ value, cachedAt: Date.now() }), "EX", ttlSeconds);
+    } catch (error) {
+      logger.warn("Tableau cache write failed", { key, error: error.message });
+    }
+  }
+
+  /**
+   * Closes the Redis connection.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.client) {
+      await this.client.quit().catch(() => this.client.disconnect());
+    }
+  }
+}
+
+module.exports = new TableauCacheService();
@@ -0,0 +1,166 @@
+const crypto = require("crypto");
+const pLimit = require("p-limit").default;
+const { createRedisClient } = require("../utils/redis-client.util");
+const { ERROR_CODES, RetryableError } = require("../utils/errors.util");
+const logger = require("../utils/logger.util");
+
+const DEFAULT_SITE_MAX_CONCURRENCY = 10;
+const KEY_PREFIX = "tableau-ppt-export:tableau-site-slots";
+// Slots held by a crashed worker are released after this long; longer than a
+// Tableau request with its retries
+const SLOT_LEASE_MS = 5 * 60 * 1000;
+const SLOT_POLL_MS = 200;
+const DEFAULT_SLOT_WAIT_MS = 60 * 1000;
+
+// KEYS: slots zset (token -> lease expiry)
+// ARGV: now, token, maxConcurrency, leaseMs
+// Returns 1 if the slot was taken, 0 if the site is at capacity
+const ACQUIRE_SLOT_SCRIPT = `
+local now = tonumber(ARGV[1])
+redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now)
+if redis.call("ZCARD", KEYS[1]) >= tonumber(ARGV[3]) then
+  return 0
+end
+redis.call("ZADD", KEYS[1], now + tonumber(ARGV[4]), ARGV[2])
+redis.call("PEXPIRE", KEYS[1], ARGV[4])
+return 1
+`;
+
+/**
+ * Caps concurrent Tableau requests per site, across every job in the process
+ * (`TABLEAU_SITE_MAX_CONCURRENCY`) and, optionally, across every worker
+ * process through Redis (`TABLEAU_SITE_GLOBAL_MAX_CONCURRENCY`).
+ *
+ * A request waiting for a global slot gives up its process slot between
+ * attempts, so it never blocks requests behind it that could run, and fails
+ * with a retryable error after `TABLEAU_SITE_SLOT_WAIT_MS`.
+ *
+ * If Redis is unavailable the global cap is skipped and only the process cap
+ * applies, so a Redis outage never blocks exports.
+ */
+class TableauConcurrencyService {
+  constructor() {
+    this.siteMaxConcurrency =
+      parseInt(process.env.TABLEAU_SITE_MAX_CONCURRENCY, 10) || DEFAULT_SITE_MAX_CONCURRENCY;
+    this.globalMaxConcurrency = parseInt(process.env.TABLEAU_SITE_GLOBAL_MAX_CONCURRENCY, 10) || 0;
+    this.slotWaitMs = parseInt(process.env.TABLEAU_SITE_SLOT_WAIT_MS, 10) || DEFAULT_SLOT_WAIT_MS;
+    this.siteLimits = new Map();
+    this.client = this.globalMaxConcurrency > 0 ? createRedisClient("tableau-site-slots") : null;
+
+    logger.info("Tableau Concurrency Service initialized", {
+      siteMaxConcurrency: this.siteMaxConcurrency,
+      globalMaxConcurrency: this.globalMaxConcurrency || null,
+      slotWaitMs: this.globalMaxConcurrency > 0 ? this.slotWaitMs : null,
+    });
+  }
+
+  /**
+   * Runs a Tableau request once the site has a free slot.
+   *
+   * @param {string} siteName - Tableau site the request goes to
+   * @param {function(): Promise<*>} task - Performs the request
+   * @returns {Promise<*>} The task's result
+   * @throws {RetryableError} If no global slot frees up within TABLEAU_SITE_SLOT_WAIT_MS
+   */
+  async run(siteName, task) {
+    if (!this.siteLimits.has(siteName)) {
+      this.siteLimits.set(siteName, pLimit(this.siteMaxConcurrency));
+    }
+    const limit = this.siteLimits.get(siteName);
+    const deadline = Date.now() + this.slotWaitMs;
+
+    for (;;) {
+      // The process slot is held only for one global attempt, or for the task
+      const outcome = await limit(async () => {
+        const slot = await this._tryAcquireGlobalSlot(siteName);
+        if (!slot.acquired) {
+          return { acquired: false };
+        }
+        try {
+          return { acquired: true, result: await task() };
+        } finally {
+          if (slot.token) {
+            await this._releaseGlobalSlot(siteName, slot.token);
+          }
+        }
+      });
+
+      if (outcome.acquired) {
+        return outcome.result;
+      }
+      if (Date.now() >= deadline) {
+        throw new RetryableError(
+          `No Tableau request slot for site "${siteName}" freed up within ${this.slotWaitMs}ms`,
+          ERROR_CODES.TABLEAU_REQUEST_FAILED,
+          { details: { siteName, globalMaxConcurrency: this.globalMaxConcurrency } }
+        );
+      }
+      await new Promise((resolve) => setTimeout(resolve, SLOT_POLL_MS));
+    }
+  }
+
+  /**
+   * Tries once to take a cluster-wide slot for a site.
+   *
+   * @param {string} siteName - Tableau site
+   * @returns {Promise<{acquired: boolean, token: (string|null)}>} `acquired` is false when the
+   *   site is at capacity; `token` is null when no global cap applies
+   * @private
+   */
+  async _tryAcquireGlobalSlot(siteName) {
+    if (!this.client) {
+      return { acquired: true, token: null };
+    }
+
+    const token = crypto.randomUUID();
+
+    try {
+      const acquired = await this.client.eval(
+        ACQUIRE_SLOT_SCRIPT,
+        1,
+        `${KEY_PREFIX}:${siteName}`,
+        Date.now(),
+        token,
+        this.globalMaxConcurrency,
+        SLOT_LEASE_MS
+      );
+      return { acquired: acquired === 1, token: acquired === 1 ? token : null };
+    } catch (error) {
+      logger.warn("Global Tableau site limit unavailable, using the process limit only", {
+        siteName,
+        error: error.message,
+      });
+      return { acquired: true, token: null };
+    }
+  }
+
+  /**
+   * Frees a cluster-wide slot.
+   *
+   * @param {string} siteName - Tableau site
+   * @param {string} token - Token returned by `_tryAcquireGlobalSlot`
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _releaseGlobalSlot(siteName, token) {
+    try {
+      await this.client.zrem(`${KEY_PREFIX}:${siteName}`, token);
+    } catch (error) {
+      // The lease expires on its own
+      logger.debug("Failed to release Tableau site slot", { siteName, error: error.message });
+    }
+  }
+
+  /**
+   * Closes the Redis connection.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.client) {
+      await this.client.quit().catch(() => this.client.disconnect());
+    }
+  }
+}
+
+module.exports = new TableauConcurrencyService();
@@ -1,12 +1,35 @@
 const axios = require("axios");
 const https = require("https");
 const axiosRetry = require("axios-retry").default;
+const pLimit = require("p-limit").default;
+const tableauCacheService = require("./tableau-cache.service");
+const tableauConcurrencyService = require("./tableau-concurrency.service");
 const logger = require("../utils/logger.util");
+const {
+  ERROR_CODES,
+  PermanentError,
+  RetryableError,
+  isPermanentError,
+  toExportError,
+} = require("../utils/errors.util");
 
 const TOKEN_BUFFER_TIME_MS = 10 * 60 * 1000;
 const TOKEN_LIFETIME_MS = 2 * 60 * 60 * 1000;
 const REQUEST_TIMEOUT_MS = 60000;
 const DEFAULT_RETRY_COUNT = 3;
+// Largest page the REST API allows; keeps list calls to as few requests as possible
+const LIST_PAGE_SIZE = 1000;
+// Workbooks and views rarely change; flush the cache after a republish
+const METADATA_CACHE_TTL_SECONDS = Number.isNaN(parseInt(process.env.TABLEAU_METADATA_CACHE_TTL_SECONDS, 10))
+  ? 60 * 60
+  : parseInt(process.env.TABLEAU_METADATA_CACHE_TTL_SECONDS, 10);
+
+// Error codes for failed Tableau calls (see toExportError)
+const TABLEAU_ERROR_CODES = {
+  notFound: ERROR_CODES.TABLEAU_NOT_FOUND,
+  rejected: ERROR_CODES.TABLEAU_REQUEST_REJECTED,
+  failed: ERROR_CODES.TABLEAU_REQUEST_FAILED,
+};
 
 /**
  * Service for interacting with Tableau Server REST API.
@@ -93,6 +116,60 @@ class TableauService {
     return client;
   }
 
+  /**
+   * Converts a failed Tableau API call into a typed error.
+   * A 401 means the cached session was revoked, so the token is dropped and
+   * the error stays retryable; the next attempt signs in again.
+   *
+   * @param {Error} error - Caught error
+   * @param {string} message - Message for the typed error
+   * @param {string} siteName - Site the call was made against
+   * @returns {import('../utils/errors.util').ExportError} Typed error
+   * @private
+   */
+  _toTableauError(error, message, siteName) {
+    if (error.response?.status === 401) {
+      this.authCache.delete(siteName);
+    }
+    return toExportError(error, message, TABLEAU_ERROR_CODES);
+  }
+
+  /**
+   * Reads every page of a REST API list call, following the `pagination`
+   * block (pageNumber, pageSize, totalAvailable). Responses without one are
+   * treated as a single page.
+   *
+   * @param {string} path - List endpoint path
+   * @param {string} token - Tableau auth token
+   * @param {object} options - List options
+   * @param {string} options.collection - Response field holding the list, e.g. "views"
+   * @param {string} options.item - Field inside the collection holding the items, e.g. "view"
+   * @param {object} [options.params={}] - Extra query params, e.g. filter
+   * @returns {Promise<Array<object>>} Items from every page
+   * @private
+   */
+  async _listAll(path, token, { collection, item, params = {} }) {
+    const items = [];
+
+    for (let pageNumber = 1; ; pageNumber++) {
+      const response = await this.client.get(path, {
+        headers: { "X-Tableau-Auth": token },
+        params: { ...params, pageSize: LIST_PAGE_SIZE, pageNumber },
+      });
+
+      const page = response.data?.[collection]?.[item] || [];
+      items.push(...page);
+
+      const totalAvailable = parseInt(response.data?.pagination?.totalAvailable, 10);
+      if (page.length === 0 || Number.isNaN(totalAvailable) || items.length >= totalAvailable) {
+        if (pageNumber > 1) {
+          logger.debug("Tableau list call paged", { path, pages: pageNumber, itemCount: items.length });
+        }
+        return items;
+      }
+    }
+  }
+
   /**
    * Retrieves valid authentication token with automatic refresh if expired.
    * Implements token caching and concurrent request deduplication.
@@ -103,7 +180,7 @@ class TableauService {
    */
   async getValidToken(siteName) {
     if (!siteName) {
-      throw new Error("siteName is required for authentication");
+      throw new PermanentError("siteName is required for authentication", ERROR_CODES.INVALID_JOB_DATA);
     }
 
     const now = Date.now();
@@ -146,7 +223,7 @@ class TableauService {
 
   async authenticate(siteName) {
     if (!siteName) {
-      throw new Error("siteName is required for authentication");
+      throw new PermanentError("siteName is required for authentication", ERROR_CODES.INVALID_JOB_DATA);
     }
 
     try {
@@ -192,118 +269,224 @@ class TableauService {
         siteName,
         errorDetails: error.response?.data,
       });
-      throw new Error(
-        `Tableau authentication failed for site ${siteName}: ${error.message}`
+      throw toExportError(
+        error,
+        `Tableau authentication failed for site ${siteName}: ${error.message}`,
+        { ...TABLEAU_ERROR_CODES, auth: ERROR_CODES.TABLEAU_AUTH_FAILED }
       );
     }
   }
 
-  async exportImage(viewId, filters = {}, resolution = "high", siteName) {
+  /**
+   * Exports a view rendered as a PNG. Filter names are plain Tableau field
+   * names (e.g. `{ Channel: "CTV" }`) and are sent as `vf_` params.
+   *
+   * @param {string} viewId - Tableau view ID
+   * @param {object} [filters={}] - Filter values keyed by Tableau field name
+   * @param {string} [resolution="high"] - Tableau image resolution ("high" renders at twice the size)
+   * @param {string} siteName - Site contentUrl
+   * @param {object} [options={}] - Rendering and cache options (see `exportViewImage`)
+   * @returns {Promise<string>} Base64-encoded PNG
+   * @throws {import('../utils/errors.util').ExportError} If the Tableau request fails
+   */
+  async exportImage(viewId, filters = {}, resolution = "high", siteName, options = {}) {
     if (!siteName) {
-      throw new Error("siteName is required for exportImage");
+      throw new PermanentError("siteName is required for exportImage", ERROR_CODES.INVALID_JOB_DATA);
     }
 
-    try {
-      const { token, siteId } = await this.getValidToken(siteName);
-
-      logger.info("Exporting image from Tableau view", {
-        viewId,
-        filters,
-        resolution,
-        siteName,
-      });
-
-      const params = {
-        maxAge: 1,
-        resolution,
-      };
+    const params = Object.fromEntries(
+      Object.entries(filters).map(([key, value]) => [`vf_${key}`, value])
+    );
+    return this.exportViewImage(viewId, params, siteName, { ...options, resolution });
+  }
 
-      Object.keys(filters).forEach((key) => {
-        params[`vf_${key}`] = filters[key];
-      });
+  /**
+   * Exports a view rendered as a PNG from filter query params sent as-is
+   * (e.g. `vf_Channel`, as built by `buildFilterParams`), served from the
+   * shared Tableau cache when a cache TTL is given (see tableau-cache.service).
+   *
+   * @param {string} viewId - Tableau view ID
+   * @param {object} [filters={}] - Filter query params (e.g. `vf_Channel`)
+   * @param {string} siteName - Site contentUrl
+   * @param {object} [options={}] - Rendering and cache options
+   * @param {string} [options.resolution="high"] - Tableau image resolution ("high" renders at twice the size)
+   * @param {number} [options.vizWidth] - Width in pixels to render the viz at
+   * @param {number} [options.vizHeight] - Height in pixels to render the viz at
+   * @param {number} [options.cacheTtlSeconds=0] - How long the image may be reused; 0 disables caching
+   * @param {string} [options.freshness="cached"] - "fresh" ignores cached images
+   * @returns {Promise<string>} Base64-encoded PNG
+   * @throws {import('../utils/errors.util').ExportError} If the Tableau request fails
+   */
+  async exportViewImage(viewId, filters = {}, siteName, options = {}) {
+    if (!siteName) {
+      throw new PermanentError("siteName is required for exportViewImage", ERROR_CODES.INVALID_JOB_DATA);
+    }
 
-      const response = await this.client.get(
-        `/api/3.20/sites/${siteId}/views/${viewId}/image`,
-        {
-          headers: { "X-Tableau-Auth": token },
-          params,
-          responseType: "arraybuffer",
-        }
-      );
+    const { resolution = "high", vizWidth, vizHeight, cacheTtlSeconds = 0, freshness } = options;
+    const params = { ...filters, resolution };
+    if (vizWidth) params.vizWidth = vizWidth;
+    if (vizHeight) params.vizHeight = vizHeight;
 
-      const base64Image = Buffer.from(response.data, "binary").toString(
-        "base64"
+    try {
+      const { value, source } = await tableauCacheService.getOrFetch(
+        tableauCacheService.buildKey(siteName, `${viewId}:image`, params),
+        cacheTtlSeconds,
+        () => this._fetchViewImage(viewId, params, siteName),
+        { freshness }
       );
 
-      logger.info("Image exported successfully", {
-        viewId,
-        imageSize: base64Image.length,
-        filters: Object.keys(filters).length,
-      });
-
-      return base64Image;
+      if (source === "cache") {
+        logger.info("View image served from cache", { viewId, siteName });
+      }
+      return value;
     } catch (error) {
       logger.error("Failed to export image from Tableau", error, {
         viewId,
         filters,
         errorDetails: error.response?.data,
       });
-      throw new Error(
-        `Failed to export image for view ${viewId}: ${error.message}`
+      throw this._toTableauError(
+        error,
+        `Failed to export image for view ${viewId}: ${error.message}`,
+        siteName
       );
     }
   }
 
-  async exportData(viewId, filters = {}, siteName) {
-    if (!siteName) {
-      throw new Error("siteName is required for exportData");
-    }
+  /**
+   * Renders a view as a PNG in Tableau.
+   *
+   * @param {string} viewId - Tableau view ID
+   * @param {object} params - Filter and rendering query params
+   * @param {string} siteName - Site contentUrl
+   * @returns {Promise<string>} Base64-encoded PNG
+   * @private
+   */
+  async _fetchViewImage(viewId, params, siteName) {
+    const { token, siteId } = await this.getValidToken(siteName);
 
-    try {
-      const { token, siteId } = await this.getValidToken(siteName);
+    logger.info("Exporting image from Tableau view", {
+      viewId,
+      params,
+      siteName,
+    });
 
-      logger.info("Exporting data from Tableau view", {
-        viewId,
-        filters,
-        siteName,
-      });
+    const response = await tableauConcurrencyService.run(siteName, () =>
+      this.client.get(`/api/3.20/sites/${siteId}/views/${viewId}/image`, {
+        headers: { "X-Tableau-Auth": token },
+        params: { maxAge: 1, ...params },
+        responseType: "arraybuffer",
+      })
+    );
+
+    const base64Image = Buffer.from(response.data, "binary").toString(
+      "base64"
+    );
+
+    logger.info("Image exported successfully", {
+      viewId,
+      imageSize: base64Image.length,
+    });
 
-      const params = { maxAge: 1 };
+    return base64Image;
+  }
 
-      Object.keys(filters).forEach((key) => {
-        params[key] = filters[key];
-      });
+  /**
+   * Exports a view's data, served from the shared Tableau cache when the view
+   * declares a cache TTL (see tableau-cache.service).
+   *
+   * @param {string} viewId - Tableau view ID
+   * @param {object} [filters={}] - Filter query params (e.g. `vf_Channel`)
+   * @param {string} siteName - Site contentUrl
+   * @param {object} [options={}] - Cache options
+   * @param {number} [options.cacheTtlSeconds=0] - How long the response may be reused; 0 disables caching
+   * @param {string} [options.freshness="cached"] - "fresh" ignores cached responses
+   * @returns {Promise<string>} View data (CSV)
+   * @throws {import('../utils/errors.util').ExportError} If the Tableau request fails
+   */
+  async exportData(viewId, filters = {}, siteName, options = {}) {
+    if (!siteName) {
+      throw new PermanentError("siteName is required for exportData", ERROR_CODES.INVALID_JOB_DATA);
+    }
 
-      const response = await this.client.get(
-        `/api/3.20/sites/${siteId}/views/${viewId}/data`,
-        {
-          headers: { "X-Tableau-Auth": token },
-          params,
-        }
+    const { cacheTtlSeconds = 0, freshness } = options;
+
+    try {
+      const { value, source } = await tableauCacheService.getOrFetch(
+        tableauCacheService.buildKey(siteName, viewId, filters),
+        cacheTtlSeconds,
+        () => this._fetchViewData(viewId, filters, siteName),
+        { freshness }
       );
 
-      logger.info("Data exported successfully", {
-        viewId,
-        dataSize: JSON.stringify(response.data).length,
-        filters: Object.keys(filters).length,
-      });
-      console.log(response.data);
-      return response.data;
+      if (source === "cache") {
+        logger.info("View data served from cache", { viewId, siteName });
+      }
+      return value;
     } catch (error) {
       logger.error("Failed to export data from Tableau", error, {
         viewId,
         filters,
         errorDetails: error.response?.data,
       });
-      throw new Error(
-        `Failed to export data for view ${viewId}: ${error.message}`
+      throw this._toTableauError(
+        error,
+        `Failed to export data for view ${viewId}: ${error.message}`,
+        siteName
       );
     }
   }
 
+  /**
+   * Queries a view's data from Tableau.
+   *
+   * @param {string} viewId - Tableau view ID
+   * @param {object} filters - Filter query params
+   * @param {string} siteName - Site contentUrl
+   * @returns {Promise<string>} View data (CSV)
+   * @private
+   */
+  async _fetchViewData(viewId, filters, siteName) {
+    const { token, siteId } = await this.getValidToken(siteName);
+
+    logger.info("Exporting data from Tableau view", {
+      viewId,
+      filters,
+      siteName,
+    });
+
+    const params = { maxAge: 1 };
+
+    Object.keys(filters).forEach((key) => {
+      params[key] = filters[key];
+    });
+
+    const response = await tableauConcurrencyService.run(siteName, () =>
+      this.client.get(`/api/3.20/sites/${siteId}/views/${viewId}/data`, {
+        headers: { "X-Tableau-Auth": token },
+        params,
+      })
+    );
+
+    logger.info("Data exported successfully", {
+      viewId,
+      dataSize: JSON.stringify(response.data).length,
+      filters: Object.keys(filters).length,
+    });
+    return response.data;
+  }
+
+  /**
+   * Exports several views as PNGs, one after another. Filter names are plain
+   * Tableau field names (e.g. `{ Channel: "CTV" }`), as for `exportImage`.
+   *
+   * @param {Array<{viewId: string, filters: object}>} viewConfigs - Views to export
+   * @param {string} siteName - Site contentUrl
+   * @returns {Promise<Array<object>>} Per view: { viewId, success, image } or { viewId, success, error }
+   */
   async exportMultipleImages(viewConfigs, siteName) {
     if (!siteName) {
-      throw new Error("siteName is required for exportMultipleImages");
+      throw new PermanentError("siteName is required for exportMultipleImages", ERROR_CODES.INVALID_JOB_DATA);
     }
 
     logger.info("Starting batch image export", {
@@ -351,20 +534,40 @@ class TableauService {
   }
 
   /**
-   * Get workbook by name/contentUrl
+   * Get workbook by name/contentUrl, cached for TABLEAU_METADATA_CACHE_TTL_SECONDS
    * @param {string} workbookName - Workbook contentUrl/name
    * @param {string} siteName - Site contentUrl
+   * @param {object} [options={}] - Lookup options
+   * @param {boolean} [options.refresh=false] - Skip the cached workbook (the result is still cached)
    * @returns {Promise<object>} Workbook information
    */
-  async getWorkbookByName(workbookName, siteName) {
+  async getWorkbookByName(workbookName, siteName, options = {}) {
     if (!siteName) {
-      throw new Error("siteName is required for getWorkbookByName");
+      throw new PermanentError("siteName is required for getWorkbookByName", ERROR_CODES.INVALID_JOB_DATA);
     }
 
     if (!workbookName) {
-      throw new Error("workbookName is required");
+      throw new PermanentError("workbookName is required", ERROR_CODES.INVALID_JOB_DATA);
     }
 
+    const { value } = await tableauCacheService.getOrFetch(
+      tableauCacheService.buildMetadataKey(siteName, "workbook", workbookName),
+      METADATA_CACHE_TTL_SECONDS,
+      () => this._fetchWorkbookByName(workbookName, siteName),
+      { freshness: options.refresh ? "fresh" : "cached" }
+    );
+    return value;
+  }
+
+  /**
+   * Queries Tableau for a workbook by name, bypassing the metadata cache.
+   *
+   * @param {string} workbookName - Workbook contentUrl/name
+   * @param {string} siteName - Site contentUrl
+   * @returns {Promise<object>} Workbook information
+   * @private
+   */
+  async _fetchWorkbookByName(workbookName, siteName) {
     try {
       const { token, siteId } = await this.getValidToken(siteName);
 
@@ -373,20 +576,19 @@ class TableauService {
         siteName,
       });
 
-      const response = await this.client.get(
-        `/api/3.20/sites/${siteId}/workbooks`,
-        {
-          headers: { "X-Tableau-Auth": token },
-          params: {
-            filter: `contentUrl:eq:${workbookName}`,
-          },
-        }
-      );
-
-      const workbooks = response.data?.workbooks?.workbook || [];
+      const workbooks = await this._listAll(`/api/3.20/sites/${siteId}/workbooks`, token, {
+        collection: "workbooks",
+        item: "workbook",
+        params: {
+          filter: `contentUrl:eq:${workbookName}`,
+        },
+      });
 
       if (workbooks.length === 0) {
-        throw new Error(`Workbook "${workbookName}" not found`);
+        throw new PermanentError(
+          `Workbook "${workbookName}" not found`,
+          ERROR_CODES.TABLEAU_NOT_FOUND
+        );
       }
 
       const workbook = workbooks[0];
@@ -404,27 +606,49 @@ class TableauService {
         siteName,
         errorDetails: error.response?.data,
       });
-      throw new Error(
-        `Failed to fetch workbook "${workbookName}": ${error.message}`
+      throw this._toTableauError(
+        error,
+        `Failed to fetch workbook "${workbookName}": ${error.message}`,
+        siteName
       );
     }
   }
 
   /**
-   * Get views from a workbook
+   * Get views from a workbook, cached for TABLEAU_METADATA_CACHE_TTL_SECONDS
    * @param {string} workbookId - Workbook ID
    * @param {string} siteName - Site contentUrl
+   * @param {object} [options={}] - Lookup options
+   * @param {boolean} [options.refresh=false] - Skip the cached views (the result is still cached)
    * @returns {Promise<Array>} Array of view information
    */
-  async getWorkbookViews(workbookId, siteName) {
+  async getWorkbookViews(workbookId, siteName, options = {}) {
     if (!siteName) {
-      throw new Error("siteName is required for getWorkbookViews");
+      throw new PermanentError("siteName is required for getWorkbookViews", ERROR_CODES.INVALID_JOB_DATA);
     }
 
     if (!workbookId) {
-      throw new Error("workbookId is required");
+      throw new PermanentError("workbookId is required", ERROR_CODES.INVALID_JOB_DATA);
     }
 
+    const { value } = await tableauCacheService.getOrFetch(
+      tableauCacheService.buildMetadataKey(siteName, "views", workbookId),
+      METADATA_CACHE_TTL_SECONDS,
+      () => this._fetchWorkbookViews(workbookId, siteName),
+      { freshness: options.refresh ? "fresh" : "cached" }
+    );
+    return value;
+  }
+
+  /**
+   * Queries Tableau for a workbook's views, bypassing the metadata cache.
+   *
+   * @param {string} workbookId - Workbook ID
+   * @param {string} siteName - Site contentUrl
+   * @returns {Promise<Array>} Array of view information
+   * @private
+   */
+  async _fetchWorkbookViews(workbookId, siteName) {
     try {
       const { token, siteId } = await this.getValidToken(siteName);
 
@@ -433,14 +657,10 @@ class TableauService {
         siteName,
       });
 
-      const response = await this.client.get(
-        `/api/3.20/sites/${siteId}/workbooks/${workbookId}/views`,
-        {
-          headers: { "X-Tableau-Auth": token },
-        }
-      );
-
-      const views = response.data?.views?.view || [];
+      const views = await this._listAll(`/api/3.20/sites/${siteId}/workbooks/${workbookId}/views`, token, {
+        collection: "views",
+        item: "view",
+      });
 
       logger.info("Views fetched successfully", {
         workbookId,
@@ -454,36 +674,92 @@ class TableauService {
         siteName,
         errorDetails: error.response?.data,
       });
-      throw new Error(
-        `Failed to fetch views for workbook ${workbookId}: ${error.message}`
+      throw this._toTableauError(
+        error,
+        `Failed to fetch views for workbook ${workbookId}: ${error.message}`,
+        siteName
       );
     }
   }
 
+  /**
+   * Maps a workbook's view names to view IDs. Cached metadata is refreshed
+   * once if any requested view is missing from it, since the workbook may
+   * have been republished with new views.
+   *
+   * @param {string} workbookName - Workbook contentUrl/name
+   * @param {string} siteName - Site contentUrl
+   * @param {Array<string>} viewNames - Views the caller needs
+   * @returns {Promise<Map<string, string>>} Map of view name -> view ID
+   * @private
+   */
+  async _getViewIds(workbookName, siteName, viewNames) {
+    const lookup = async (refresh) => {
+      const workbook = await this.getWorkbookByName(workbookName, siteName, { refresh });
+      const views = await this.getWorkbookViews(workbook.id, siteName, { refresh });
+      return new Map(views.map((view) => [view.viewUrlName, view.id]));
+    };
+
+    const viewIds = await lookup(false);
+    const missing = viewNames.filter((viewName) => !viewIds.has(viewName));
+    if (missing.length === 0) {
+      return viewIds;
+    }
+
+    logger.info("Views missing from workbook metadata, refreshing", {
+      workbookName,
+      siteName,
+      missing,
+    });
+    return lookup(true);
+  }
+
+  /**
+   * Removes cached workbook and view metadata on every instance, e.g. after
+   * a workbook is republished.
+   *
+   * @param {string} [siteName] - Only flush this site (defaults to every site)
+   * @returns {Promise<number>} Number of cache entries removed
+   */
+  async flushMetadataCache(siteName) {
+    return tableauCacheService.flushMetadata(siteName);
+  }
+
   /**
    * Fetch multiple view data in parallel
-   * @param {Array<object>} viewConfigs - Array of view configs: [{ viewName, viewKey, filters }]
+   * @param {Array<object>} viewConfigs - Array of view configs: [{ viewName, viewKey, viewType, image, filters, cacheTtlSeconds }]; IMAGE_VIEW views are fetched as PNGs
    * @param {string} workbookName - Workbook name/contentUrl
    * @param {string} siteName - Site contentUrl
-   * @param {number} concurrency - Maximum concurrent requests (default: 5)
-   * @returns {Promise<Map<string, object>>} Map of viewKey -> view data
+   * @param {number} concurrency - Maximum concurrent requests for this call (default: 5); the per-site cap applies on top
+   * @param {function(object): void} [onViewSettled] - Called after each view finishes with { viewKey, success, settled, failed, total }
+   * @param {object} [options={}] - Fetch options
+   * @param {string} [options.freshness="cached"] - "fresh" ignores cached view data
+   * @returns {Promise<Map<string, object>>} Map of viewKey -> view data (CSV, or base64 PNG for IMAGE_VIEW)
    */
   async fetchViewsDataInParallel(
     viewConfigs,
     workbookName,
     siteName,
-    concurrency = 5
+    concurrency = 5,
+    onViewSettled,
+    options = {}
   ) {
     if (!siteName) {
-      throw new Error("siteName is required for fetchViewsDataInParallel");
+      throw new PermanentError("siteName is required for fetchViewsDataInParallel", ERROR_CODES.INVALID_JOB_DATA);
     }
 
     if (!workbookName) {
-      throw new Error("workbookName is required for fetchViewsDataInParallel");
+      throw new PermanentError(
+        "workbookName is required for fetchViewsDataInParallel",
+        ERROR_CODES.INVALID_JOB_DATA
+      );
     }
 
     if (!Array.isArray(viewConfigs) || viewConfigs.length === 0) {
-      throw new Error("viewConfigs array is required and must not be empty");
+      throw new PermanentError(
+        "viewConfigs array is required and must not be empty",
+        ERROR_CODES.INVALID_JOB_DATA
+      );
     }
 
     logger.info("Starting parallel view data fetch", {
@@ -493,102 +769,143 @@ class TableauService {
       concurrency,
     });
 
+    const results = new Map();
+    const failures = [];
+
     try {
-      // Get workbook and find view IDs
-      const workbook = await this.getWorkbookByName(workbookName, siteName);
-      const views = await this.getWorkbookViews(workbook.id, siteName);
-
-      // Create a map of view name -> view ID
-      const viewNameToIdMap = new Map();
-      views.forEach((view) => {
-        viewNameToIdMap.set(view.viewUrlName, view.id);
-      });
+      const viewNameToIdMap = await this._getViewIds(
+        workbookName,
+        siteName,
+        viewConfigs.map(({ viewName }) => viewName)
+      );
 
       // Process views with concurrency control
-      const results = new Map();
-
-      for (let i = 0; i < viewConfigs.length; i += concurrency) {
-        const batch = viewConfigs.slice(i, i + concurrency);
-
-        const batchPromises = batch.map(async (viewConfig) => {
-          const { viewName, viewKey, filters = {} } = viewConfig;
-
-          try {
-            const viewId = viewNameToIdMap.get(viewName);
-
-            if (!viewId) {
-              logger.warn("View not found in workbook", {
-                viewName,
-                workbookName,
-                availableViews: Array.from(viewNameToIdMap.keys()),
-              });
-              return {
-                viewKey,
-                success: false,
-                error: `View "${viewName}" not found`,
-              };
-            }
-
-            logger.debug("Fetching view data", {
-              viewName,
-              viewKey,
-              viewId,
-              filterCount: Object.keys(filters).length,
-            });
+      let settled = 0;
+      let failed = 0;
+
+      const notifySettled = (result) => {
+        settled++;
+        if (!result.success) failed++;
+        if (onViewSettled) {
+          onViewSettled({
+            viewKey: result.viewKey,
+            success: result.success,
+            settled,
+            failed,
+            total: viewConfigs.length,
+          });
+        }
+        return result;
+      };
 
-            const data = await this.exportData(viewId, filters, siteName);
+      const fetchView = async (viewConfig) => {
+        const { viewName, viewKey, viewType, image = {}, filters = {}, cacheTtlSeconds } = viewConfig;
 
-            return {
-              viewKey,
-              viewName,
-              success: true,
-              data,
-            };
-          } catch (error) {
-            logger.error("Failed to fetch view data", error, {
+        try {
+          const viewId = viewNameToIdMap.get(viewName);
+
+          if (!viewId) {
+            logger.warn("View not found in workbook", {
               viewName,
-              viewKey,
-              filters,
+              workbookName,
+              availableViews: Array.from(viewNameToIdMap.keys()),
             });
             return {
               viewKey,
-              viewName,
               success: false,
-              error: error.message,
+              error: `View "${viewName}" not found`,
+              errorCode: ERROR_CODES.TABLEAU_NOT_FOUND,
+              retryable: false,
             };
           }
-        });
 
-        const batchResults = await Promise.all(batchPromises);
+          logger.debug("Fetching view data", {
+            viewName,
+            viewKey,
+            viewId,
+            filterCount: Object.keys(filters).length,
+          });
+
+          const data =
+            viewType === "IMAGE_VIEW"
+              ? await this.exportViewImage(viewId, filters, siteName, {
+                  resolution: image.resolution,
+                  vizWidth: image.vizWidth,
+                  vizHeight: image.vizHeight,
+                  cacheTtlSeconds,
+                  freshness: options.freshness,
+                })
+              : await this.exportData(viewId, filters, siteName, {
+                  cacheTtlSeconds,
+                  freshness: options.freshness,
+                });
+
+          return {
+            viewKey,
+            viewName,
+            success: true,
+            data,
+          };
+        } catch (error) {
+          logger.error("Failed to fetch view data", error, {
+            viewName,
+            viewKey,
+            filters,
+          });
+          return {
+            viewKey,
+            viewName,
+            success: false,
+            error: error.message,
+            errorCode: error.code,
+            retryable: !isPermanentError(error),
+          };
+        }
+      };
 
-        batchResults.forEach((result) => {
-          if (result.success) {
-            results.set(result.viewKey, result.data);
-          } else {
-            logger.warn("View fetch failed, will be skipped", {
-              viewKey: result.viewKey,
-              viewName: result.viewName,
-              error: result.error,
-            });
-          }
-        });
-      }
+      // Sliding window: a new view starts as soon as any in-flight view finishes
+      const limit = pLimit(concurrency);
+      const viewResults = await Promise.all(
+        viewConfigs.map((viewConfig) => limit(() => fetchView(viewConfig).then(notifySettled)))
+      );
+
+      viewResults.forEach((result) => {
+        if (result.success) {
+          results.set(result.viewKey, result.data);
+        } else {
+          failures.push(result);
+          logger.warn("View fetch failed, will be skipped", {
+            viewKey: result.viewKey,
+            viewName: result.viewName,
+            error: result.error,
+          });
+        }
+      });
 
       logger.info("Parallel view data fetch completed", {
         totalViews: viewConfigs.length,
         successful: results.size,
         failed: viewConfigs.length - results.size,
       });
-
-      return results;
     } catch (error) {
       logger.error("Failed to fetch views data in parallel", error, {
         workbookName,
         siteName,
         viewCount: viewConfigs.length,
       });
-      throw new Error(`Failed to fetch views data: ${error.message}`);
+      throw toExportError(error, `Failed to fetch views data: ${error.message}`, TABLEAU_ERROR_CODES);
     }
+
+    // No data fails the export; it is permanent only if every view failed permanently
+    if (results.size === 0) {
+      const message = `No view data was fetched: ${failures[0].error}`;
+      if (failures.every((failure) => !failure.retryable)) {
+        throw new PermanentError(message, failures[0].errorCode || ERROR_CODES.NO_VIEW_DATA);
+      }
+      throw new RetryableError(message, ERROR_CODES.NO_VIEW_DATA);
+    }
+
+    return results;
   }
 }
 
@@ -1,6 +1,7 @@
 const slideViewMapping = require("../../config/slide-view-mapping.json");
 const path = require("path");
 const logger = require("../../utils/logger.util");
+const { ERROR_CODES, PermanentError } = require("../../utils/errors.util");
 const {
   CENTER_ALIGN,
   LAYOUT_WIDE,
@@ -13,6 +14,7 @@ const {
   FORMAT_TYPES,
   buildTableFromConfig,
   buildChartFromConfig,
+  buildImageFromViewData,
 } = require("../../utils/pptx-helpers.util");
 
 class PoliticalSnapshotService {
@@ -51,7 +53,10 @@ class PoliticalSnapshotService {
     try {
       const slideMapping = slideViewMapping[useCase];
       if (!slideMapping || !slideMapping.slides) {
-        throw new Error(`Slide mapping not found for usecase: ${useCase}`);
+        throw new PermanentError(
+          `Slide mapping not found for usecase: ${useCase}`,
+          ERROR_CODES.SLIDE_MAPPING_NOT_FOUND
+        );
       }
 
       const totalSlides = slideMapping.slides.length;
@@ -59,7 +64,7 @@ class PoliticalSnapshotService {
       
       // Require viewData - no static fallback in production
       if (!viewData || Object.keys(viewData).length === 0) {
-        throw new Error('viewData is required for PPT generation');
+        throw new PermanentError('viewData is required for PPT generation', ERROR_CODES.INVALID_JOB_DATA);
       }
       
       // Merge viewData with any defaults (currently just uses viewData as-is)
@@ -75,6 +80,11 @@ class PoliticalSnapshotService {
       for (let slideNumber = 1; slideNumber <= this.TOTAL_SLIDES; slideNumber++) {
         logger.info("Creating slide", { slideNumber });
         const slide = await this._createSlide(slideNumber, dataToUse);
+        this._addMappedImages(
+          slide,
+          slideMapping.slides.find((slideConfig) => slideConfig.slideNumber === slideNumber),
+          dataToUse
+        );
         logger.info("Slide created", { slideNumber });
         slides.push(slide);
       }
@@ -149,6 +159,63 @@ class PoliticalSnapshotService {
     return data;
   }
 
+  /**
+   * Places the IMAGE elements of a slide mapping entry on a slide. Each
+   * element names an IMAGE_VIEW view (`dataKey`) and the area it fills
+   * (`rect`, in centimeters); the image keeps its aspect ratio inside it.
+   * Elements whose view was not fetched are skipped, and so are elements
+   * without a positive `rect` or whose image has no size, with a warning.
+   *
+   * @param {object} slide - Slide configuration being built
+   * @param {object} [slideConfig] - Slide entry from slide-view-mapping.json
+   * @param {object} viewData - View data object
+   */
+  _addMappedImages(slide, slideConfig, viewData) {
+    const elements = (slideConfig?.elements || []).filter((element) => element.type === "IMAGE");
+
+    elements.forEach((element) => {
+      const { rect } = element;
+      const rectValid =
+        [rect?.x, rect?.y, rect?.w, rect?.h].every(Number.isFinite) && rect.w > 0 && rect.h > 0;
+      if (!rectValid) {
+        logger.warn("Skipping IMAGE element without a valid rect", {
+          slideNumber: slideConfig.slideNumber,
+          dataKey: element.dataKey,
+          rect,
+        });
+        return;
+      }
+
+      const data = this._getViewData(viewData, element.dataKey);
+      if (!data?.data) {
+        return;
+      }
+      if (!(data.width > 0 && data.height > 0)) {
+        logger.warn("Skipping IMAGE element whose image has no size", {
+          slideNumber: slideConfig.slideNumber,
+          dataKey: element.dataKey,
+          width: data.width,
+          height: data.height,
+        });
+        return;
+      }
+
+      slide.IMAGE = slide.IMAGE || [];
+      slide.IMAGE.push(
+        buildImageFromViewData(
+          data,
+          {
+            x: convertCentimetersToInches(rect.x),
+            y: convertCentimetersToInches(rect.y),
+            w: convertCentimetersToInches(rect.w),
+            h: convertCentimetersToInches(rect.h),
+          },
+          element.altText
+        )
+      );
+    });
+  }
+
   /**
    * Create a flag card text element (value + label)
    * @param {object} viewData - View data object
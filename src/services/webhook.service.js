@@ -0,0 +1,145 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const logger = require("../utils/logger.util");
+const { ERROR_CODES, PermanentError, toExportError } = require("../utils/errors.util");
+const { getCallbackUrlRejection, resolveCallbackAddress } = require("../utils/webhook-target.util");
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const SIGNATURE_ALGORITHM = "sha256";
+
+// Error codes for failed callback deliveries (see toExportError)
+const WEBHOOK_ERROR_CODES = {
+  rejected: ERROR_CODES.WEBHOOK_REJECTED,
+  failed: ERROR_CODES.WEBHOOK_FAILED,
+};
+
+/**
+ * Service for delivering signed job callbacks to client-supplied URLs.
+ *
+ * Each delivery is a JSON POST signed with HMAC-SHA256 over
+ * `<timestamp>.<body>` using `WEBHOOK_SIGNING_SECRET`. Receivers recompute
+ * the signature from the `X-Webhook-Timestamp` header and the raw body, and
+ * compare it with `X-Webhook-Signature`.
+ *
+ * Callback URLs are re-checked on every delivery and the host is resolved
+ * first; the request connects to the resolved address, so a DNS answer that
+ * changes between the check and the connection cannot reach an internal host.
+ */
+class WebhookService {
+  constructor() {
+    this.signingSecret = process.env.WEBHOOK_SIGNING_SECRET || null;
+    this.client = axios.create({
+      timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS,
+      // Redirects would re-send the payload to a URL the client did not register
+      maxRedirects: 0,
+      // A proxy would be dialled at the pinned callback address (see deliver)
+      proxy: false,
+    });
+
+    logger.info("Webhook Service initialized", {
+      enabled: this.isEnabled(),
+    });
+  }
+
+  /**
+   * Checks whether callbacks can be signed and therefore accepted.
+   *
+   * @returns {boolean} False when WEBHOOK_SIGNING_SECRET is not set
+   */
+  isEnabled() {
+    return this.signingSecret !== null;
+  }
+
+  /**
+   * Computes the signature header value for a payload.
+   *
+   * @param {string} body - Serialized JSON body
+   * @param {number} timestamp - Unix time in seconds sent in X-Webhook-Timestamp
+   * @returns {string} Signature, e.g. "sha256=5f2b..."
+   */
+  sign(body, timestamp) {
+    const digest = crypto
+      .createHmac(SIGNATURE_ALGORITHM, this.signingSecret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+    return `${SIGNATURE_ALGORITHM}=${digest}`;
+  }
+
+  /**
+   * Checks a callback URL against the target rules and resolves its host.
+   *
+   * @param {string} url - Callback URL
+   * @returns {Promise<{address: string, family: number}>} Address to connect to
+   * @throws {PermanentError} WEBHOOK_REJECTED if the URL or its resolved address is not allowed
+   */
+  async resolveTarget(url) {
+    const parsed = new URL(url);
+    const rejection = getCallbackUrlRejection(parsed);
+    if (rejection) {
+      throw new PermanentError(`Callback URL ${rejection}`, ERROR_CODES.WEBHOOK_REJECTED);
+    }
+
+    try {
+      return await resolveCallbackAddress(parsed.hostname);
+    } catch (error) {
+      if (error.code === "WEBHOOK_TARGET_BLOCKED") {
+        throw new PermanentError(`Callback URL ${error.message}`, ERROR_CODES.WEBHOOK_REJECTED, { cause: error });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Posts a signed payload to a callback URL.
+   *
+   * @param {string} url - Callback URL
+   * @param {object} payload - JSON payload
+   * @param {object} [options={}] - Delivery options
+   * @param {string} [options.deliveryId] - Unique delivery ID, sent so receivers can drop duplicates
+   * @returns {Promise<{status: number}>} Receiver's HTTP status
+   * @throws {ExportError} WEBHOOK_REJECTED (permanent) for refused targets and 4xx responses other than 408/425/429, otherwise WEBHOOK_FAILED (retryable)
+   */
+  async deliver(url, payload, options = {}) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const target = await this.resolveTarget(url);
+      const response = await this.client.post(url, body, {
+        // Connect to the address that was checked rather than resolving again
+        lookup: async () => target,
+        headers: {
+          "Content-Type": "application/json",
+          "X-Webhook-Event": payload.event,
+          "X-Webhook-Delivery": options.deliveryId,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": this.sign(body, timestamp),
+        },
+      });
+
+      logger.info("Webhook delivered", {
+        url,
+        event: payload.event,
+        jobId: payload.jobId,
+        responseStatus: response.status,
+      });
+
+      return { status: response.status };
+    } catch (error) {
+      logger.warn("Webhook delivery failed", {
+        url,
+        event: payload.event,
+        jobId: payload.jobId,
+        responseStatus: error.response?.status,
+        error: error.message,
+      });
+      throw toExportError(
+        error,
+        `Webhook delivery failed: ${error.message}`,
+        WEBHOOK_ERROR_CODES
+      );
+    }
+  }
+}
+
+module.exports = new WebhookService();
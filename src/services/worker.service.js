@@ -1,6 +1,20 @@
-const { Queue, Worker } = require("bullmq");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { Queue, QueueEvents, Worker, FlowProducer, UnrecoverableError, DelayedError } = require("bullmq");
 const logger = require("../utils/logger.util");
+const {
+  isPermanentError,
+  getErrorCode,
+  formatFailedReason,
+  parseFailedReason,
+} = require("../utils/errors.util");
 const exportPptService = require("./export-ppt.service");
+const artifactService = require("./artifact.service");
+const exportHistoryService = require("./export-history.service");
+const webhookService = require("./webhook.service");
+const tableauCacheService = require("./tableau-cache.service");
+const tableauConcurrencyService = require("./tableau-concurrency.service");
+const usecaseMapping = require("../config/usecase-mapping.json");
 
 // Redis connection configuration
 const connection = {
@@ -9,253 +23,2497 @@ const connection = {
 };
 
 const QUEUE_NAME = "tableau-ppt-export";
+const EXPORT_JOB_NAME = "political-snapshot";
+const BATCH_JOB_NAME = "export-batch";
 
-// The Queue (Publisher) - Used by API to add jobs
-const exportQueue = new Queue(QUEUE_NAME, {
-  connection,
-  defaultJobOptions: {
-    attempts: parseInt(process.env.QUEUE_ATTEMPTS, 10) || 3,
-    backoff: {
-      type: "exponential",
-      delay: 1000,
-    },
-    removeOnComplete: {
-      age: 24 * 60 * 60, // Keep completed jobs for 24 hours
-      count: 1000, // Keep last 1000 completed jobs
-    },
-    removeOnFail: {
-      age: 7 * 24 * 60 * 60, // Keep failed jobs for 7 days
-    },
+const DEFAULT_JOB_OPTIONS = {
+  attempts: parseInt(process.env.QUEUE_ATTEMPTS, 10) || 3,
+  backoff: {
+    type: "exponential",
+    delay: 1000,
+  },
+  removeOnComplete: {
+    age: 24 * 60 * 60, // Keep completed jobs for 24 hours
+    count: 1000, // Keep last 1000 completed jobs
+  },
+  removeOnFail: {
+    age: 7 * 24 * 60 * 60, // Keep failed jobs for 7 days
+  },
+};
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.QUEUE_CONCURRENCY, 10) || 5;
+
+// Priority lanes mapped to BullMQ priorities (lower runs first). Every job gets
+// a lane, because BullMQ runs jobs without a priority ahead of prioritized ones.
+const PRIORITY_LANES = {
+  high: 1,
+  normal: 5,
+  low: 10,
+};
+const DEFAULT_PRIORITY = "normal";
+const DEFAULT_BATCH_PRIORITY = "low";
+
+/**
+ * Builds the queue layout from usecase-mapping.json. Use cases may declare a
+ * dedicated queue (`"queue": { "name": "...", "concurrency": 2 }`); all others
+ * share the default queue, which uses QUEUE_CONCURRENCY.
+ *
+ * @returns {Map<string, {name: string, concurrency: number, useCases: Array<string>}>} Queue definitions by name
+ */
+function buildQueueDefinitions() {
+  const definitions = new Map([
+    [QUEUE_NAME, { name: QUEUE_NAME, concurrency: DEFAULT_CONCURRENCY, useCases: [] }],
+  ]);
+
+  Object.entries(usecaseMapping).forEach(([useCase, config]) => {
+    const name = config.queue?.name || QUEUE_NAME;
+    if (!definitions.has(name)) {
+      definitions.set(name, {
+        name,
+        concurrency: parseInt(config.queue.concurrency, 10) || DEFAULT_CONCURRENCY,
+        useCases: [],
+      });
+    }
+    definitions.get(name).useCases.push(useCase);
+  });
+
+  return definitions;
+}
+
+const QUEUE_DEFINITIONS = buildQueueDefinitions();
+
+// The Queues (Publishers) - Used by API to add jobs, one per queue definition
+const queues = new Map(
+  [...QUEUE_DEFINITIONS.keys()].map((name) => [
+    name,
+    new Queue(name, { connection, defaultJobOptions: DEFAULT_JOB_OPTIONS }),
+  ])
+);
+
+// The default queue also namespaces shared bookkeeping (cancellations, idempotency records)
+const exportQueue = queues.get(QUEUE_NAME);
+
+// Flow producer - Used by API to add batch (parent + children) jobs.
+// Flows do not inherit queue defaults, so job options are passed explicitly.
+const flowProducer = new FlowProducer({ connection });
+
+// Dead-letter queue - Exhausted jobs are copied here and kept until replayed or
+// purged. No worker consumes it, so entries stay in its waiting list.
+const DEAD_LETTER_QUEUE_NAME = `${QUEUE_NAME}-dead-letter`;
+const DEAD_LETTER_JOB_NAME = "dead-letter";
+const deadLetterQueue = new Queue(DEAD_LETTER_QUEUE_NAME, { connection });
+// A replay claims its entry before queuing, so concurrent replays of one entry
+// queue a single export. Claims outlive a pending replay's queue add; finished
+// replays keep theirs (holding the new job ID) in case the entry was not removed.
+const REPLAY_CLAIM_TTL_MS = 5 * 60 * 1000;
+const REPLAY_RECORD_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Webhook queue - One job per callback delivery, retried with exponential
+// backoff so a slow or unavailable receiver never holds up export workers.
+const WEBHOOK_QUEUE_NAME = `${QUEUE_NAME}-webhooks`;
+const WEBHOOK_JOB_NAME = "callback";
+const WEBHOOK_CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY, 10) || 5;
+const WEBHOOK_JOB_OPTIONS = {
+  attempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+  backoff: {
+    type: "exponential",
+    delay: parseInt(process.env.WEBHOOK_BACKOFF_MS, 10) || 10000,
   },
-});
+  removeOnComplete: { age: 24 * 3600 },
+  removeOnFail: { age: 7 * 24 * 3600 },
+};
+const webhookQueue = new Queue(WEBHOOK_QUEUE_NAME, { connection });
+
+// Worker instances, one per queue plus the webhook worker (will be initialized by initWorker)
+let workers = [];
+
+// Queue event listeners shared by all job event subscribers (created on first subscription)
+let queueEvents = [];
+const jobEventEmitter = new EventEmitter();
+jobEventEmitter.setMaxListeners(0);
+
+// Redis hash of jobId -> cancellation record, namespaced under the queue's keys
+const CANCELLATIONS_KEY = exportQueue.toKey("cancellations");
+const CANCELLATION_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // Matches failed job retention
+
+// BullMQ states from which a job can be removed before a worker picks it up
+const REMOVABLE_STATES = ["waiting", "delayed", "paused", "prioritized", "waiting-children"];
+
+/**
+ * Resolves the queue that runs a use case's exports.
+ *
+ * @param {string} useCase - Use case identifier
+ * @returns {Queue} Dedicated queue for the use case, or the default queue
+ */
+function getQueueForUseCase(useCase) {
+  const name = usecaseMapping[useCase]?.queue?.name || QUEUE_NAME;
+  return queues.get(name);
+}
+
+/**
+ * Builds per-job options for a queue and priority lane.
+ * Default-queue jobs keep BullMQ's numeric IDs; jobs in dedicated queues get
+ * IDs prefixed with the queue name so IDs stay unique across queues.
+ *
+ * @param {Queue} queue - Target queue
+ * @param {string} [priority="normal"] - Priority lane (high, normal, low)
+ * @returns {object} BullMQ job options
+ */
+function buildJobOptions(queue, priority = DEFAULT_PRIORITY) {
+  const options = { priority: PRIORITY_LANES[priority] };
+  if (queue.name !== QUEUE_NAME) {
+    options.jobId = `${queue.name}-${crypto.randomUUID()}`;
+  }
+  return options;
+}
+
+/**
+ * Maps a BullMQ priority back to its lane name.
+ *
+ * @param {number} [priority] - BullMQ priority
+ * @returns {string|number|null} Lane name, the raw priority if it matches no lane, or null if unset
+ */
+function getPriorityLane(priority) {
+  if (!priority) {
+    return null;
+  }
+  const lane = Object.keys(PRIORITY_LANES).find((name) => PRIORITY_LANES[name] === priority);
+  return lane || priority;
+}
+
+/**
+ * Finds a job in whichever queue holds it.
+ *
+ * @param {string} jobId - The job ID
+ * @returns {Promise<import('bullmq').Job|null>} The job or null if not found
+ */
+async function findJob(jobId) {
+  for (const queue of queues.values()) {
+    const job = await queue.getJob(jobId);
+    if (job) {
+      return job;
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads the cancellation record for a job, if one exists.
+ *
+ * @param {string} jobId - The job ID
+ * @returns {Promise<object|null>} Cancellation record or null
+ */
+async function getCancellation(jobId) {
+  const client = await exportQueue.client;
+  const raw = await client.hget(CANCELLATIONS_KEY, String(jobId));
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Loads every cancellation record, dropping records past the retention window.
+ *
+ * @returns {Promise<Map<string, object>>} Map of jobId -> cancellation record
+ */
+async function getAllCancellations() {
+  const client = await exportQueue.client;
+  const entries = await client.hgetall(CANCELLATIONS_KEY);
+  const cutoff = Date.now() - CANCELLATION_RETENTION_MS;
+  const records = new Map();
+  const expired = [];
+
+  Object.entries(entries).forEach(([jobId, raw]) => {
+    const record = JSON.parse(raw);
+    if (Date.parse(record.cancelledAt) < cutoff) {
+      expired.push(jobId);
+    } else {
+      records.set(jobId, record);
+    }
+  });
+
+  if (expired.length > 0) {
+    await client.hdel(CANCELLATIONS_KEY, ...expired);
+  }
+
+  return records;
+}
+
+/**
+ * Removes the cancellation record for a job (e.g. when it is retried).
+ *
+ * @param {string} jobId - The job ID
+ * @returns {Promise<void>}
+ */
+async function clearCancellation(jobId) {
+  const client = await exportQueue.client;
+  await client.hdel(CANCELLATIONS_KEY, String(jobId));
+}
+
+/**
+ * Throws an UnrecoverableError if the job has been cancelled, so BullMQ
+ * fails it immediately without further retries.
+ *
+ * @param {import('bullmq').Job} job - Job being processed
+ * @param {string} stage - Pipeline stage about to start (for logging)
+ * @returns {Promise<void>}
+ */
+async function throwIfCancelled(job, stage) {
+  const cancellation = await getCancellation(job.id);
+  if (cancellation) {
+    logger.info("Job cancelled, aborting before next stage", {
+      jobId: job.id,
+      stage,
+    });
+    throw new UnrecoverableError(`Job ${job.id} was cancelled`);
+  }
+}
+
+// Per-requester fairness: caps on concurrent jobs and jobs started per window
+// for a single requester (API client or recipient), enforced across all workers.
+// Concurrency defaults to 2 jobs per requester; the rate limit is off by
+// default. Set either to 0 to disable it.
+const REQUESTER_MAX_CONCURRENCY = Number.isNaN(parseInt(process.env.REQUESTER_MAX_CONCURRENCY, 10))
+  ? 2
+  : parseInt(process.env.REQUESTER_MAX_CONCURRENCY, 10);
+const REQUESTER_RATE_LIMIT = parseInt(process.env.REQUESTER_RATE_LIMIT, 10) || 0;
+const REQUESTER_RATE_WINDOW_MS = (parseInt(process.env.REQUESTER_RATE_WINDOW_SECONDS, 10) || 60) * 1000;
+const REQUESTER_DEFER_MS = parseInt(process.env.REQUESTER_DEFER_MS, 10) || 5000;
+// Slots held by a crashed worker are released after this long
+const REQUESTER_SLOT_LEASE_MS = 30 * 60 * 1000;
+
+// KEYS: active slots zset (jobId -> lease expiry), recent starts zset (member -> start time)
+// ARGV: now, jobId, maxConcurrency, leaseMs, rateLimit, windowMs
+// Returns { allowed (1|0), retryAfterMs, reason }
+const ACQUIRE_REQUESTER_SLOT_SCRIPT = `
+local now = tonumber(ARGV[1])
+local leaseMs = tonumber(ARGV[4])
+local maxConcurrency = tonumber(ARGV[3])
+local rateLimit = tonumber(ARGV[5])
+local windowMs = tonumber(ARGV[6])
+
+redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now)
+if redis.call("ZSCORE", KEYS[1], ARGV[2]) then
+  redis.call("ZADD", KEYS[1], now + leaseMs, ARGV[2])
+  return { 1, 0, "" }
+end
+if maxConcurrency > 0 and redis.call("ZCARD", KEYS[1]) >= maxConcurrency then
+  return { 0, 0, "concurrency" }
+end
+if rateLimit > 0 then
+  redis.call("ZREMRANGEBYSCORE", KEYS[2], "-inf", now - windowMs)
+  if redis.call("ZCARD", KEYS[2]) >= rateLimit then
+    local oldest = redis.call("ZRANGE", KEYS[2], 0, 0, "WITHSCORES")
+    return { 0, tonumber(oldest[2]) + windowMs - now, "rate" }
+  end
+  redis.call("ZADD", KEYS[2], now, ARGV[2] .. ":" .. now)
+  redis.call("PEXPIRE", KEYS[2], windowMs)
+end
+redis.call("ZADD", KEYS[1], now + leaseMs, ARGV[2])
+redis.call("PEXPIRE", KEYS[1], leaseMs)
+return { 1, 0, "" }
+`;
+
+/**
+ * Identifies who a job is run for, for fairness limits: the API client ID
+ * captured at submission, otherwise the recipient address(es).
+ *
+ * @param {object} data - Job data
+ * @returns {string} Requester identifier
+ */
+function getRequester(data) {
+  if (data.requester) {
+    return String(data.requester);
+  }
+  const recipients = [].concat(data.email || []).map((address) => address.toLowerCase());
+  return recipients.length > 0 ? recipients.sort().join(",") : "anonymous";
+}
+
+/**
+ * Builds the Redis keys holding a requester's limiter state.
+ *
+ * @param {string} requester - Requester identifier
+ * @returns {{activeKey: string, startsKey: string}} Redis keys
+ */
+function getRequesterKeys(requester) {
+  const id = crypto.createHash("sha256").update(requester).digest("hex").slice(0, 32);
+  return {
+    activeKey: exportQueue.toKey(`requester:${id}:active`),
+    startsKey: exportQueue.toKey(`requester:${id}:starts`),
+  };
+}
+
+/**
+ * Claims a processing slot for a requester, atomically checking both the
+ * concurrency cap and the throughput window. Re-claiming for the same job
+ * (e.g. a stalled job picked up again) renews the existing slot.
+ *
+ * @param {string} requester - Requester identifier
+ * @param {string} jobId - Job claiming the slot
+ * @returns {Promise<{allowed: boolean, retryAfterMs: number, reason: string|null}>} Outcome
+ */
+async function acquireRequesterSlot(requester, jobId) {
+  if (REQUESTER_MAX_CONCURRENCY <= 0 && REQUESTER_RATE_LIMIT <= 0) {
+    return { allowed: true, retryAfterMs: 0, reason: null };
+  }
+
+  const client = await exportQueue.client;
+  const { activeKey, startsKey } = getRequesterKeys(requester);
+  const [allowed, retryAfterMs, reason] = await client.eval(
+    ACQUIRE_REQUESTER_SLOT_SCRIPT,
+    2,
+    activeKey,
+    startsKey,
+    Date.now(),
+    String(jobId),
+    REQUESTER_MAX_CONCURRENCY,
+    REQUESTER_SLOT_LEASE_MS,
+    REQUESTER_RATE_LIMIT,
+    REQUESTER_RATE_WINDOW_MS
+  );
+
+  return {
+    allowed: allowed === 1,
+    retryAfterMs: Number(retryAfterMs) || 0,
+    reason: reason || null,
+  };
+}
+
+/**
+ * Releases a requester slot claimed by `acquireRequesterSlot`.
+ *
+ * @param {string} requester - Requester identifier
+ * @param {string} jobId - Job holding the slot
+ * @returns {Promise<void>}
+ */
+async function releaseRequesterSlot(requester, jobId) {
+  if (REQUESTER_MAX_CONCURRENCY <= 0 && REQUESTER_RATE_LIMIT <= 0) {
+    return;
+  }
+
+  try {
+    const client = await exportQueue.client;
+    await client.zrem(getRequesterKeys(requester).activeKey, String(jobId));
+  } catch (error) {
+    // The lease expires on its own; don't fail the job over it
+    logger.warn("Failed to release requester slot", {
+      jobId,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Extracts the job ID from a BullMQ job key (`bull:<queue>:<id>`).
+ *
+ * @param {string} jobKey - Fully qualified job key
+ * @returns {string} Job ID
+ */
+function jobIdFromKey(jobKey) {
+  return jobKey.slice(jobKey.lastIndexOf(":") + 1);
+}
+
+/**
+ * Processes a batch parent job. BullMQ only runs it once every child export
+ * has completed or exhausted its retries, so it just collects the outcomes
+ * and optionally sends the summary email.
+ *
+ * @param {import('bullmq').Job} job - Batch parent job
+ * @returns {Promise<object>} Batch summary
+ */
+async function processBatchJob(job) {
+  const { useCase, email, summary } = job.data;
+
+  await throwIfCancelled(job, "summary");
+
+  logger.info("Processing batch job", {
+    jobId: job.id,
+    useCase,
+    childCount: job.data.childCount,
+  });
+
+  const [childValues, childFailures] = await Promise.all([
+    job.getChildrenValues(),
+    job.getIgnoredChildrenFailures(),
+  ]);
+
+  const children = [
+    ...Object.entries(childValues).map(([jobKey, result]) => ({
+      jobId: jobIdFromKey(jobKey),
+      status: "completed",
+      fileName: result?.fileName,
+      viewsProcessed: result?.viewsProcessed,
+      hasArtifact: !!result?.artifact,
+    })),
+    ...Object.entries(childFailures).map(([jobKey, failedReason]) => {
+      const { code, message } = parseFailedReason(failedReason) || {};
+      return {
+        jobId: jobIdFromKey(jobKey),
+        status: "failed",
+        error: message,
+        errorCode: code,
+      };
+    }),
+  ].sort((a, b) => String(a.jobId).localeCompare(String(b.jobId), undefined, { numeric: true }));
+
+  const result = {
+    success: true,
+    useCase,
+    email,
+    total: job.data.childCount,
+    completed: children.filter((child) => child.status === "completed").length,
+    failed: children.filter((child) => child.status === "failed").length,
+    children,
+    summaryEmailSent: false,
+  };
+
+  if (summary && summary !== "none") {
+    await exportPptService.sendBatchSummaryEmail(email, useCase, job.id, children, summary);
+    result.summaryEmailSent = true;
+  }
+
+  logger.info("Batch job processed", {
+    jobId: job.id,
+    total: result.total,
+    completed: result.completed,
+    failed: result.failed,
+  });
+
+  return result;
+}
+
+/**
+ * Processes one job from any export queue: batch parents collect their
+ * children's outcomes, everything else runs the export pipeline.
+ * Exports whose requester is at their fairness limit are pushed back to the
+ * delayed set (without using an attempt) so other requesters' jobs can run.
+ *
+ * @param {import('bullmq').Job} job - Job to process
+ * @param {string} token - Worker lock token, needed to defer the job
+ * @returns {Promise<object>} Job result
+ */
+async function processJob(job, token) {
+  if (job.name === BATCH_JOB_NAME) {
+    return processBatchJob(job);
+  }
+
+  const requester = getRequester(job.data);
+  const slot = await acquireRequesterSlot(requester, job.id);
+
+  if (!slot.allowed) {
+    // Jitter spreads deferred jobs out so they don't all return at once
+    const delay = Math.max(slot.retryAfterMs, REQUESTER_DEFER_MS) + Math.floor(Math.random() * 1000);
+    logger.info("Requester limit reached, deferring job", {
+      jobId: job.id,
+      requester,
+      reason: slot.reason,
+      delayMs: delay,
+    });
+    await job.moveToDelayed(Date.now() + delay, token);
+    throw new DelayedError();
+  }
+
+  try {
+    return await runExportJob(job);
+  } finally {
+    await releaseRequesterSlot(requester, job.id);
+  }
+}
+
+/**
+ * Runs the export pipeline for a job, sending the failure email on its final attempt.
+ *
+ * @param {import('bullmq').Job} job - Export job
+ * @returns {Promise<object>} Export result
+ */
+async function runExportJob(job) {
+  logger.info("Processing job", {
+    jobId: job.id,
+    useCase: job.data.useCase,
+    email: job.data.email,
+    filterCount: Object.keys(job.data.filters || {}).length,
+    attempt: job.attemptsMade + 1,
+  });
+
+  try {
+    const result = await exportPptService.processExport(job.data, {
+      jobId: job.id,
+      throwIfCancelled: (stage) => throwIfCancelled(job, stage),
+      onProgress: (progress) => job.updateProgress(progress),
+    });
+
+    logger.info("Job processed successfully", {
+      jobId: job.id,
+      result,
+    });
+
+    return result;
+  } catch (error) {
+    if (await getCancellation(job.id)) {
+      logger.info("Job stopped after cancellation", { jobId: job.id });
+      throw error;
+    }
+
+    const permanent = isPermanentError(error);
+    await recordFailedAttempt(job, error);
+
+    logger.error("Job processing failed", error, {
+      jobId: job.id,
+      useCase: job.data.useCase,
+      email: job.data.email,
+      attempt: job.attemptsMade + 1,
+      errorCode: error.code,
+      permanent,
+    });
+
+    // Send failure email if this is the final attempt, unless a batch
+    // summary email will report the failure instead
+    if (
+      (permanent || job.attemptsMade + 1 >= job.opts.attempts) &&
+      job.data.email &&
+      job.data.useCase &&
+      !job.data.skipEmail
+    ) {
+      try {
+        await exportPptService.sendFailureEmail(
+          job.data.email,
+          job.data.useCase,
+          error,
+          job.id
+        );
+        logger.info("Failure notification email sent", {
+          jobId: job.id,
+          email: job.data.email,
+        });
+      } catch (emailError) {
+        logger.error(
+          "Failed to send failure notification email",
+          emailError,
+          {
+            jobId: job.id,
+            originalError: error.message,
+          }
+        );
+      }
+    }
+
+    throw toJobFailure(error);
+  }
+}
+
+/**
+ * Converts an export error into the error thrown to BullMQ. The failed reason
+ * carries the error code; permanent errors become UnrecoverableError so the
+ * job fails without using its remaining attempts.
+ *
+ * @param {Error} error - Error raised by the export pipeline
+ * @returns {Error} Error to throw from the processor
+ */
+function toJobFailure(error) {
+  const failure = isPermanentError(error)
+    ? new UnrecoverableError(formatFailedReason(error))
+    : new Error(formatFailedReason(error));
+  failure.stack = error.stack;
+  return failure;
+}
+
+/**
+ * Appends a failed attempt to the job's log, building the attempt history
+ * kept with dead-lettered jobs.
+ *
+ * @param {import('bullmq').Job} job - Failing job
+ * @param {Error} error - Error raised by the attempt
+ * @returns {Promise<void>}
+ */
+async function recordFailedAttempt(job, error) {
+  try {
+    await job.log(
+      JSON.stringify({
+        attempt: job.attemptsMade + 1,
+        failedAt: new Date().toISOString(),
+        errorCode: getErrorCode(error),
+        message: error.message,
+      })
+    );
+  } catch (logError) {
+    logger.warn("Failed to record failed attempt", { jobId: job.id, error: logError.message });
+  }
+}
+
+/**
+ * Builds the export history record for a finished job.
+ *
+ * @param {import('bullmq').Job} job - Finished job
+ * @param {string} queueName - Queue the job ran in
+ * @param {string} outcome - completed, failed or cancelled
+ * @returns {object} History record
+ */
+function buildHistoryRecord(job, queueName, outcome) {
+  const result = job.returnvalue || {};
+  const progress = job.progress && typeof job.progress === "object" ? job.progress : {};
+  const failure = outcome === "failed" ? parseFailedReason(job.failedReason) : null;
+  const finishedOn = job.finishedOn || Date.now();
+
+  return {
+    jobId: job.id,
+    queue: queueName,
+    useCase: job.data.useCase,
+    outcome,
+    recipients: [].concat(job.data.email || []),
+    requester: job.data.requester || null,
+    priority: getPriorityLane(job.opts?.priority),
+    filters: job.data.filters || {},
+    resolvedFilters: result.resolvedFilters || null,
+    createdAt: new Date(job.timestamp).toISOString(),
+    startedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+    finishedAt: new Date(finishedOn).toISOString(),
+    durationMs: job.processedOn ? finishedOn - job.processedOn : null,
+    attempts: job.attemptsMade,
+    viewsTotal: progress.viewsTotal ?? null,
+    viewsFetched: result.viewsProcessed ?? progress.viewsFetched ?? null,
+    emailSent: result.emailSent ?? false,
+    artifact: result.artifact
+      ? {
+          store: result.artifact.store,
+          fileName: result.artifact.fileName,
+          size: result.artifact.size,
+          expiresAt: result.artifact.expiresAt,
+        }
+      : null,
+    errorCode: failure?.code || null,
+    error: failure?.message || null,
+    scheduleId: job.data.schedule?.id || null,
+    parentJobId: job.parent?.id || null,
+    replayOf: job.data.replayOf || null,
+  };
+}
+
+/**
+ * Handles a job that finished for good: records it in the export history and,
+ * for completed and failed jobs, queues its callback. Cancelled jobs get no
+ * callback since the client asked for the cancellation itself.
+ *
+ * @param {import('bullmq').Job} job - Finished job
+ * @param {string} queueName - Queue the job ran in
+ * @param {string} outcome - completed, failed or cancelled
+ * @returns {Promise<void>}
+ */
+async function handleJobFinished(job, queueName, outcome) {
+  await exportHistoryService.record(buildHistoryRecord(job, queueName, outcome));
+
+  if (job.data.callbackUrl && outcome !== "cancelled") {
+    try {
+      await queueCallback(job, queueName, outcome);
+    } catch (error) {
+      logger.error("Failed to queue job callback", error, { queueName, jobId: job.id });
+    }
+  }
+}
+
+/**
+ * Handles a failed attempt that may have been the job's last. Once a job has
+ * failed for good it is handled as finished and, unless it was cancelled,
+ * copied to the dead-letter queue.
+ *
+ * @param {import('bullmq').Job} job - Job that just failed an attempt
+ * @param {string} queueName - Queue the job ran in
+ * @returns {Promise<void>}
+ */
+async function handleJobFailure(job, queueName) {
+  if (!(await job.isFailed())) {
+    // BullMQ will retry it
+    return;
+  }
+
+  const cancellation = await getCancellation(job.id);
+  await handleJobFinished(job, queueName, cancellation ? "cancelled" : "failed");
+
+  if (!cancellation) {
+    await moveToDeadLetter(job, queueName);
+  }
+}
+
+/**
+ * Copies a job that failed for good to the dead-letter queue, with its
+ * payload, failure reason, stack traces and attempt history.
+ *
+ * @param {import('bullmq').Job} job - Failed job
+ * @param {string} queueName - Queue the job ran in
+ * @returns {Promise<import('bullmq').Job>} Dead-letter entry
+ */
+async function moveToDeadLetter(job, queueName) {
+  const { logs } = await queues.get(queueName).getJobLogs(job.id);
+  const attempts = logs.flatMap((line) => {
+    try {
+      const entry = JSON.parse(line);
+      return entry && entry.attempt ? [entry] : [];
+    } catch {
+      return [];
+    }
+  });
+  const failure = parseFailedReason(job.failedReason);
+
+  const entry = await deadLetterQueue.add(DEAD_LETTER_JOB_NAME, {
+    originalJobId: job.id,
+    queueName,
+    jobName: job.name,
+    data: job.data,
+    priority: getPriorityLane(job.opts?.priority),
+    errorCode: failure?.code || null,
+    failedReason: failure?.message || null,
+    stacktrace: job.stacktrace || [],
+    attemptsMade: job.attemptsMade,
+    maxAttempts: job.opts?.attempts || 1,
+    attempts,
+    createdAt: new Date(job.timestamp).toISOString(),
+    failedAt: new Date(job.finishedOn || Date.now()).toISOString(),
+  });
+
+  logger.warn("Job moved to dead-letter queue", {
+    jobId: job.id,
+    queueName,
+    deadLetterId: entry.id,
+    errorCode: failure?.code,
+  });
+
+  return entry;
+}
+
+/**
+ * Builds the callback payload for a finished job. The result and error match
+ * what `GET /api/v1/jobs/:jobId` reports.
+ *
+ * @param {import('bullmq').Job} job - Finished job
+ * @param {string} queueName - Queue the job ran in
+ * @param {string} outcome - completed, failed or cancelled
+ * @returns {object} Callback payload
+ */
+function buildCallbackPayload(job, queueName, outcome) {
+  return {
+    event: `export.${outcome}`,
+    jobId: job.id,
+    queue: queueName,
+    status: outcome,
+    useCase: job.data.useCase,
+    filters: job.data.filters || {},
+    createdAt: new Date(job.timestamp).toISOString(),
+    finishedAt: new Date(job.finishedOn || Date.now()).toISOString(),
+    attempts: job.attemptsMade,
+    result: outcome === "completed" ? job.returnvalue ?? null : null,
+    error: outcome === "failed" ? parseFailedReason(job.failedReason) : null,
+  };
+}
+
+/**
+ * Records the callback delivery status in the export job's data, where it is
+ * reported by the job status endpoint. Jobs removed in the meantime are skipped.
+ *
+ * @param {string} queueName - Queue holding the export job
+ * @param {string} jobId - Export job ID
+ * @param {object} delivery - Delivery status
+ * @returns {Promise<void>}
+ */
+async function setCallbackDelivery(queueName, jobId, delivery) {
+  const job = await queues.get(queueName)?.getJob(jobId);
+  if (job) {
+    await job.updateData({ ...job.data, callbackDelivery: delivery });
+  }
+}
+
+/**
+ * Queues delivery of a finished job's callback.
+ *
+ * @param {import('bullmq').Job} job - Finished job with a `callbackUrl`
+ * @param {string} queueName - Queue the job ran in
+ * @param {string} outcome - completed, failed or cancelled
+ * @returns {Promise<void>}
+ */
+async function queueCallback(job, queueName, outcome) {
+  const payload = buildCallbackPayload(job, queueName, outcome);
+  const webhookJob = await webhookQueue.add(
+    WEBHOOK_JOB_NAME,
+    { url: job.data.callbackUrl, queueName, jobId: job.id, payload },
+    WEBHOOK_JOB_OPTIONS
+  );
+
+  await setCallbackDelivery(queueName, job.id, {
+    status: "pending",
+    event: payload.event,
+    deliveryId: webhookJob.id,
+    attempts: 0,
+    maxAttempts: WEBHOOK_JOB_OPTIONS.attempts,
+    queuedAt: new Date().toISOString(),
+  });
+
+  logger.info("Job callback queued", {
+    jobId: job.id,
+    event: payload.event,
+    deliveryId: webhookJob.id,
+  });
+}
+
+/**
+ * Processes one callback delivery attempt and records its outcome on the
+ * export job. Rejected deliveries (4xx other than 408/425/429) are not retried.
+ *
+ * @param {import('bullmq').Job} webhookJob - Webhook queue job
+ * @returns {Promise<{status: number}>} Receiver's HTTP status
+ */
+async function processCallbackDelivery(webhookJob) {
+  const { url, queueName, jobId, payload } = webhookJob.data;
+  const attempt = webhookJob.attemptsMade + 1;
+  const delivery = {
+    event: payload.event,
+    deliveryId: webhookJob.id,
+    attempts: attempt,
+    maxAttempts: webhookJob.opts.attempts,
+    lastAttemptAt: new Date().toISOString(),
+  };
+
+  try {
+    const { status } = await webhookService.deliver(url, payload, {
+      deliveryId: webhookJob.id,
+    });
+    await setCallbackDelivery(queueName, jobId, {
+      ...delivery,
+      status: "delivered",
+      responseStatus: status,
+      deliveredAt: delivery.lastAttemptAt,
+    });
+    return { status };
+  } catch (error) {
+    const permanent = isPermanentError(error);
+    const exhausted = permanent || attempt >= webhookJob.opts.attempts;
+
+    await setCallbackDelivery(queueName, jobId, {
+      ...delivery,
+      status: exhausted ? "failed" : "pending",
+      responseStatus: error.details?.status ?? null,
+      errorCode: getErrorCode(error),
+      error: error.message,
+    }).catch((statusError) => {
+      logger.warn("Failed to record callback delivery status", {
+        jobId,
+        error: statusError.message,
+      });
+    });
+
+    throw toJobFailure(error);
+  }
+}
+
+/**
+ * Starts the worker delivering job callbacks.
+ *
+ * @returns {Worker} The started worker
+ */
+function startWebhookWorker() {
+  const webhookWorker = new Worker(WEBHOOK_QUEUE_NAME, processCallbackDelivery, {
+    connection,
+    concurrency: WEBHOOK_CONCURRENCY,
+  });
+
+  webhookWorker.on("failed", (webhookJob, err) => {
+    logger.warn("Callback delivery attempt failed", {
+      deliveryId: webhookJob?.id,
+      jobId: webhookJob?.data?.jobId,
+      attemptsMade: webhookJob?.attemptsMade,
+      error: err.message,
+    });
+  });
+
+  webhookWorker.on("error", (err) => {
+    logger.error("Worker error", err, { queueName: WEBHOOK_QUEUE_NAME });
+  });
+
+  return webhookWorker;
+}
+
+/**
+ * Starts a BullMQ Worker for one queue definition.
+ *
+ * @param {{name: string, concurrency: number}} definition - Queue definition
+ * @returns {Worker} The started worker
+ */
+function startQueueWorker({ name, concurrency }) {
+  const queueWorker = new Worker(name, processJob, {
+    connection,
+    concurrency,
+    // Optional: Use worker threads to prevent blocking the main event loop
+    // This is useful for CPU-intensive tasks
+    useWorkerThreads: true,
+  });
+
+  // Worker event handlers
+  queueWorker.on("completed", (job) => {
+    logger.info("Job completed", {
+      queueName: name,
+      jobId: job.id,
+      duration: job.finishedOn - job.processedOn,
+    });
+
+    if (job.name !== BATCH_JOB_NAME) {
+      handleJobFinished(job, name, "completed").catch((error) => {
+        logger.error("Failed to handle job completion", error, {
+          queueName: name,
+          jobId: job.id,
+        });
+      });
+    }
+  });
+
+  queueWorker.on("failed", (job, err) => {
+    logger.error("Job failed", err, {
+      queueName: name,
+      jobId: job?.id,
+      attemptsMade: job?.attemptsMade,
+      maxAttempts: job?.opts?.attempts,
+    });
+
+    if (job && job.name !== BATCH_JOB_NAME) {
+      handleJobFailure(job, name).catch((error) => {
+        logger.error("Failed to handle final job failure", error, {
+          queueName: name,
+          jobId: job.id,
+        });
+      });
+    }
+  });
+
+  queueWorker.on("error", (err) => {
+    logger.error("Worker error", err, { queueName: name });
+  });
+
+  queueWorker.on("stalled", (jobId) => {
+    logger.warn("Job stalled", { queueName: name, jobId });
+  });
+
+  return queueWorker;
+}
+
+/**
+ * Initializes one BullMQ Worker per export queue.
+ * This function should be called once when the application starts.
+ * Each worker processes jobs with its queue's configured concurrency.
+ *
+ * @returns {Array<Worker>} The initialized worker instances
+ */
+function initWorker() {
+  if (workers.length > 0) {
+    logger.warn("Worker already initialized");
+    return workers;
+  }
+
+  logger.info("Initializing BullMQ workers", {
+    queues: [...QUEUE_DEFINITIONS.values()].map(({ name, concurrency }) => ({ name, concurrency })),
+    webhookConcurrency: WEBHOOK_CONCURRENCY,
+    redisHost: connection.host,
+    redisPort: connection.port,
+  });
+
+  workers = [...[...QUEUE_DEFINITIONS.values()].map(startQueueWorker), startWebhookWorker()];
+
+  artifactService.startRetentionSweep();
+
+  logger.info("BullMQ workers started successfully", {
+    queueCount: workers.length,
+  });
+
+  return workers;
+}
+
+/**
+ * Closes the worker and queue connections gracefully.
+ * Should be called during application shutdown.
+ *
+ * @returns {Promise<void>}
+ */
+async function close() {
+  logger.info("Closing BullMQ connections");
+
+  if (workers.length > 0) {
+    await Promise.all(workers.map((queueWorker) => queueWorker.close()));
+    workers = [];
+    artifactService.stopRetentionSweep();
+    logger.info("Workers closed");
+  }
+
+  if (queueEvents.length > 0) {
+    await Promise.all(queueEvents.map((listener) => listener.close()));
+    queueEvents = [];
+    jobEventEmitter.removeAllListeners();
+  }
+
+  await Promise.all([
+    ...[...queues.values()].map((queue) => queue.close()),
+    deadLetterQueue.close(),
+    webhookQueue.close(),
+    flowProducer.close(),
+    tableauCacheService.close(),
+    tableauConcurrencyService.close(),
+  ]);
+  logger.info("Queue closed");
+}
+
+const HEALTH_PING_TIMEOUT_MS = 2000;
+
+/**
+ * Reports the state of this process's workers for the worker health endpoint.
+ * Healthy means Redis answers and every worker is running and not closing.
+ * Paused workers still count as healthy, since a pause is deliberate.
+ *
+ * @returns {Promise<object>} Worker health: `{ healthy, redis, workers }`
+ */
+async function getWorkerHealth() {
+  let redis = "connected";
+  try {
+    // BullMQ connections wait for Redis indefinitely, so bound the ping
+    let timer;
+    await Promise.race([
+      exportQueue.client.then((client) => client.ping()),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error("Redis ping timed out")), HEALTH_PING_TIMEOUT_MS);
+      }),
+    ]).finally(() => clearTimeout(timer));
+  } catch (error) {
+    logger.warn("Redis ping failed during worker health check", { error: error.message });
+    redis = "disconnected";
+  }
+
+  const workerStatuses = workers.map((queueWorker) => ({
+    queueName: queueWorker.name,
+    concurrency: queueWorker.concurrency,
+    running: queueWorker.isRunning(),
+    paused: queueWorker.isPaused(),
+    closing: Boolean(queueWorker.closing),
+  }));
+
+  return {
+    healthy:
+      redis === "connected" &&
+      workerStatuses.length > 0 &&
+      workerStatuses.every(({ running, closing }) => running && !closing),
+    redis,
+    workers: workerStatuses,
+  };
+}
+
+/**
+ * Starts a QueueEvents listener that fans a queue's events out per job ID.
+ *
+ * @param {string} queueName - Queue to listen to
+ * @returns {QueueEvents} The listener
+ */
+function startQueueEventsListener(queueName) {
+  const listener = new QueueEvents(queueName, { connection });
+
+  listener.on("progress", ({ jobId, data }) => {
+    jobEventEmitter.emit(String(jobId), { type: "progress", progress: data });
+  });
+  listener.on("active", ({ jobId }) => {
+    jobEventEmitter.emit(String(jobId), { type: "active" });
+  });
+  listener.on("completed", ({ jobId }) => {
+    jobEventEmitter.emit(String(jobId), { type: "completed" });
+  });
+  listener.on("failed", ({ jobId, failedReason }) => {
+    jobEventEmitter.emit(String(jobId), { type: "failed", failedReason });
+  });
+  listener.on("removed", ({ jobId }) => {
+    jobEventEmitter.emit(String(jobId), { type: "removed" });
+  });
+  listener.on("error", (error) => {
+    logger.error("Queue events listener error", error);
+  });
+
+  logger.info("Queue events listener started", { queueName });
+  return listener;
+}
+
+/**
+ * Starts the shared QueueEvents listeners, one per queue.
+ * QueueEvents holds a blocking Redis connection, so one listener per queue serves every subscriber.
+ *
+ * @returns {Array<QueueEvents>} The shared listeners
+ */
+function getQueueEvents() {
+  if (queueEvents.length === 0) {
+    queueEvents = [...queues.keys()].map(startQueueEventsListener);
+  }
+  return queueEvents;
+}
+
+/**
+ * Subscribes to lifecycle events for one job.
+ * The listener receives `{ type, ... }` where type is one of
+ * active, progress, completed, failed or removed.
+ *
+ * @param {string} jobId - The job ID
+ * @param {function(object): void} listener - Event callback
+ * @returns {Promise<function(): void>} Resolves once listening; call the result to unsubscribe
+ */
+async function subscribeToJobEvents(jobId, listener) {
+  const listeners = getQueueEvents();
+  const key = String(jobId);
+
+  jobEventEmitter.on(key, listener);
+  await Promise.all(listeners.map((events) => events.waitUntilReady()));
+
+  return () => jobEventEmitter.off(key, listener);
+}
+
+const CLEANABLE_STATES = ["completed", "failed", "delayed"];
+const CLEANUP_REPORTED_IDS_LIMIT = 100;
+
+/**
+ * Removes the given jobs (or only reports them when `dryRun` is set).
+ *
+ * @param {Array<import('bullmq').Job>} candidates - Jobs selected for removal
+ * @param {boolean} dryRun - Report without removing
+ * @returns {Promise<{matched: number, removed: number, jobIds: Array<string>, truncated: boolean}>} Outcome
+ */
+async function removeJobs(candidates, dryRun) {
+  let removed = 0;
+
+  if (!dryRun) {
+    for (const job of candidates) {
+      try {
+        await job.remove();
+        removed++;
+      } catch (error) {
+        // Typically a job that became active (locked) since it was selected
+        logger.warn("Could not remove job during cleanup", {
+          jobId: job.id,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  return {
+    matched: candidates.length,
+    removed,
+    jobIds: candidates.slice(0, CLEANUP_REPORTED_IDS_LIMIT).map((job) => job.id),
+    truncated: candidates.length > CLEANUP_REPORTED_IDS_LIMIT,
+  };
+}
+
+/**
+ * Adds one queue's cleanup outcome into the running totals for a state.
+ *
+ * @param {object|undefined} total - Accumulated outcome
+ * @param {object} outcome - Outcome from `removeJobs`
+ * @returns {object} Combined outcome
+ */
+function mergeCleanupOutcome(total, outcome) {
+  if (!total) {
+    return outcome;
+  }
+  const jobIds = [...total.jobIds, ...outcome.jobIds];
+  return {
+    matched: total.matched + outcome.matched,
+    removed: total.removed + outcome.removed,
+    jobIds: jobIds.slice(0, CLEANUP_REPORTED_IDS_LIMIT),
+    truncated: total.truncated || outcome.truncated || jobIds.length > CLEANUP_REPORTED_IDS_LIMIT,
+  };
+}
+
+/**
+ * Cleans finished, delayed and stalled jobs out of every export queue.
+ *
+ * For each queue and requested state, jobs older than `olderThanSeconds` are
+ * selected oldest first, sparing the newest `keep` jobs and capping at `limit`.
+ * Age is measured from when the job finished (completed/failed) or was created (delayed).
+ * With `removeStalled`, active jobs that have lost their worker lock and started
+ * more than `stalledAfterSeconds` ago are removed as well.
+ *
+ * @param {object} [options={}] - Cleanup options
+ * @param {Array<string>} [options.states=["completed","failed"]] - States to clean (completed, failed, delayed)
+ * @param {number} [options.olderThanSeconds=0] - Minimum job age
+ * @param {number} [options.keep=0] - Newest jobs to keep per state
+ * @param {number} [options.limit=1000] - Maximum jobs to remove per state
+ * @param {boolean} [options.removeStalled=false] - Also remove stalled active jobs
+ * @param {number} [options.stalledAfterSeconds=1800] - Minimum run time before an unlocked active job counts as stalled
+ * @param {boolean} [options.dryRun=false] - Report what would be removed without removing anything
+ * @returns {Promise<object>} Per-state results and total removed
+ */
+async function cleanQueue(options = {}) {
+  const {
+    states = ["completed", "failed"],
+    olderThanSeconds = 0,
+    keep = 0,
+    limit = 1000,
+    removeStalled = false,
+    stalledAfterSeconds = 30 * 60,
+    dryRun = false,
+  } = options;
+
+  try {
+    const now = Date.now();
+    const cutoff = now - olderThanSeconds * 1000;
+    const results = {};
+
+    for (const queue of queues.values()) {
+      for (const state of states) {
+        const jobs = (await queue.getJobs([state], 0, -1)).filter(Boolean);
+        const ageOf = (job) => (state === "delayed" ? job.timestamp : job.finishedOn || job.timestamp);
+
+        const candidates = jobs
+          .sort((a, b) => ageOf(b) - ageOf(a))
+          .slice(keep)
+          .filter((job) => ageOf(job) <= cutoff)
+          .sort((a, b) => ageOf(a) - ageOf(b))
+          .slice(0, limit);
+
+        results[state] = mergeCleanupOutcome(results[state], await removeJobs(candidates, dryRun));
+      }
+
+      if (removeStalled) {
+        const client = await queue.client;
+        const stalledCutoff = now - stalledAfterSeconds * 1000;
+        const activeJobs = (await queue.getJobs(["active"], 0, -1)).filter(Boolean);
+        const stalled = [];
+
+        for (const job of activeJobs) {
+          if (!job.processedOn || job.processedOn > stalledCutoff) continue;
+          const hasLock = await client.exists(`${queue.toKey(job.id)}:lock`);
+          if (!hasLock) stalled.push(job);
+        }
+
+        results.stalled = mergeCleanupOutcome(results.stalled, await removeJobs(stalled.slice(0, limit), dryRun));
+      }
+    }
+
+    const totalMatched = Object.values(results).reduce((sum, r) => sum + r.matched, 0);
+    const totalRemoved = Object.values(results).reduce((sum, r) => sum + r.removed, 0);
+
+    logger.info("Queue cleanup finished", {
+      dryRun,
+      states,
+      removeStalled,
+      totalMatched,
+      totalRemoved,
+    });
+
+    return { dryRun, results, totalMatched, totalRemoved };
+  } catch (error) {
+    logger.error("Failed to clean queue", error, { options });
+    throw error;
+  }
+}
+
+const PAUSE_SCOPES = ["global", "local"];
+
+/**
+ * Lists the export queue names.
+ *
+ * @returns {Array<string>} Queue names, default queue first
+ */
+function getQueueNames() {
+  return [...queues.keys()];
+}
+
+/**
+ * Selects the export queues an admin action applies to.
+ *
+ * @param {string} [queueName] - One queue, or every export queue if omitted
+ * @returns {Array<Queue>} Target queues
+ */
+function getTargetQueues(queueName) {
+  return queueName ? [queues.get(queueName)] : [...queues.values()];
+}
+
+/**
+ * Gets this process's worker for an export queue.
+ *
+ * @param {string} queueName - Queue name
+ * @returns {Worker|undefined} The worker, or undefined if none runs here
+ */
+function getLocalWorker(queueName) {
+  return workers.find((queueWorker) => queueWorker.name === queueName);
+}
+
+/**
+ * Pauses export processing. A global pause is stored in Redis and stops every
+ * worker on every instance (surviving restarts) until resumed; a local pause
+ * only stops this process's workers. The two are independent: a global resume
+ * does not resume a local pause. Active jobs run to completion either way.
+ * Webhook deliveries are not paused.
+ *
+ * @param {object} [options={}] - Pause options
+ * @param {string} [options.queueName] - Queue to pause (defaults to every export queue)
+ * @param {string} [options.scope="global"] - global or local
+ * @returns {Promise<Array<{queue: string, paused: boolean, workerPaused: boolean|null}>>} State per queue
+ */
+async function pauseQueues({ queueName, scope = "global" } = {}) {
+  const targets = getTargetQueues(queueName);
+
+  for (const queue of targets) {
+    if (scope === "global") {
+      await queue.pause();
+    } else {
+      // Do not wait for active jobs so the request returns promptly
+      await getLocalWorker(queue.name)?.pause(true);
+    }
+  }
+
+  logger.warn("Export processing paused", {
+    queues: targets.map((queue) => queue.name),
+    scope,
+  });
+
+  return getPauseStates(targets);
+}
+
+/**
+ * Resumes export processing paused with `pauseQueues`.
+ *
+ * @param {object} [options={}] - Resume options
+ * @param {string} [options.queueName] - Queue to resume (defaults to every export queue)
+ * @param {string} [options.scope="global"] - global or local
+ * @returns {Promise<Array<{queue: string, paused: boolean, workerPaused: boolean|null}>>} State per queue
+ */
+async function resumeQueues({ queueName, scope = "global" } = {}) {
+  const targets = getTargetQueues(queueName);
+
+  for (const queue of targets) {
+    if (scope === "global") {
+      await queue.resume();
+    } else {
+      getLocalWorker(queue.name)?.resume();
+    }
+  }
+
+  logger.info("Export processing resumed", {
+    queues: targets.map((queue) => queue.name),
+    scope,
+  });
+
+  return getPauseStates(targets);
+}
+
+/**
+ * Reports the pause state of export queues and this process's workers.
+ *
+ * @param {Array<Queue>} targets - Queues to report
+ * @returns {Promise<Array<{queue: string, paused: boolean, workerPaused: boolean|null}>>} State per queue
+ */
+async function getPauseStates(targets) {
+  return Promise.all(
+    targets.map(async (queue) => ({
+      queue: queue.name,
+      paused: await queue.isPaused(),
+      workerPaused: getLocalWorker(queue.name)?.isPaused() ?? null,
+    }))
+  );
+}
+
+const DRAIN_PAGE_SIZE = 100;
+
+/**
+ * Releases the idempotency record that points at a job, so a client retrying
+ * with the same key queues a new export instead of getting the removed job back.
+ *
+ * @param {import('bullmq').Job} job - Export job removed before it ran
+ * @returns {Promise<void>}
+ */
+async function releaseIdempotencyRecord(job) {
+  if (!job.data.idempotencyId) {
+    return;
+  }
+
+  const client = await exportQueue.client;
+  const recordKey = exportQueue.toKey(`idempotency:${job.data.idempotencyId}`);
+  const raw = await client.get(recordKey);
+  if (raw && JSON.parse(raw).jobId === job.id) {
+    await client.del(recordKey);
+  }
+}
+
+/**
+ * Handles an export job removed by a drain: records it as cancelled in the
+ * export history, notifies its callback (the client did not ask for the
+ * cancellation) and releases its idempotency record.
+ *
+ * @param {import('bullmq').Job} job - Drained export job
+ * @param {string} queueName - Queue the job was drained from
+ * @returns {Promise<void>}
+ */
+async function handleJobDrained(job, queueName) {
+  await exportHistoryService.record(buildHistoryRecord(job, queueName, "cancelled"));
+
+  if (job.data.callbackUrl) {
+    try {
+      await queueCallback(job, queueName, "cancelled");
+    } catch (error) {
+      logger.error("Failed to queue job callback", error, { queueName, jobId: job.id });
+    }
+  }
+
+  await releaseIdempotencyRecord(job);
+}
+
+/**
+ * Removes every job waiting to run. Active, completed and failed jobs are
+ * kept; delayed jobs (retry backoff, requester deferrals) only when asked.
+ * Delayed jobs that belong to a schedule are always kept, since removing them
+ * would stop the schedule. Each drained export job is handled like a
+ * cancellation: it gets an export history record and a callback.
+ *
+ * @param {object} [options={}] - Drain options
+ * @param {string} [options.queueName] - Queue to drain (defaults to every export queue)
+ * @param {boolean} [options.includeDelayed=false] - Also remove delayed jobs
+ * @returns {Promise<{removed: number, queues: object}>} Removed job counts, in total and per queue
+ */
+async function drainQueues({ queueName, includeDelayed = false } = {}) {
+  const states = ["waiting", "prioritized", "paused", ...(includeDelayed ? ["delayed"] : [])];
+  const results = {};
+  let removed = 0;
+
+  for (const queue of getTargetQueues(queueName)) {
+    let queueRemoved = 0;
+
+    for (const state of states) {
+      // Kept jobs stay in the list, so page past them instead of from the start
+      let kept = 0;
+
+      for (;;) {
+        const jobs = (await queue.getJobs([state], kept, kept + DRAIN_PAGE_SIZE - 1)).filter(Boolean);
+        if (jobs.length === 0) {
+          break;
+        }
+
+        for (const job of jobs) {
+          if (job.repeatJobKey) {
+            kept++;
+            continue;
+          }
+
+          try {
+            await job.remove();
+          } catch (error) {
+            // Picked up by a worker since it was listed, so it left this state
+            logger.warn("Could not remove job during drain", {
+              jobId: job.id,
+              error: error.message,
+            });
+            continue;
+          }
+
+          queueRemoved++;
+          if (job.name !== BATCH_JOB_NAME) {
+            await handleJobDrained(job, queue.name);
+          }
+        }
+      }
+    }
+
+    results[queue.name] = { removed: queueRemoved };
+    removed += queueRemoved;
+  }
+
+  logger.warn("Export queues drained", { removed, includeDelayed, queues: results });
+
+  return { removed, queues: results };
+}
+
+const STATS_STATES = ["waiting", "prioritized", "paused", "active", "completed", "failed", "delayed"];
+
+/**
+ * Gets queue statistics for monitoring and health checks.
+ * `queue` totals every export queue; `queues` reports each queue separately.
+ *
+ * @returns {Promise<object>} Queue statistics
+ */
+async function getQueueStats() {
+  try {
+    const isWorkerActive = workers.length > 0;
+
+    const perQueue = await Promise.all(
+      [...QUEUE_DEFINITIONS.values()].map(async ({ name, concurrency, useCases }) => {
+        const queue = queues.get(name);
+        const [counts, paused] = await Promise.all([
+          queue.getJobCounts(...STATS_STATES),
+          queue.isPaused(),
+        ]);
+        // Jobs added while a queue is paused wait in its paused list
+        const waiting = counts.waiting + counts.prioritized + counts.paused;
+        return [
+          name,
+          {
+            waiting,
+            active: counts.active,
+            completed: counts.completed,
+            failed: counts.failed,
+            delayed: counts.delayed,
+            total: waiting + counts.active + counts.completed + counts.failed + counts.delayed,
+            concurrency,
+            useCases,
+            paused,
+            workerRunning: isWorkerActive,
+            workerPaused: getLocalWorker(name)?.isPaused() ?? null,
+          },
+        ];
+      })
+    );
+
+    const deadLetterCount = await deadLetterQueue.getWaitingCount();
+
+    const totals = { waiting: 0, active: 0, completed: 0, failed: 0, delayed: 0, total: 0 };
+    perQueue.forEach(([, stats]) => {
+      Object.keys(totals).forEach((key) => {
+        totals[key] += stats[key];
+      });
+    });
+
+    return {
+      queue: totals,
+      queues: Object.fromEntries(perQueue),
+      pausedQueues: perQueue
+        .filter(([, stats]) => stats.paused || stats.workerPaused)
+        .map(([name]) => name),
+      deadLetter: {
+        queue: DEAD_LETTER_QUEUE_NAME,
+        total: deadLetterCount,
+      },
+      config: {
+        concurrency: DEFAULT_CONCURRENCY,
+        maxAttempts: parseInt(process.env.QUEUE_ATTEMPTS, 10) || 3,
+        workerRunning: isWorkerActive,
+        priorityLanes: Object.keys(PRIORITY_LANES),
+        requesterLimits: {
+          maxConcurrency: REQUESTER_MAX_CONCURRENCY,
+          rateLimit: REQUESTER_RATE_LIMIT,
+          rateWindowSeconds: REQUESTER_RATE_WINDOW_MS / 1000,
+        },
+      },
+    };
+  } catch (error) {
+    logger.error("Failed to get queue stats", error);
+    throw error;
+  }
+}
+
+/**
+ * Converts a BullMQ job into the plain object shape returned by this module.
+ *
+ * @param {import('bullmq').Job} job - BullMQ job
+ * @param {string} state - Current BullMQ state of the job
+ * @returns {object} Serialized job
+ */
+function serializeJob(job, state, cancellation = null) {
+  // A cancellation only sticks if the job did not complete before noticing it
+  const isCancelled = !!cancellation && state !== "completed";
+
+  return {
+    id: job.id,
+    name: job.name,
+    queue: job.queueName || QUEUE_NAME,
+    priority: getPriorityLane(job.opts?.priority),
+    data: job.data,
+    status: isCancelled ? "cancelled" : state,
+    cancelledAt: isCancelled ? cancellation.cancelledAt : null,
+    progress: job.progress,
+    attemptsMade: job.attemptsMade,
+    maxAttempts: job.opts?.attempts || 3,
+    createdAt: new Date(job.timestamp).toISOString(),
+    processedOn: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+    finishedOn: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+    failedReason: job.failedReason,
+    error: parseFailedReason(job.failedReason),
+    callback: job.data.callbackUrl
+      ? { url: job.data.callbackUrl, ...(job.data.callbackDelivery || { status: "waiting" }) }
+      : null,
+    returnValue: job.returnvalue,
+    parentJobId: job.parent?.id || null,
+  };
+}
+
+/**
+ * Computes aggregate progress for a batch parent job from its children.
+ *
+ * @param {import('bullmq').Job} job - Batch parent job
+ * @returns {Promise<object>} Child counts and completion percentage
+ */
+async function getBatchProgress(job) {
+  const counts = await job.getDependenciesCount();
+  const total = job.data.childCount || 0;
+  const completed = counts.processed || 0;
+  const failed = (counts.ignored || 0) + (counts.failed || 0);
+  const finished = completed + failed;
+
+  return {
+    total,
+    completed,
+    failed,
+    pending: Math.max(total - finished, 0),
+    percent: total > 0 ? Math.round((finished / total) * 100) : 100,
+  };
+}
+
+const IDEMPOTENCY_WINDOW_SECONDS =
+  parseInt(process.env.IDEMPOTENCY_WINDOW_SECONDS, 10) || 24 * 60 * 60;
+const IDEMPOTENCY_PENDING_POLL_MS = 100;
+const IDEMPOTENCY_PENDING_MAX_POLLS = 20;
+
+/**
+ * Error raised when an idempotency key cannot be honoured.
+ * `code` is `IDEMPOTENCY_KEY_MISMATCH` when the key was used for a different
+ * request, or `IDEMPOTENCY_KEY_IN_PROGRESS` when the original request is still
+ * being queued.
+ */
+class IdempotencyError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "IdempotencyError";
+    this.code = code;
+  }
+}
 
-// Worker instance (will be initialized by initWorker)
-let worker = null;
+/**
+ * Serializes a value to JSON with object keys sorted, so equal payloads
+ * always produce the same string.
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
 
 /**
- * Initializes the BullMQ Worker to process jobs from the queue.
- * This function should be called once when the application starts.
- * The worker will process jobs with the configured concurrency.
+ * Derives a deterministic fingerprint of an export request.
  *
- * @returns {Worker} The initialized worker instance
+ * @param {object} data - Job data ({ useCase, email, filters })
+ * @returns {string} Hex SHA-256 fingerprint
  */
-function initWorker() {
-  if (worker) {
-    logger.warn("Worker already initialized");
-    return worker;
+function fingerprintExportRequest({ useCase, email, filters }) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      stableStringify({
+        useCase,
+        email: (email || "").toLowerCase(),
+        filters: filters || {},
+      })
+    )
+    .digest("hex");
+}
+
+/**
+ * Queues a single export job, honouring idempotency.
+ * When an idempotency key is supplied (or payload deduplication is enabled
+ * via `IDEMPOTENCY_DEDUPE_BY_PAYLOAD`), repeated requests within
+ * `IDEMPOTENCY_WINDOW_SECONDS` return the original job instead of queuing again.
+ *
+ * The job goes to the use case's queue in the requested priority lane.
+ *
+ * @param {object} data - Job data ({ useCase, email, filters, requester })
+ * @param {object} [options={}] - Queue options
+ * @param {string} [options.idempotencyKey] - Client-supplied idempotency key
+ * @param {string} [options.priority="normal"] - Priority lane (high, normal, low)
+ * @returns {Promise<{jobId: string, duplicate: boolean}>} Queued (or original) job ID
+ * @throws {IdempotencyError} If the key was reused for a different request or is still in progress
+ */
+async function addExportJob(data, options = {}) {
+  const fingerprint = fingerprintExportRequest(data);
+  const dedupeByPayload = process.env.IDEMPOTENCY_DEDUPE_BY_PAYLOAD === "true";
+
+  let idempotencyId = null;
+  if (options.idempotencyKey) {
+    idempotencyId = `key:${crypto
+      .createHash("sha256")
+      .update(options.idempotencyKey)
+      .digest("hex")}`;
+  } else if (dedupeByPayload) {
+    idempotencyId = `payload:${fingerprint}`;
   }
 
-  const concurrency = parseInt(process.env.QUEUE_CONCURRENCY, 10) || 5;
+  const queue = getQueueForUseCase(data.useCase);
+  // The job keeps its idempotency ID so a drain can release the record
+  const jobData = idempotencyId ? { ...data, idempotencyId } : data;
+  const enqueue = () => queue.add(EXPORT_JOB_NAME, jobData, buildJobOptions(queue, options.priority));
 
-  logger.info("Initializing BullMQ worker", {
-    queueName: QUEUE_NAME,
-    concurrency,
-    redisHost: connection.host,
-    redisPort: connection.port,
-  });
+  if (!idempotencyId) {
+    const job = await enqueue();
+    return { jobId: job.id, duplicate: false };
+  }
 
-  worker = new Worker(
-    QUEUE_NAME,
-    async (job) => {
-      logger.info("Processing job", {
-        jobId: job.id,
-        useCase: job.data.useCase,
-        email: job.data.email,
-        filterCount: Object.keys(job.data.filters || {}).length,
-        attempt: job.attemptsMade + 1,
-      });
+  const client = await exportQueue.client;
+  const recordKey = exportQueue.toKey(`idempotency:${idempotencyId}`);
 
-      try {
-        const result = await exportPptService.processExport(job.data);
+  // Claim the key first so concurrent retries cannot both enqueue
+  const claimed = await client.set(
+    recordKey,
+    JSON.stringify({ jobId: null, fingerprint }),
+    "EX",
+    IDEMPOTENCY_WINDOW_SECONDS,
+    "NX"
+  );
 
-        logger.info("Job processed successfully", {
-          jobId: job.id,
-          result,
-        });
+  if (!claimed) {
+    for (let poll = 0; poll < IDEMPOTENCY_PENDING_MAX_POLLS; poll++) {
+      const raw = await client.get(recordKey);
+      if (!raw) {
+        // The original attempt failed and released the key; try again
+        return addExportJob(data, options);
+      }
 
-        return result;
-      } catch (error) {
-        logger.error("Job processing failed", error, {
-          jobId: job.id,
-          useCase: job.data.useCase,
-          email: job.data.email,
-          attempt: job.attemptsMade + 1,
+      const record = JSON.parse(raw);
+      if (record.fingerprint !== fingerprint) {
+        throw new IdempotencyError(
+          "Idempotency key was already used for a different request",
+          "IDEMPOTENCY_KEY_MISMATCH"
+        );
+      }
+      if (record.jobId) {
+        logger.info("Duplicate export request, returning original job", {
+          jobId: record.jobId,
         });
+        return { jobId: record.jobId, duplicate: true };
+      }
 
-        // Send failure email if this is the final attempt
-        if (
-          job.attemptsMade + 1 >= job.opts.attempts &&
-          job.data.email &&
-          job.data.useCase
-        ) {
-          try {
-            await exportPptService.sendFailureEmail(
-              job.data.email,
-              job.data.useCase,
-              error,
-              job.id
-            );
-            logger.info("Failure notification email sent", {
-              jobId: job.id,
-              email: job.data.email,
-            });
-          } catch (emailError) {
-            logger.error(
-              "Failed to send failure notification email",
-              emailError,
-              {
-                jobId: job.id,
-                originalError: error.message,
-              }
-            );
-          }
-        }
+      await new Promise((resolve) => setTimeout(resolve, IDEMPOTENCY_PENDING_POLL_MS));
+    }
+
+    throw new IdempotencyError(
+      "A request with this idempotency key is still being processed",
+      "IDEMPOTENCY_KEY_IN_PROGRESS"
+    );
+  }
+
+  try {
+    const job = await enqueue();
+    await client.set(
+      recordKey,
+      JSON.stringify({ jobId: job.id, fingerprint }),
+      "EX",
+      IDEMPOTENCY_WINDOW_SECONDS
+    );
+    return { jobId: job.id, duplicate: false };
+  } catch (error) {
+    await client.del(recordKey);
+    throw error;
+  }
+}
+
+/**
+ * Queues a batch of export jobs under a single parent job.
+ * Children are ordinary export jobs; a child that exhausts its retries is
+ * recorded as a failure on the parent instead of blocking it.
+ *
+ * @param {object} batch - Batch definition
+ * @param {string} batch.useCase - Use case identifier shared by all children
+ * @param {string} batch.email - Recipient email address
+ * @param {Array<object>} batch.filterSets - One filters object per child export
+ * @param {string} [batch.summary="none"] - Summary email mode (none, attachments, links)
+ * @param {string} [batch.priority="low"] - Priority lane for the children (high, normal, low)
+ * @param {string} [batch.requester] - API client the children are rate limited under (defaults to the recipient)
+ * @returns {Promise<{jobId: string, childJobIds: Array<string>}>} Parent and child job IDs
+ */
+async function addBatch({
+  useCase,
+  email,
+  filterSets,
+  summary = "none",
+  priority = DEFAULT_BATCH_PRIORITY,
+  requester,
+}) {
+  try {
+    const sendSummary = summary !== "none";
+    const queue = getQueueForUseCase(useCase);
+
+    const flow = await flowProducer.add({
+      name: BATCH_JOB_NAME,
+      queueName: queue.name,
+      data: { useCase, email, summary, childCount: filterSets.length },
+      opts: { ...DEFAULT_JOB_OPTIONS, ...buildJobOptions(queue, priority) },
+      children: filterSets.map((filters) => ({
+        name: EXPORT_JOB_NAME,
+        queueName: queue.name,
+        data: { useCase, email, filters, skipEmail: sendSummary, ...(requester && { requester }) },
+        opts: {
+          ...DEFAULT_JOB_OPTIONS,
+          ...buildJobOptions(queue, priority),
+          ignoreDependencyOnFailure: true,
+        },
+      })),
+    });
+
+    return {
+      jobId: flow.job.id,
+      childJobIds: (flow.children || []).map((child) => child.job.id),
+    };
+  } catch (error) {
+    logger.error("Failed to add batch", error, {
+      useCase,
+      childCount: filterSets.length,
+    });
+    throw error;
+  }
+}
 
-        throw error;
+const DEFAULT_SCHEDULE_TIMEZONE = process.env.SCHEDULE_DEFAULT_TIMEZONE || "UTC";
+
+/**
+ * Converts a BullMQ job scheduler into the API representation of a schedule.
+ *
+ * @param {object} scheduler - Job scheduler as returned by BullMQ
+ * @returns {object} Schedule
+ */
+function serializeSchedule(scheduler) {
+  const data = scheduler.template?.data || {};
+
+  return {
+    scheduleId: scheduler.key,
+    name: data.schedule?.name || null,
+    useCase: data.useCase,
+    filters: data.filters || {},
+    recipients: [].concat(data.email || []),
+    cron: scheduler.pattern,
+    timezone: scheduler.tz || DEFAULT_SCHEDULE_TIMEZONE,
+    nextRunAt: scheduler.next ? new Date(scheduler.next).toISOString() : null,
+    runCount: scheduler.iterationCount || 0,
+    createdAt: data.schedule?.createdAt || null,
+  };
+}
+
+/**
+ * Creates a recurring export backed by a BullMQ job scheduler.
+ * Every firing queues an ordinary export job (with `data.schedule.id` set), so
+ * runs show up in the job status and listing endpoints like any other export.
+ *
+ * @param {object} schedule - Schedule definition
+ * @param {string} schedule.useCase - Use case identifier
+ * @param {object} [schedule.filters={}] - Filters applied on every run
+ * @param {Array<string>} schedule.recipients - Recipient email addresses
+ * @param {string} schedule.cron - Cron expression
+ * @param {string} [schedule.timezone] - IANA time zone for the cron expression (defaults to SCHEDULE_DEFAULT_TIMEZONE or UTC)
+ * @param {string} [schedule.name] - Human-readable schedule name
+ * @returns {Promise<object>} The created schedule
+ */
+async function addSchedule({ useCase, filters = {}, recipients, cron, timezone, name }) {
+  const scheduleId = `schedule-${crypto.randomUUID()}`;
+  const tz = timezone || DEFAULT_SCHEDULE_TIMEZONE;
+
+  try {
+    await getQueueForUseCase(useCase).upsertJobScheduler(
+      scheduleId,
+      { pattern: cron, tz },
+      {
+        name: EXPORT_JOB_NAME,
+        data: {
+          useCase,
+          filters,
+          email: recipients,
+          // Relative date filters resolve in the schedule's time zone
+          timezone: tz,
+          schedule: {
+            id: scheduleId,
+            name: name || null,
+            createdAt: new Date().toISOString(),
+          },
+        },
+        opts: { ...DEFAULT_JOB_OPTIONS, priority: PRIORITY_LANES[DEFAULT_PRIORITY] },
       }
-    },
-    {
-      connection,
-      concurrency,
-      // Optional: Use worker threads to prevent blocking the main event loop
-      // This is useful for CPU-intensive tasks
-      useWorkerThreads: true,
+    );
+
+    logger.info("Export schedule created", { scheduleId, useCase, cron, tz });
+    return getSchedule(scheduleId);
+  } catch (error) {
+    logger.error("Failed to create export schedule", error, { useCase, cron, tz });
+    throw error;
+  }
+}
+
+/**
+ * Gets a schedule by ID.
+ *
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<object|null>} Schedule or null if not found
+ */
+async function getSchedule(scheduleId) {
+  for (const queue of queues.values()) {
+    const scheduler = await queue.getJobScheduler(scheduleId);
+    if (scheduler) {
+      return serializeSchedule(scheduler);
     }
+  }
+  return null;
+}
+
+/**
+ * Lists all schedules, soonest next run first.
+ *
+ * @returns {Promise<Array<object>>} Schedules
+ */
+async function listSchedules() {
+  const schedulersByQueue = await Promise.all(
+    [...queues.values()].map((queue) => queue.getJobSchedulers(0, -1, true))
   );
+  return schedulersByQueue
+    .flat()
+    .sort((a, b) => (a.next || Infinity) - (b.next || Infinity))
+    .map(serializeSchedule);
+}
 
-  // Worker event handlers
-  worker.on("completed", (job) => {
-    logger.info("Job completed", {
-      jobId: job.id,
-      duration: job.finishedOn - job.processedOn,
-    });
-  });
+/**
+ * Deletes a schedule. Runs already queued are not affected.
+ *
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<boolean>} True if the schedule existed and was removed
+ */
+async function removeSchedule(scheduleId) {
+  for (const queue of queues.values()) {
+    if (await queue.removeJobScheduler(scheduleId)) {
+      logger.info("Export schedule removed", { scheduleId, queueName: queue.name });
+      return true;
+    }
+  }
+  return false;
+}
 
-  worker.on("failed", (job, err) => {
-    logger.error("Job failed", err, {
-      jobId: job?.id,
-      attemptsMade: job?.attemptsMade,
-      maxAttempts: job?.opts?.attempts,
-    });
-  });
+/**
+ * Converts a dead-letter entry into the shape returned by this module.
+ *
+ * @param {import('bullmq').Job} entry - Dead-letter queue job
+ * @param {boolean} [includeDetails=false] - Include payload, stack traces and attempt history
+ * @returns {object} Serialized dead-letter entry
+ */
+function serializeDeadLetter(entry, includeDetails = false) {
+  const { data } = entry;
+  const summary = {
+    id: entry.id,
+    originalJobId: data.originalJobId,
+    queue: data.queueName,
+    useCase: data.data?.useCase,
+    email: data.data?.email,
+    priority: data.priority,
+    errorCode: data.errorCode,
+    failedReason: data.failedReason,
+    attemptsMade: data.attemptsMade,
+    maxAttempts: data.maxAttempts,
+    createdAt: data.createdAt,
+    failedAt: data.failedAt,
+    deadLetteredAt: new Date(entry.timestamp).toISOString(),
+  };
 
-  worker.on("error", (err) => {
-    logger.error("Worker error", err);
-  });
+  if (!includeDetails) {
+    return summary;
+  }
 
-  worker.on("stalled", (jobId) => {
-    logger.warn("Job stalled", { jobId });
-  });
+  return {
+    ...summary,
+    jobName: data.jobName,
+    data: data.data,
+    attempts: data.attempts,
+    stacktrace: data.stacktrace,
+  };
+}
 
-  logger.info("BullMQ worker started successfully", {
-    queueName: QUEUE_NAME,
-    concurrency,
-  });
+/**
+ * Lists dead-lettered jobs, most recent first.
+ *
+ * @param {object} [options={}] - Pagination options
+ * @param {number} [options.limit=20] - Page size
+ * @param {number} [options.offset=0] - Entries to skip
+ * @returns {Promise<{entries: Array<object>, total: number, limit: number, offset: number}>} Page of entries
+ */
+async function listDeadLetters({ limit = 20, offset = 0 } = {}) {
+  const [entries, total] = await Promise.all([
+    deadLetterQueue.getJobs(["waiting"], offset, offset + limit - 1, false),
+    deadLetterQueue.getWaitingCount(),
+  ]);
 
-  return worker;
+  return {
+    entries: entries.filter(Boolean).map((entry) => serializeDeadLetter(entry)),
+    total,
+    limit,
+    offset,
+  };
 }
 
 /**
- * Closes the worker and queue connections gracefully.
- * Should be called during application shutdown.
+ * Gets a dead-lettered job with its payload, stack traces and attempt history.
  *
- * @returns {Promise<void>}
+ * @param {string} deadLetterId - Dead-letter entry ID
+ * @returns {Promise<object|null>} Entry, or null if not found
  */
-async function close() {
-  logger.info("Closing BullMQ connections");
+async function getDeadLetter(deadLetterId) {
+  const entry = await deadLetterQueue.getJob(deadLetterId);
+  return entry ? serializeDeadLetter(entry, true) : null;
+}
+
+/**
+ * Replays a dead-lettered job as a new export job, then removes the entry.
+ * Filters, recipients and priority may be changed for the replay; the new job
+ * skips idempotency checks, since replaying the same payload is the point.
+ * The entry is claimed first, so it is replayed at most once even when
+ * requests race or the entry cannot be removed afterwards.
+ *
+ * @param {string} deadLetterId - Dead-letter entry ID
+ * @param {object} [overrides={}] - Changes for the replayed job
+ * @param {object} [overrides.filters] - Replacement filters
+ * @param {string} [overrides.email] - Replacement recipient
+ * @param {string} [overrides.priority] - Priority lane (defaults to the original lane)
+ * @returns {Promise<{jobId: string, queue: string, deadLetterId: string, originalJobId: string}|null>} New job, or null if the entry does not exist or was already replayed
+ */
+async function replayDeadLetter(deadLetterId, overrides = {}) {
+  const entry = await deadLetterQueue.getJob(deadLetterId);
+  if (!entry) {
+    return null;
+  }
 
-  if (worker) {
-    await worker.close();
-    worker = null;
-    logger.info("Worker closed");
+  const client = await deadLetterQueue.client;
+  const claimKey = deadLetterQueue.toKey(`replay:${entry.id}`);
+  const claimed = await client.set(claimKey, "pending", "PX", REPLAY_CLAIM_TTL_MS, "NX");
+  if (claimed !== "OK") {
+    logger.info("Dead-letter entry already replayed or being replayed", { deadLetterId: entry.id });
+    return null;
   }
 
-  await exportQueue.close();
-  logger.info("Queue closed");
+  // Batch children defer to a summary email that will not be sent for a replay,
+  // and the replay reports its own callback delivery
+  const { skipEmail, callbackDelivery, ...original } = entry.data.data;
+  const data = {
+    ...original,
+    ...(overrides.filters !== undefined && { filters: overrides.filters }),
+    ...(overrides.email !== undefined && { email: overrides.email }),
+    replayOf: { deadLetterId: entry.id, originalJobId: entry.data.originalJobId },
+  };
+  const priority = overrides.priority || entry.data.priority || DEFAULT_PRIORITY;
+
+  const queue = getQueueForUseCase(data.useCase);
+  let job;
+  try {
+    job = await queue.add(EXPORT_JOB_NAME, data, buildJobOptions(queue, priority));
+  } catch (error) {
+    // Nothing was queued, so the entry may be replayed again
+    await client.del(claimKey);
+    throw error;
+  }
+
+  await client.set(claimKey, String(job.id), "PX", REPLAY_RECORD_TTL_MS);
+  try {
+    await entry.remove();
+  } catch (error) {
+    logger.warn("Failed to remove replayed dead-letter entry", {
+      deadLetterId: entry.id,
+      jobId: job.id,
+      error: error.message,
+    });
+  }
+
+  logger.info("Dead-lettered job replayed", {
+    deadLetterId: entry.id,
+    originalJobId: entry.data.originalJobId,
+    jobId: job.id,
+    filtersChanged: overrides.filters !== undefined,
+  });
+
+  return {
+    jobId: job.id,
+    queue: queue.name,
+    deadLetterId: entry.id,
+    originalJobId: entry.data.originalJobId,
+  };
 }
 
 /**
- * Gets queue statistics for monitoring and health checks.
+ * Removes a single dead-letter entry.
  *
- * @returns {Promise<object>} Queue statistics
+ * @param {string} deadLetterId - Dead-letter entry ID
+ * @returns {Promise<boolean>} True if an entry was removed
  */
-async function getQueueStats() {
+async function removeDeadLetter(deadLetterId) {
+  const entry = await deadLetterQueue.getJob(deadLetterId);
+  if (!entry) {
+    return false;
+  }
+  await entry.remove();
+  logger.info("Dead-letter entry purged", { deadLetterId });
+  return true;
+}
+
+/**
+ * Purges dead-letter entries, optionally only those older than a threshold.
+ *
+ * @param {object} [options={}] - Purge options
+ * @param {number} [options.olderThanSeconds=0] - Only purge entries dead-lettered at least this long ago
+ * @returns {Promise<{removed: number}>} Number of entries removed
+ */
+async function purgeDeadLetters({ olderThanSeconds = 0 } = {}) {
+  const removedIds = await deadLetterQueue.clean(olderThanSeconds * 1000, 0, "wait");
+  logger.info("Dead-letter queue purged", { olderThanSeconds, removed: removedIds.length });
+  return { removed: removedIds.length };
+}
+
+/**
+ * Rebuilds a serialized job from the snapshot kept when a queued job was removed.
+ *
+ * @param {object} cancellation - Cancellation record
+ * @returns {object} Serialized job
+ */
+function serializeCancelledSnapshot(cancellation) {
+  return serializeJob(cancellation.job, "cancelled", cancellation);
+}
+
+/**
+ * Cancels a job. Jobs that have not started are removed from the queue;
+ * active jobs are flagged and abort cooperatively at their next pipeline stage.
+ * In both cases a cancellation record is kept so the job reports `cancelled`.
+ *
+ * @param {string} jobId - The job ID
+ * @returns {Promise<{outcome: string, previousState: string}|null>} Outcome
+ *   (`removed`, `cancelling`, `not_cancellable` or `already_cancelled`), or null if the job does not exist
+ */
+async function cancelJob(jobId) {
   try {
-    const [waiting, active, completed, failed, delayed] = await Promise.all([
-      exportQueue.getWaitingCount(),
-      exportQueue.getActiveCount(),
-      exportQueue.getCompletedCount(),
-      exportQueue.getFailedCount(),
-      exportQueue.getDelayedCount(),
+    const [job, existing] = await Promise.all([
+      findJob(jobId),
+      getCancellation(jobId),
     ]);
 
-    const isWorkerActive = worker !== null;
+    if (!job) {
+      return existing ? { outcome: "already_cancelled", previousState: existing.previousState } : null;
+    }
 
-    return {
-      queue: {
-        waiting,
-        active,
-        completed,
-        failed,
-        delayed,
-        total: waiting + active + completed + failed + delayed,
-      },
-      config: {
-        concurrency: parseInt(process.env.QUEUE_CONCURRENCY, 10) || 5,
-        maxAttempts: parseInt(process.env.QUEUE_ATTEMPTS, 10) || 3,
-        workerRunning: isWorkerActive,
+    const state = await job.getState();
+
+    if (existing && state !== "completed") {
+      return { outcome: "already_cancelled", previousState: existing.previousState };
+    }
+
+    if (state === "completed" || state === "failed") {
+      return { outcome: "not_cancellable", previousState: state };
+    }
+
+    const record = {
+      cancelledAt: new Date().toISOString(),
+      previousState: state,
+      job: {
+        id: job.id,
+        name: job.name,
+        queueName: job.queueName,
+        data: job.data,
+        timestamp: job.timestamp,
+        attemptsMade: job.attemptsMade,
+        opts: { attempts: job.opts?.attempts, priority: job.opts?.priority },
       },
     };
+
+    // Record first so a worker that grabs the job concurrently still sees it
+    const client = await exportQueue.client;
+    await client.hset(CANCELLATIONS_KEY, String(job.id), JSON.stringify(record));
+
+    if (REMOVABLE_STATES.includes(state)) {
+      try {
+        await job.remove();
+        logger.info("Queued job removed after cancellation", { jobId, state });
+        if (job.name !== BATCH_JOB_NAME) {
+          await exportHistoryService.record(buildHistoryRecord(job, job.queueName, "cancelled"));
+        }
+        return { outcome: "removed", previousState: state };
+      } catch (error) {
+        // The job was picked up between getState and remove; the worker will abort it
+        logger.warn("Could not remove job, falling back to cooperative cancellation", {
+          jobId,
+          error: error.message,
+        });
+      }
+    }
+
+    logger.info("Active job flagged for cancellation", { jobId, state });
+    return { outcome: "cancelling", previousState: state };
   } catch (error) {
-    logger.error("Failed to get queue stats", error);
+    logger.error("Failed to cancel job", error, { jobId });
     throw error;
   }
 }
 
 /**
- * Gets a job by ID from the queue.
+ * Gets a job by ID from whichever export queue holds it.
  *
  * @param {string} jobId - The job ID
  * @returns {Promise<object|null>} Job data or null if not found
  */
 async function getJobById(jobId) {
   try {
-    const job = await exportQueue.getJob(jobId);
+    const [job, cancellation] = await Promise.all([
+      findJob(jobId),
+      getCancellation(jobId),
+    ]);
 
     if (!job) {
-      return null;
+      // Jobs cancelled before they started are removed from the queue
+      return cancellation ? serializeCancelledSnapshot(cancellation) : null;
     }
 
     const state = await job.getState();
-    const progress = job.progress;
-    const returnValue = job.returnvalue;
-    const failedReason = job.failedReason;
+    const serialized = serializeJob(job, state, cancellation);
+
+    if (job.name === BATCH_JOB_NAME) {
+      serialized.batch = await getBatchProgress(job);
+    }
+
+    return serialized;
+  } catch (error) {
+    logger.error("Failed to get job by id", error, { jobId });
+    throw error;
+  }
+}
+
+const LISTABLE_STATES = ["waiting", "prioritized", "waiting-children", "active", "completed", "failed", "delayed", "paused", "cancelled"];
+
+/**
+ * Encodes the sort position of a job as an opaque pagination cursor.
+ * @param {object} job - Serialized job
+ * @returns {string} Cursor string
+ */
+function encodeCursor(job) {
+  return Buffer.from(`${Date.parse(job.createdAt)}:${job.id}`).toString("base64url");
+}
+
+/**
+ * Decodes a pagination cursor produced by `encodeCursor`.
+ * @param {string} cursor - Cursor string
+ * @returns {{timestamp: number, id: string}} Sort position
+ * @throws {Error} If the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  const decoded = Buffer.from(cursor, "base64url").toString("utf8");
+  const separatorIndex = decoded.indexOf(":");
+  const timestamp = Number(decoded.slice(0, separatorIndex));
+
+  if (separatorIndex <= 0 || !Number.isFinite(timestamp)) {
+    throw new Error("Invalid cursor");
+  }
+
+  return { timestamp, id: decoded.slice(separatorIndex + 1) };
+}
+
+/**
+ * Orders jobs newest first, breaking timestamp ties by job ID.
+ */
+function compareJobsNewestFirst(a, b) {
+  const timeDiff = Date.parse(b.createdAt) - Date.parse(a.createdAt);
+  if (timeDiff !== 0) return timeDiff;
+  return String(b.id).localeCompare(String(a.id), undefined, { numeric: true });
+}
+
+// Jobs read per getJobs call while listing, and at most per list request
+const LIST_SCAN_PAGE_SIZE = 50;
+const LIST_SCAN_LIMIT = parseInt(process.env.JOB_LIST_SCAN_LIMIT, 10) || 2000;
+
+/**
+ * Reads one queue state in windows of LIST_SCAN_PAGE_SIZE jobs, newest first
+ * in that state's own order.
+ *
+ * @param {Queue} queue - Queue to read
+ * @param {string} state - BullMQ state
+ * @param {Map<string, object>} cancellations - Cancellation records by job ID
+ * @returns {{head: function(): Promise<object|null>, next: function(): void, scanned: number}} Cursor over serialized jobs
+ */
+function createStateReader(queue, state, cancellations) {
+  let buffer = [];
+  let start = 0;
+  let exhausted = false;
+
+  const reader = {
+    scanned: 0,
+    async head() {
+      while (buffer.length === 0 && !exhausted) {
+        const jobs = await queue.getJobs([state], start, start + LIST_SCAN_PAGE_SIZE - 1, false);
+        start += LIST_SCAN_PAGE_SIZE;
+        reader.scanned += jobs.length;
+        exhausted = jobs.length < LIST_SCAN_PAGE_SIZE;
+        buffer = jobs
+          .filter(Boolean)
+          .map((job) => serializeJob(job, state, cancellations.get(String(job.id))));
+      }
+      return buffer[0] || null;
+    },
+    next() {
+      buffer.shift();
+    },
+  };
+  return reader;
+}
+
+/**
+ * Lists jobs across all export queues matching the given criteria, newest first.
+ * Every queue state is read in windows and the windows are merged by creation
+ * time, so a page only reads about as many jobs as it returns. Each state is
+ * read in its own order (e.g. completed jobs by finish time), so a job that
+ * re-entered a state late can appear slightly out of order. A request reads at
+ * most JOB_LIST_SCAN_LIMIT jobs; `truncated` is true when it stopped there.
+ *
+ * @param {object} [criteria={}] - Search criteria
+ * @param {Array<string>} [criteria.states] - BullMQ states, or `cancelled`, to include (defaults to all)
+ * @param {string} [criteria.useCase] - Only jobs for this use case
+ * @param {string} [criteria.email] - Only jobs for this recipient (case-insensitive)
+ * @param {Date} [criteria.createdFrom] - Only jobs created at or after this time
+ * @param {Date} [criteria.createdTo] - Only jobs created at or before this time
+ * @param {number} [criteria.limit=20] - Page size
+ * @param {number} [criteria.offset=0] - Number of matches to skip (ignored when cursor is set)
+ * @param {string} [criteria.cursor] - Cursor from a previous page's `nextCursor`
+ * @returns {Promise<{jobs: Array<object>, hasMore: boolean, truncated: boolean, nextCursor: string|null}>} Page of jobs
+ */
+async function listJobs(criteria = {}) {
+  const {
+    states = LISTABLE_STATES,
+    useCase,
+    email,
+    createdFrom,
+    createdTo,
+    limit = 20,
+    offset = 0,
+    cursor,
+  } = criteria;
+
+  try {
+    // Decode first so a malformed cursor fails before any Redis reads
+    const position = cursor ? decodeCursor(cursor) : null;
+    const boundary = position
+      ? { id: position.id, createdAt: new Date(position.timestamp).toISOString() }
+      : null;
+    const cancellations = await getAllCancellations();
+
+    // Cancelled jobs that had started end up active or failed in BullMQ
+    const statesToScan = states.includes("cancelled")
+      ? [...new Set([...states.filter((s) => s !== "cancelled"), "active", "failed"])]
+      : states;
+
+    const readers = [...queues.values()].flatMap((queue) =>
+      statesToScan.map((state) => createStateReader(queue, state, cancellations))
+    );
+
+    if (states.includes("cancelled")) {
+      // Jobs cancelled before they started only exist as snapshots
+      const snapshots = [...cancellations.values()]
+        .filter((cancellation) => REMOVABLE_STATES.includes(cancellation.previousState))
+        .map(serializeCancelledSnapshot)
+        .sort(compareJobsNewestFirst);
+      readers.push({
+        scanned: 0,
+        head: async () => snapshots[0] || null,
+        next: () => snapshots.shift(),
+      });
+    }
+
+    const normalizedEmail = email ? email.toLowerCase() : null;
+    const fromTime = createdFrom ? createdFrom.getTime() : null;
+    const toTime = createdTo ? createdTo.getTime() : null;
+
+    const matchesCriteria = (job) => {
+      const createdTime = Date.parse(job.createdAt);
+      if (!states.includes(job.status)) return false;
+      if (useCase && job.data?.useCase !== useCase) return false;
+      if (
+        normalizedEmail &&
+        ![].concat(job.data?.email || []).some((address) => address.toLowerCase() === normalizedEmail)
+      ) {
+        return false;
+      }
+      if (fromTime !== null && createdTime < fromTime) return false;
+      if (toTime !== null && createdTime > toTime) return false;
+      if (boundary && compareJobsNewestFirst(boundary, job) >= 0) return false;
+      return true;
+    };
+
+    // Collect one match past the page to know whether another page exists
+    const skip = boundary ? 0 : offset;
+    const wanted = skip + limit + 1;
+    const seenIds = new Set();
+    const matches = [];
+    let truncated = false;
+
+    while (matches.length < wanted) {
+      const scanned = readers.reduce((sum, reader) => sum + reader.scanned, 0);
+      if (scanned >= LIST_SCAN_LIMIT) {
+        truncated = true;
+        break;
+      }
+
+      const heads = await Promise.all(readers.map((reader) => reader.head()));
+      let newest = -1;
+      heads.forEach((job, index) => {
+        if (job && (newest === -1 || compareJobsNewestFirst(job, heads[newest]) < 0)) {
+          newest = index;
+        }
+      });
+      if (newest === -1) {
+        break;
+      }
+
+      const job = heads[newest];
+      readers[newest].next();
+
+      // A job that changed state mid-scan can be read twice
+      if (seenIds.has(String(job.id))) continue;
+      seenIds.add(String(job.id));
+
+      if (matchesCriteria(job)) {
+        matches.push(job);
+      }
+    }
+
+    const jobs = matches.slice(skip, skip + limit);
+    const hasMore = matches.length > skip + limit;
 
     return {
-      id: job.id,
-      name: job.name,
-      data: job.data,
-      status: state,
-      progress,
-      attemptsMade: job.attemptsMade,
-      maxAttempts: job.opts?.attempts || 3,
-      createdAt: new Date(job.timestamp).toISOString(),
-      processedOn: job.processedOn ? new Date(job.processedOn).toISOString() : null,
-      finishedOn: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
-      failedReason,
-      returnValue,
+      jobs,
+      hasMore,
+      truncated,
+      nextCursor: hasMore && jobs.length > 0 ? encodeCursor(jobs[jobs.length - 1]) : null,
     };
   } catch (error) {
-    logger.error("Failed to get job by id", error, { jobId });
+    logger.error("Failed to list jobs", error, { criteria });
     throw error;
   }
 }
 
 module.exports = {
   exportQueue,
+  EXPORT_JOB_NAME,
+  PRIORITY_LANES,
+  findJob,
+  IdempotencyError,
+  addExportJob,
+  addBatch,
+  acquireRequesterSlot,
+  releaseRequesterSlot,
   initWorker,
   close,
+  getWorkerHealth,
   getQueueStats,
+  getQueueNames,
+  PAUSE_SCOPES,
+  pauseQueues,
+  resumeQueues,
+  drainQueues,
+  cleanQueue,
+  CLEANABLE_STATES,
   getJobById,
+  listJobs,
+  cancelJob,
+  clearCancellation,
+  subscribeToJobEvents,
+  addSchedule,
+  getSchedule,
+  listSchedules,
+  removeSchedule,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  removeDeadLetter,
+  purgeDeadLetters,
 };
 
@@ -0,0 +1,307 @@
+/**
+ * Relative date filter tokens.
+ *
+ * Date-typed filters (`"type": "date"` in tableau-views.json FILTERS) accept
+ * literal dates (`2024-01-31`) or relative tokens such as `last_7_days` and
+ * `month_to_date`. Tokens are resolved when the export runs, against the
+ * calendar date in the configured time zone. A filter declaring `startParam`
+ * and `endParam` receives the range as its two bounds; otherwise the range is
+ * sent as a list of dates, so it may cover at most MAX_LISTED_DAYS days.
+ *
+ * No shipped use case declares a date filter yet, so this is unused until one
+ * is added to tableau-views.json (scripts/test-date-filters.js covers it).
+ */
+
+const DEFAULT_TIMEZONE = process.env.DATE_FILTER_TIMEZONE || "UTC";
+const DEFAULT_DATE_FORMAT = "yyyy-MM-dd";
+const MAX_RANGE_DAYS = 366;
+const MAX_LISTED_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LITERAL_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LAST_N_DAYS_PATTERN = /^last_(\d+)_days$/;
+
+/**
+ * Named tokens mapped to the most days they can cover and a function of
+ * today's date (UTC midnight) returning an inclusive `{ start, end }` range.
+ * Weeks start on Monday.
+ */
+const NAMED_RANGES = {
+  today: {
+    maxDays: 1,
+    resolve: (today) => ({ start: today, end: today }),
+  },
+  yesterday: {
+    maxDays: 1,
+    resolve: (today) => {
+      const day = addDays(today, -1);
+      return { start: day, end: day };
+    },
+  },
+  week_to_date: {
+    maxDays: 7,
+    resolve: (today) => ({ start: startOfWeek(today), end: today }),
+  },
+  last_week: {
+    maxDays: 7,
+    resolve: (today) => {
+      const start = addDays(startOfWeek(today), -7);
+      return { start, end: addDays(start, 6) };
+    },
+  },
+  month_to_date: {
+    maxDays: 31,
+    resolve: (today) => ({ start: startOfMonth(today), end: today }),
+  },
+  last_month: {
+    maxDays: 31,
+    resolve: (today) => {
+      const end = addDays(startOfMonth(today), -1);
+      return { start: startOfMonth(end), end };
+    },
+  },
+  quarter_to_date: {
+    maxDays: 92,
+    resolve: (today) => ({ start: startOfQuarter(today), end: today }),
+  },
+  last_quarter: {
+    maxDays: 92,
+    resolve: (today) => {
+      const end = addDays(startOfQuarter(today), -1);
+      return { start: startOfQuarter(end), end };
+    },
+  },
+  year_to_date: {
+    maxDays: 366,
+    resolve: (today) => ({ start: startOfYear(today), end: today }),
+  },
+  last_year: {
+    maxDays: 366,
+    resolve: (today) => {
+      const end = addDays(startOfYear(today), -1);
+      return { start: startOfYear(end), end };
+    },
+  },
+};
+
+// Calendar arithmetic on dates held at UTC midnight
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function startOfWeek(date) {
+  // getUTCDay: 0 = Sunday; shift so Monday is the first day
+  return addDays(date, -((date.getUTCDay() + 6) % 7));
+}
+
+function startOfMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+function startOfQuarter(date) {
+  const month = date.getUTCMonth();
+  return new Date(Date.UTC(date.getUTCFullYear(), month - (month % 3), 1));
+}
+
+function startOfYear(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+}
+
+/**
+ * Returns today's calendar date in a time zone, as UTC midnight.
+ *
+ * @param {string} timezone - IANA time zone
+ * @param {Date} [now=new Date()] - Reference instant
+ * @returns {Date} Today's date at 00:00 UTC
+ */
+function getToday(timezone, now = new Date()) {
+  // en-CA formats as YYYY-MM-DD
+  const isoDate = new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(now);
+  return new Date(`${isoDate}T00:00:00Z`);
+}
+
+/**
+ * Formats a date using `yyyy`, `MM` and `dd` placeholders.
+ *
+ * @param {Date} date - Date at UTC midnight
+ * @param {string} [format="yyyy-MM-dd"] - Output format
+ * @returns {string} Formatted date
+ */
+function formatDate(date, format = DEFAULT_DATE_FORMAT) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return format
+    .replace("yyyy", String(date.getUTCFullYear()))
+    .replace("MM", pad(date.getUTCMonth() + 1))
+    .replace("dd", pad(date.getUTCDate()));
+}
+
+/**
+ * Checks whether a value is a supported relative date token.
+ *
+ * @param {*} value - Filter value
+ * @returns {boolean} True for tokens such as `today` or `last_7_days`
+ */
+function isRelativeDateToken(value) {
+  if (typeof value !== "string") {
+    return false;
+  }
+  const token = value.trim().toLowerCase();
+  if (NAMED_RANGES[token]) {
+    return true;
+  }
+  const match = token.match(LAST_N_DAYS_PATTERN);
+  return Boolean(match) && Number(match[1]) >= 1 && Number(match[1]) <= MAX_RANGE_DAYS;
+}
+
+/**
+ * Gets the most days a relative date token can cover, whatever day it is
+ * resolved on (e.g. 31 for `month_to_date`).
+ *
+ * @param {string} token - Relative date token
+ * @returns {number|null} Maximum number of days, or null for unsupported tokens
+ */
+function getRelativeDateTokenMaxDays(token) {
+  if (!isRelativeDateToken(token)) {
+    return null;
+  }
+  const normalized = token.trim().toLowerCase();
+  return NAMED_RANGES[normalized]?.maxDays ?? Number(normalized.match(LAST_N_DAYS_PATTERN)[1]);
+}
+
+/**
+ * Checks whether a value is a valid `YYYY-MM-DD` calendar date.
+ *
+ * @param {*} value - Filter value
+ * @returns {boolean} True for real calendar dates
+ */
+function isLiteralDate(value) {
+  if (typeof value !== "string" || !LITERAL_DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Resolves a relative date token into an inclusive date range.
+ * `last_N_days` covers the N days ending today.
+ *
+ * @param {string} token - Relative date token
+ * @param {object} [options={}] - Resolution options
+ * @param {string} [options.timezone] - IANA time zone defining "today" (defaults to DATE_FILTER_TIMEZONE or UTC)
+ * @param {Date} [options.now=new Date()] - Reference instant
+ * @returns {{start: Date, end: Date}} Inclusive range at UTC midnight
+ * @throws {Error} If the token is not supported
+ */
+function resolveRelativeDateRange(token, options = {}) {
+  const { timezone = DEFAULT_TIMEZONE, now = new Date() } = options;
+
+  if (!isRelativeDateToken(token)) {
+    throw new Error(`Unsupported relative date token "${token}"`);
+  }
+
+  const normalized = token.trim().toLowerCase();
+  const today = getToday(timezone, now);
+
+  if (NAMED_RANGES[normalized]) {
+    return NAMED_RANGES[normalized].resolve(today);
+  }
+
+  const days = Number(normalized.match(LAST_N_DAYS_PATTERN)[1]);
+  return { start: addDays(today, -(days - 1)), end: today };
+}
+
+/**
+ * Resolves a date filter value into concrete, formatted dates, for filters
+ * sent to Tableau as a list of dates.
+ * Accepts a literal date, a relative token, or an array of either; ranges are
+ * expanded to every date they cover and duplicates are dropped.
+ *
+ * @param {string|Array<string>} value - Date filter value
+ * @param {object} [options={}] - Resolution options
+ * @param {string} [options.timezone] - IANA time zone defining "today"
+ * @param {Date} [options.now=new Date()] - Reference instant
+ * @param {string} [options.format="yyyy-MM-dd"] - Output format
+ * @returns {Array<string>} Formatted dates in ascending order
+ * @throws {Error} If a value is neither a literal date nor a supported token,
+ *   or a token can cover more than MAX_LISTED_DAYS days
+ */
+function resolveDateFilterValue(value, options = {}) {
+  const { format = DEFAULT_DATE_FORMAT } = options;
+  const dates = new Map();
+
+  [].concat(value).forEach((item) => {
+    if (isLiteralDate(item)) {
+      const date = new Date(`${item}T00:00:00Z`);
+      dates.set(date.getTime(), date);
+      return;
+    }
+
+    if (getRelativeDateTokenMaxDays(item) > MAX_LISTED_DAYS) {
+      throw new Error(
+        `Relative date token "${item}" can cover more than ${MAX_LISTED_DAYS} days; ` +
+          "it needs a date filter with startParam and endParam"
+      );
+    }
+
+    const { start, end } = resolveRelativeDateRange(item, options);
+    for (let day = start; day <= end; day = addDays(day, 1)) {
+      dates.set(day.getTime(), day);
+    }
+  });
+
+  return [...dates.keys()]
+    .sort((a, b) => a - b)
+    .map((time) => formatDate(dates.get(time), format));
+}
+
+/**
+ * Resolves a date filter value into formatted range bounds, for filters sent
+ * to Tableau as a start and an end parameter. A literal date is a one-day range.
+ *
+ * @param {string} value - Literal date or relative token
+ * @param {object} [options={}] - Resolution options
+ * @param {string} [options.timezone] - IANA time zone defining "today"
+ * @param {Date} [options.now=new Date()] - Reference instant
+ * @param {string} [options.format="yyyy-MM-dd"] - Output format
+ * @returns {{start: string, end: string}} Inclusive range bounds
+ * @throws {Error} If the value is neither a literal date nor a supported token
+ */
+function resolveDateFilterRange(value, options = {}) {
+  const { format = DEFAULT_DATE_FORMAT } = options;
+
+  const { start, end } = isLiteralDate(value)
+    ? { start: new Date(`${value}T00:00:00Z`), end: new Date(`${value}T00:00:00Z`) }
+    : resolveRelativeDateRange(value, options);
+  return { start: formatDate(start, format), end: formatDate(end, format) };
+}
+
+/**
+ * Lists the supported relative date tokens, for error messages and docs.
+ *
+ * @param {number} [maxDays=MAX_RANGE_DAYS] - Only list tokens covering at most this many days
+ * @returns {Array<string>} Supported tokens
+ */
+function getSupportedRelativeDateTokens(maxDays = MAX_RANGE_DAYS) {
+  const named = Object.keys(NAMED_RANGES).filter((token) => NAMED_RANGES[token].maxDays <= maxDays);
+  return [...named, "last_<N>_days"];
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  MAX_RANGE_DAYS,
+  MAX_LISTED_DAYS,
+  isRelativeDateToken,
+  getRelativeDateTokenMaxDays,
+  isLiteralDate,
+  resolveRelativeDateRange,
+  resolveDateFilterValue,
+  resolveDateFilterRange,
+  getSupportedRelativeDateTokens,
+  formatDate,
+};
@@ -0,0 +1,193 @@
+/**
+ * Typed export errors.
+ *
+ * Export pipeline failures are either retryable (network errors, upstream
+ * outages, rate limits) or permanent (unknown use case, missing slide mapping,
+ * rejected credentials). The worker retries retryable errors up to
+ * QUEUE_ATTEMPTS and fails permanent ones on the first attempt. Errors that
+ * carry no type are treated as retryable.
+ */
+
+const ERROR_CODES = {
+  INVALID_JOB_DATA: "INVALID_JOB_DATA",
+  INVALID_FILTER: "INVALID_FILTER",
+  UNKNOWN_USE_CASE: "UNKNOWN_USE_CASE",
+  SLIDE_MAPPING_NOT_FOUND: "SLIDE_MAPPING_NOT_FOUND",
+  TABLEAU_AUTH_FAILED: "TABLEAU_AUTH_FAILED",
+  TABLEAU_NOT_FOUND: "TABLEAU_NOT_FOUND",
+  TABLEAU_REQUEST_REJECTED: "TABLEAU_REQUEST_REJECTED",
+  TABLEAU_REQUEST_FAILED: "TABLEAU_REQUEST_FAILED",
+  NO_VIEW_DATA: "NO_VIEW_DATA",
+  TRANSFORM_FAILED: "TRANSFORM_FAILED",
+  NOTIFICATION_AUTH_FAILED: "NOTIFICATION_AUTH_FAILED",
+  NOTIFICATION_REJECTED: "NOTIFICATION_REJECTED",
+  NOTIFICATION_FAILED: "NOTIFICATION_FAILED",
+  WEBHOOK_REJECTED: "WEBHOOK_REJECTED",
+  WEBHOOK_FAILED: "WEBHOOK_FAILED",
+  UNKNOWN_ERROR: "UNKNOWN_ERROR",
+};
+
+// 4xx statuses that are worth retrying (timeouts and rate limits)
+const RETRYABLE_HTTP_STATUSES = new Set([408, 425, 429]);
+
+// Failed reasons are stored as "[CODE] message" so the code survives in BullMQ
+const FAILED_REASON_PATTERN = /^\[([A-Z_]+)\] ([\s\S]*)$/;
+
+/**
+ * Base class for export pipeline errors.
+ */
+class ExportError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [code="UNKNOWN_ERROR"] - One of ERROR_CODES
+   * @param {object} [options={}] - Error options
+   * @param {boolean} [options.retryable=true] - Whether another attempt may succeed
+   * @param {Error} [options.cause] - Underlying error
+   * @param {object} [options.details] - Extra context (e.g. HTTP status)
+   */
+  constructor(message, code = ERROR_CODES.UNKNOWN_ERROR, options = {}) {
+    const { retryable = true, cause, details } = options;
+    super(message, cause ? { cause } : undefined);
+    this.name = "ExportError";
+    this.code = code;
+    this.retryable = retryable;
+    this.details = details;
+  }
+}
+
+/**
+ * An error that may succeed on a later attempt.
+ */
+class RetryableError extends ExportError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [code="UNKNOWN_ERROR"] - One of ERROR_CODES
+   * @param {object} [options={}] - `cause` and `details` (see ExportError)
+   */
+  constructor(message, code = ERROR_CODES.UNKNOWN_ERROR, options = {}) {
+    super(message, code, { ...options, retryable: true });
+    this.name = "RetryableError";
+  }
+}
+
+/**
+ * An error that will fail the same way on every attempt.
+ */
+class PermanentError extends ExportError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [code="UNKNOWN_ERROR"] - One of ERROR_CODES
+   * @param {object} [options={}] - `cause` and `details` (see ExportError)
+   */
+  constructor(message, code = ERROR_CODES.UNKNOWN_ERROR, options = {}) {
+    super(message, code, { ...options, retryable: false });
+    this.name = "PermanentError";
+  }
+}
+
+/**
+ * Checks whether an error should fail a job without further attempts.
+ *
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for errors marked as not retryable
+ */
+function isPermanentError(error) {
+  return error instanceof ExportError && !error.retryable;
+}
+
+/**
+ * Re-throws a caught error with a new message, keeping its type and code.
+ * Untyped HTTP errors are classified by status:
+ * - 401/403 on a credentials call (`codes.auth` given): permanent `codes.auth`
+ * - 401 elsewhere: retryable `codes.failed` (the session may have expired)
+ * - 403 elsewhere and other 4xx: permanent `codes.rejected`
+ * - 404: permanent `codes.notFound`
+ * - 408/425/429, 5xx and network errors: retryable `codes.failed`
+ *
+ * @param {Error} error - Caught error
+ * @param {string} message - Message for the wrapped error
+ * @param {object} [codes={}] - Codes to use per outcome
+ * @param {string} [codes.auth] - Code for rejected credentials
+ * @param {string} [codes.notFound] - Code for 404 responses
+ * @param {string} [codes.rejected] - Code for other client errors
+ * @param {string} [codes.failed] - Code for retryable failures
+ * @returns {ExportError} Typed error wrapping the original
+ */
+function toExportError(error, message, codes = {}) {
+  if (error instanceof ExportError) {
+    const ErrorType = error.retryable ? RetryableError : PermanentError;
+    return new ErrorType(message, error.code, { cause: error, details: error.details });
+  }
+
+  const {
+    auth,
+    notFound = codes.rejected,
+    rejected = ERROR_CODES.UNKNOWN_ERROR,
+    failed = ERROR_CODES.UNKNOWN_ERROR,
+  } = codes;
+  const status = error?.response?.status;
+  const options = { cause: error, details: status ? { status } : undefined };
+
+  if ((status === 401 || status === 403) && auth) {
+    return new PermanentError(message, auth, options);
+  }
+  if (status === 401) {
+    return new RetryableError(message, failed, options);
+  }
+  if (status === 404) {
+    return new PermanentError(message, notFound, options);
+  }
+  if (status >= 400 && status < 500 && !RETRYABLE_HTTP_STATUSES.has(status)) {
+    return new PermanentError(message, rejected, options);
+  }
+  return new RetryableError(message, failed, options);
+}
+
+/**
+ * Returns an error's export error code.
+ *
+ * @param {Error} error - Any error
+ * @returns {string} The error's code, or UNKNOWN_ERROR for untyped errors
+ */
+function getErrorCode(error) {
+  return error instanceof ExportError ? error.code : ERROR_CODES.UNKNOWN_ERROR;
+}
+
+/**
+ * Formats an error as a BullMQ failed reason, prefixed with its code.
+ *
+ * @param {Error} error - Error that failed the job
+ * @returns {string} Failed reason, e.g. "[UNKNOWN_USE_CASE] Use case ... not found"
+ */
+function formatFailedReason(error) {
+  return `[${getErrorCode(error)}] ${error.message}`;
+}
+
+/**
+ * Splits a BullMQ failed reason into its error code and message.
+ * Reasons without a code (e.g. stalled jobs) report UNKNOWN_ERROR.
+ *
+ * @param {string} [failedReason] - Failed reason stored on the job
+ * @returns {{code: string, message: string}|null} Parsed reason, or null if the job has not failed
+ */
+function parseFailedReason(failedReason) {
+  if (!failedReason) {
+    return null;
+  }
+  const match = failedReason.match(FAILED_REASON_PATTERN);
+  return match
+    ? { code: match[1], message: match[2] }
+    : { code: ERROR_CODES.UNKNOWN_ERROR, message: failedReason };
+}
+
+module.exports = {
+  ERROR_CODES,
+  ExportError,
+  RetryableError,
+  PermanentError,
+  isPermanentError,
+  toExportError,
+  getErrorCode,
+  formatFailedReason,
+  parseFailedReason,
+};
@@ -563,6 +563,32 @@ const getImageOptions = ({
   return options;
 };
 
+/**
+ * Builds image options for a Tableau view rendered as a PNG (IMAGE_VIEW).
+ * The image is scaled to fit inside the given box without distortion and
+ * centered in it.
+ *
+ * @param {object} imageData - Transformed view data: { data, width, height }
+ * @param {object} box - Area to fill, in inches: { x, y, w, h }
+ * @param {string} [altText] - Alt text for accessibility
+ * @returns {object} Image options object ready for slide.IMAGE.push()
+ */
+const buildImageFromViewData = (imageData, box, altText = null) => {
+  const scale = Math.min(box.w / imageData.width, box.h / imageData.height);
+  const w = imageData.width * scale;
+  const h = imageData.height * scale;
+
+  const options = {
+    data: imageData.data,
+    x: box.x + (box.w - w) / 2,
+    y: box.y + (box.h - h) / 2,
+    w,
+    h,
+  };
+  if (altText) options.altText = altText;
+  return options;
+};
+
 // ============================================================================
 // TABLE OPTIONS
 // ============================================================================
@@ -1125,6 +1151,7 @@ module.exports = {
 
   // Images
   getImageOptions,
+  buildImageFromViewData,
 
   // Tables
   getTableOptions,
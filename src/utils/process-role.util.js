@@ -0,0 +1,62 @@
+/**
+ * Process role selection.
+ *
+ * `PROCESS_ROLE` decides what a process runs, so the HTTP tier and PPT
+ * generation can be deployed and scaled separately:
+ * - `api`: REST API only; jobs are enqueued but not consumed
+ * - `worker`: queue workers only, with a small health endpoint
+ * - `all` (default): both in one process
+ */
+
+const PROCESS_ROLES = {
+  API: "api",
+  WORKER: "worker",
+  ALL: "all",
+};
+
+const DEFAULT_PROCESS_ROLE = PROCESS_ROLES.ALL;
+
+/**
+ * Reads the process role from `PROCESS_ROLE`.
+ *
+ * @returns {string} One of PROCESS_ROLES
+ * @throws {Error} If `PROCESS_ROLE` is set to an unknown role
+ */
+function getProcessRole() {
+  const role = (process.env.PROCESS_ROLE || DEFAULT_PROCESS_ROLE).trim().toLowerCase();
+
+  if (!Object.values(PROCESS_ROLES).includes(role)) {
+    throw new Error(
+      `Invalid PROCESS_ROLE "${process.env.PROCESS_ROLE}". Expected one of: ${Object.values(PROCESS_ROLES).join(", ")}`
+    );
+  }
+
+  return role;
+}
+
+/**
+ * Checks whether the process serves the REST API.
+ *
+ * @param {string} [role=getProcessRole()] - Process role
+ * @returns {boolean} True for the `api` and `all` roles
+ */
+function runsApi(role = getProcessRole()) {
+  return role === PROCESS_ROLES.API || role === PROCESS_ROLES.ALL;
+}
+
+/**
+ * Checks whether the process consumes export queues.
+ *
+ * @param {string} [role=getProcessRole()] - Process role
+ * @returns {boolean} True for the `worker` and `all` roles
+ */
+function runsWorker(role = getProcessRole()) {
+  return role === PROCESS_ROLES.WORKER || role === PROCESS_ROLES.ALL;
+}
+
+module.exports = {
+  PROCESS_ROLES,
+  getProcessRole,
+  runsApi,
+  runsWorker,
+};
@@ -0,0 +1,31 @@
+const Redis = require("ioredis");
+const logger = require("./logger.util");
+
+/**
+ * Creates a Redis client for optional, best-effort features (caches,
+ * coordination). Commands fail fast while Redis is unreachable instead of
+ * queuing, so callers can fall back to working without Redis.
+ *
+ * BullMQ queues and workers keep their own connections, which wait for Redis.
+ *
+ * @param {string} purpose - What the client is for, used in log messages
+ * @returns {Redis} Redis client
+ */
+function createRedisClient(purpose) {
+  const client = new Redis({
+    host: process.env.REDIS_HOST || "localhost",
+    port: parseInt(process.env.REDIS_PORT, 10) || 6379,
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1,
+  });
+
+  client.on("error", (error) => {
+    logger.debug("Redis client error", { purpose, error: error.message });
+  });
+
+  return client;
+}
+
+module.exports = {
+  createRedisClient,
+};
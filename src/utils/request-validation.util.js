@@ -0,0 +1,272 @@
+const { parseExpression } = require("cron-parser");
+const usecaseMapping = require("../config/usecase-mapping.json");
+const tableauViews = require("../config/tableau-views.json");
+const { getFilterDefinitions } = require("./view-config.util");
+const { getCallbackUrlRejection } = require("./webhook-target.util");
+const {
+  MAX_RANGE_DAYS,
+  MAX_LISTED_DAYS,
+  isLiteralDate,
+  isRelativeDateToken,
+  getRelativeDateTokenMaxDays,
+  getSupportedRelativeDateTokens,
+} = require("./date-filter.util");
+
+// Pragmatic address check: local part, single @, dotted domain, no whitespace
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const MAX_SCHEDULE_RECIPIENTS = 50;
+const MAX_SCHEDULE_NAME_LENGTH = 100;
+const MAX_CALLBACK_URL_LENGTH = 2048;
+const FRESHNESS_MODES = ["cached", "fresh"];
+
+/**
+ * Checks a single filter value against its declared type.
+ *
+ * @param {string} filterKey - Filter key
+ * @param {*} value - Value supplied on the request
+ * @param {{type: string, startParam?: string}} definition - Filter definition from tableau-views.json
+ * @returns {Array<{field: string, message: string}>} Violations (empty when valid)
+ */
+function validateFilterValue(filterKey, value, definition) {
+  const field = `filters.${filterKey}`;
+  const isScalar = (v) =>
+    (typeof v === "string" && v.trim() !== "") ||
+    (typeof v === "number" && Number.isFinite(v));
+
+  if (definition.type === "list") {
+    if (Array.isArray(value)) {
+      if (value.length === 0) {
+        return [{ field, message: "must contain at least one value" }];
+      }
+      const invalidIndexes = value
+        .map((item, index) => (isScalar(item) ? null : index))
+        .filter((index) => index !== null);
+      return invalidIndexes.map((index) => ({
+        field: `${field}[${index}]`,
+        message: "must be a non-empty string or number",
+      }));
+    }
+    return isScalar(value)
+      ? []
+      : [{ field, message: "must be a non-empty string or an array of strings" }];
+  }
+
+  if (definition.type === "string") {
+    return isScalar(value)
+      ? []
+      : [{ field, message: "must be a non-empty string" }];
+  }
+
+  if (definition.type === "date" && definition.startParam) {
+    return isLiteralDate(value) || isRelativeDateToken(value)
+      ? []
+      : [{
+          field,
+          message:
+            `must be a single YYYY-MM-DD date or one of: ${getSupportedRelativeDateTokens().join(", ")} ` +
+            `(N up to ${MAX_RANGE_DAYS})`,
+        }];
+  }
+
+  if (definition.type === "date") {
+    const values = [].concat(value);
+    // Ranges are sent as a list of dates, so long ones need a range filter
+    const isDateValue = (v) =>
+      isLiteralDate(v) || (isRelativeDateToken(v) && getRelativeDateTokenMaxDays(v) <= MAX_LISTED_DAYS);
+    if (values.length === 0) {
+      return [{ field, message: "must contain at least one date" }];
+    }
+    return values
+      .map((item, index) => (isDateValue(item) ? null : index))
+      .filter((index) => index !== null)
+      .map((index) => ({
+        field: Array.isArray(value) ? `${field}[${index}]` : field,
+        message:
+          `must be a YYYY-MM-DD date or a relative token covering at most ${MAX_LISTED_DAYS} days: ` +
+          `${getSupportedRelativeDateTokens(MAX_LISTED_DAYS).join(", ")} (N up to ${MAX_LISTED_DAYS})`,
+      }));
+  }
+
+  return [{ field, message: `has unsupported filter type "${definition.type}" in configuration` }];
+}
+
+/**
+ * Validates an export request against the use case configuration.
+ * Collects every violation instead of stopping at the first one so clients
+ * can fix a request in a single round trip.
+ *
+ * @param {object} request - Request payload
+ * @param {string} request.useCase - Use case identifier
+ * @param {string} [request.email] - Recipient email address
+ * @param {object} [request.filters] - Filter values keyed by filter key
+ * @param {string} [request.freshness] - Tableau cache mode (cached, fresh)
+ * @param {object} [options={}] - Validation options
+ * @param {boolean} [options.requireEmail=true] - Whether `email` is mandatory
+ * @returns {Array<{field: string, message: string}>} Violations (empty when valid)
+ */
+function validateExportRequest(request, options = {}) {
+  const { requireEmail = true } = options;
+  const { useCase, email, filters, freshness } = request || {};
+  const violations = [];
+
+  if (freshness !== undefined && !FRESHNESS_MODES.includes(freshness)) {
+    violations.push({ field: "freshness", message: `must be one of: ${FRESHNESS_MODES.join(", ")}` });
+  }
+
+  if (!useCase) {
+    violations.push({ field: "useCase", message: "is required" });
+  } else if (typeof useCase !== "string" || !usecaseMapping[useCase] || !tableauViews[useCase]) {
+    violations.push({
+      field: "useCase",
+      message: `must be one of: ${Object.keys(usecaseMapping).join(", ")}`,
+    });
+  }
+
+  if (email === undefined || email === null || email === "") {
+    if (requireEmail) {
+      violations.push({ field: "email", message: "is required" });
+    }
+  } else if (typeof email !== "string" || !EMAIL_PATTERN.test(email)) {
+    violations.push({ field: "email", message: "must be a valid email address" });
+  }
+
+  if (filters !== undefined && filters !== null) {
+    if (typeof filters !== "object" || Array.isArray(filters)) {
+      violations.push({ field: "filters", message: "must be an object" });
+      return violations;
+    }
+  }
+
+  // Filter checks need a known use case to resolve its FILTERS section
+  if (violations.some((v) => v.field === "useCase")) {
+    return violations;
+  }
+
+  const definitions = getFilterDefinitions(useCase);
+  const filterValues = filters || {};
+
+  Object.keys(filterValues).forEach((filterKey) => {
+    if (!definitions[filterKey]) {
+      violations.push({
+        field: `filters.${filterKey}`,
+        message: `is not a recognised filter for ${useCase}. Valid filters are: ${Object.keys(definitions).join(", ")}`,
+      });
+    }
+  });
+
+  Object.entries(definitions).forEach(([filterKey, definition]) => {
+    const value = filterValues[filterKey];
+    if (value === undefined || value === null) {
+      if (definition.required) {
+        violations.push({ field: `filters.${filterKey}`, message: "is required" });
+      }
+      return;
+    }
+    violations.push(...validateFilterValue(filterKey, value, definition));
+  });
+
+  return violations;
+}
+
+/**
+ * Checks whether a string is an IANA time zone the runtime understands.
+ *
+ * @param {string} timezone - Time zone name, e.g. "Europe/London"
+ * @returns {boolean} True if the time zone is valid
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validates a recurring export schedule.
+ * Export fields are checked as in `validateExportRequest`, with `recipients`
+ * replacing the single `email`.
+ *
+ * @param {object} request - Request payload
+ * @param {string} request.useCase - Use case identifier
+ * @param {object} [request.filters] - Filter values keyed by filter key
+ * @param {Array<string>} request.recipients - Recipient email addresses
+ * @param {string} request.cron - Cron expression (5 or 6 fields)
+ * @param {string} [request.timezone] - IANA time zone the cron expression is evaluated in
+ * @param {string} [request.name] - Human-readable schedule name
+ * @returns {Array<{field: string, message: string}>} Violations (empty when valid)
+ */
+function validateScheduleRequest(request) {
+  const { useCase, filters, recipients, cron, timezone, name } = request || {};
+  const violations = validateExportRequest({ useCase, filters }, { requireEmail: false });
+
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    violations.push({ field: "recipients", message: "must be a non-empty array of email addresses" });
+  } else if (recipients.length > MAX_SCHEDULE_RECIPIENTS) {
+    violations.push({ field: "recipients", message: `must not contain more than ${MAX_SCHEDULE_RECIPIENTS} addresses` });
+  } else {
+    recipients.forEach((recipient, index) => {
+      if (typeof recipient !== "string" || !EMAIL_PATTERN.test(recipient)) {
+        violations.push({ field: `recipients[${index}]`, message: "must be a valid email address" });
+      }
+    });
+  }
+
+  const timezoneValid = timezone === undefined || (typeof timezone === "string" && isValidTimezone(timezone));
+  if (!timezoneValid) {
+    violations.push({ field: "timezone", message: "must be a valid IANA time zone, e.g. Europe/London" });
+  }
+
+  if (typeof cron !== "string" || cron.trim() === "") {
+    violations.push({ field: "cron", message: "is required" });
+  } else {
+    try {
+      parseExpression(cron, timezoneValid && timezone ? { tz: timezone } : {});
+    } catch (error) {
+      violations.push({ field: "cron", message: `is not a valid cron expression: ${error.message}` });
+    }
+  }
+
+  if (name !== undefined && (typeof name !== "string" || name.trim() === "" || name.length > MAX_SCHEDULE_NAME_LENGTH)) {
+    violations.push({ field: "name", message: `must be a non-empty string of at most ${MAX_SCHEDULE_NAME_LENGTH} characters` });
+  }
+
+  return violations;
+}
+
+/**
+ * Validates an optional job callback URL. Besides being well-formed, the URL
+ * must pass the callback target rules (see webhook-target.util).
+ *
+ * @param {*} callbackUrl - Requested callback URL
+ * @returns {Array<{field: string, message: string}>} Violations (empty when valid or absent)
+ */
+function validateCallbackUrl(callbackUrl) {
+  if (callbackUrl === undefined) {
+    return [];
+  }
+
+  if (
+    typeof callbackUrl !== "string" ||
+    !URL.canParse(callbackUrl) ||
+    callbackUrl.length > MAX_CALLBACK_URL_LENGTH
+  ) {
+    return [
+      {
+        field: "callbackUrl",
+        message: `must be an absolute URL of at most ${MAX_CALLBACK_URL_LENGTH} characters`,
+      },
+    ];
+  }
+
+  const rejection = getCallbackUrlRejection(new URL(callbackUrl));
+  return rejection ? [{ field: "callbackUrl", message: rejection }] : [];
+}
+
+module.exports = {
+  validateExportRequest,
+  validateScheduleRequest,
+  validateCallbackUrl,
+};
@@ -1,5 +1,6 @@
 const tableauViews = require("../config/tableau-views.json");
 const slideViewMapping = require("../config/slide-view-mapping.json");
+const { resolveDateFilterValue, resolveDateFilterRange } = require("./date-filter.util");
 
 /**
  * Retrieves the Tableau view name from a view key.
@@ -47,18 +48,57 @@ function getViewsForUseCase(useCase) {
 }
 
 /**
- * Retrieves Tableau filter parameter name from filter key.
+ * Normalizes a FILTERS entry from tableau-views.json.
+ * Entries may be a plain Tableau parameter name (legacy) or an object
+ * `{ param, type, required }` where `type` is `string` (single value),
+ * `list` (a string or an array of strings, sent comma-separated) or `date`
+ * (literal dates or relative tokens, see date-filter.util; an optional
+ * `format` sets how dates are sent, default `yyyy-MM-dd`). A `date` filter
+ * with `startParam` and `endParam` instead of `param` takes one date or token
+ * and sends its range as those two Tableau parameters.
+ *
+ * @param {string|object} entry - Raw FILTERS entry
+ * @returns {{param: string, type: string, required: boolean}|null} Normalized definition
+ */
+function normalizeFilterDefinition(entry) {
+  if (!entry) {
+    return null;
+  }
+  if (typeof entry === "string") {
+    return { param: entry, type: "string", required: false };
+  }
+  return {
+    ...entry,
+    param: entry.param,
+    type: entry.type || "string",
+    required: entry.required === true,
+  };
+}
+
+/**
+ * Retrieves the normalized definition of a filter key.
  *
  * @param {string} useCase - Use case identifier
  * @param {string} filterKey - Filter key (e.g., 'POLITICAL_ADVERTISER_NAME')
- * @returns {string|null} Tableau filter parameter name or null if not found
+ * @returns {{param: string, type: string, required: boolean}|null} Filter definition or null if not found
  */
-function getFilterName(useCase, filterKey) {
+function getFilterDefinition(useCase, filterKey) {
   const useCaseConfig = tableauViews[useCase];
   if (!useCaseConfig || !useCaseConfig.FILTERS) {
     return null;
   }
-  return useCaseConfig.FILTERS[filterKey] || null;
+  return normalizeFilterDefinition(useCaseConfig.FILTERS[filterKey]);
+}
+
+/**
+ * Retrieves Tableau filter parameter name from filter key.
+ *
+ * @param {string} useCase - Use case identifier
+ * @param {string} filterKey - Filter key (e.g., 'POLITICAL_ADVERTISER_NAME')
+ * @returns {string|null} Tableau filter parameter name or null if not found
+ */
+function getFilterName(useCase, filterKey) {
+  return getFilterDefinition(useCase, filterKey)?.param || null;
 }
 
 /**
@@ -67,11 +107,31 @@ function getFilterName(useCase, filterKey) {
  * @returns {Object} Object with filter keys as keys and filter parameter names as values
  */
 function getFiltersForUseCase(useCase) {
+  const definitions = getFilterDefinitions(useCase);
+  return Object.fromEntries(
+    Object.entries(definitions).map(([filterKey, definition]) => [
+      filterKey,
+      definition.param,
+    ])
+  );
+}
+
+/**
+ * Get normalized filter definitions for a use case
+ * @param {string} useCase - Use case identifier
+ * @returns {Object} Object with filter keys as keys and filter definitions as values
+ */
+function getFilterDefinitions(useCase) {
   const useCaseConfig = tableauViews[useCase];
   if (!useCaseConfig || !useCaseConfig.FILTERS) {
     return {};
   }
-  return useCaseConfig.FILTERS || {};
+  return Object.fromEntries(
+    Object.entries(useCaseConfig.FILTERS).map(([filterKey, entry]) => [
+      filterKey,
+      normalizeFilterDefinition(entry),
+    ])
+  );
 }
 
 /**
@@ -88,6 +148,40 @@ function getViewFilters(useCase, viewKey) {
   return viewConfig.filters || [];
 }
 
+/**
+ * Resolves job filter values into the concrete values sent to Tableau.
+ * Date-typed filters have relative tokens (e.g. `last_7_days`) resolved for
+ * the given moment, into `{ start, end }` bounds for range filters and into a
+ * list of dates otherwise; other filters are returned unchanged.
+ * Call this when the export runs, not when the job is queued.
+ *
+ * @param {string} useCase - Use case identifier
+ * @param {Object} filterValues - Object with filter keys as keys and values as values
+ * @param {object} [options={}] - Resolution options
+ * @param {string} [options.timezone] - IANA time zone defining "today"
+ * @param {Date} [options.now=new Date()] - Reference instant
+ * @returns {Object} Filter values with date filters resolved
+ */
+function resolveFilterValues(useCase, filterValues = {}, options = {}) {
+  const definitions = getFilterDefinitions(useCase);
+
+  return Object.fromEntries(
+    Object.entries(filterValues).map(([filterKey, value]) => {
+      const definition = definitions[filterKey];
+      if (definition?.type !== "date" || value === undefined || value === null) {
+        return [filterKey, value];
+      }
+      const dateOptions = { ...options, format: definition.format };
+      return [
+        filterKey,
+        definition.startParam
+          ? resolveDateFilterRange(value, dateOptions)
+          : resolveDateFilterValue(value, dateOptions),
+      ];
+    })
+  );
+}
+
 /**
  * Build Tableau filter parameters object from filter values
  * @param {string} useCase - Use case identifier
@@ -100,9 +194,16 @@ function buildFilterParams(useCase, viewKey, filterValues) {
   const filterParams = {};
 
   viewFilters.forEach((filterKey) => {
-    const filterParamName = getFilterName(useCase, filterKey);
-    if (filterParamName && filterValues[filterKey] !== undefined) {
-      filterParams[filterParamName] = filterValues[filterKey];
+    const definition = getFilterDefinition(useCase, filterKey);
+    const filterParamName = definition?.param;
+    const value = filterValues[filterKey];
+    if (definition?.startParam && value !== undefined) {
+      // Resolved date range (see resolveFilterValues)
+      filterParams[definition.startParam] = value.start;
+      filterParams[definition.endParam] = value.end;
+    } else if (filterParamName && value !== undefined) {
+      // Tableau expects multiple values for a view filter as a comma-separated list
+      filterParams[filterParamName] = Array.isArray(value) ? value.join(",") : value;
     }
   });
 
@@ -128,6 +229,7 @@ function resolveViewName(useCase, identifier) {
 
 /**
  * Get all view keys required for a use case from slide mapping
+ * (slide `views` and the `dataKey` of IMAGE elements)
  * @param {string} useCase - Use case identifier
  * @returns {Array<string>} Array of unique view keys
  */
@@ -144,6 +246,11 @@ function getRequiredViewKeys(useCase) {
         viewKeys.add(viewKey);
       });
     }
+    (slide.elements || []).forEach((element) => {
+      if (element.type === "IMAGE" && element.dataKey) {
+        viewKeys.add(element.dataKey);
+      }
+    });
   });
 
   return Array.from(viewKeys);
@@ -169,7 +276,10 @@ module.exports = {
   getRequiredViewKeys,
   getRequiredViewNames,
   getFilterName,
+  getFilterDefinition,
+  getFilterDefinitions,
   getFiltersForUseCase,
   getViewFilters,
+  resolveFilterValues,
   buildFilterParams,
 };
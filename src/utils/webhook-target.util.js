@@ -0,0 +1,151 @@
+/**
+ * Callback URL target checks.
+ *
+ * Callback URLs are supplied by API clients, so the server must not be usable
+ * to reach internal services:
+ * - only `https:` is accepted, unless `WEBHOOK_ALLOW_HTTP=true`
+ * - when `WEBHOOK_ALLOWED_HOSTS` is set (comma-separated host names, with
+ *   `*.example.com` matching any subdomain), only those hosts are accepted
+ * - hosts that are or resolve to loopback, link-local, private or otherwise
+ *   non-public addresses are refused; delivery connects to the checked address
+ */
+
+const dns = require("dns");
+const net = require("net");
+
+const ALLOW_HTTP = process.env.WEBHOOK_ALLOW_HTTP === "true";
+const ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// IPv4 rules also match IPv4-mapped IPv6 addresses (::ffff:a.b.c.d)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // private
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local, including cloud metadata endpoints
+  ["172.16.0.0", 12], // private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.168.0.0", 16], // private
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved and broadcast
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128], // unspecified
+  ["::1", 128], // loopback
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6"));
+
+/**
+ * Lists the URL protocols accepted for callbacks.
+ *
+ * @returns {Array<string>} `["https:"]`, plus `"http:"` with WEBHOOK_ALLOW_HTTP
+ */
+function getCallbackProtocols() {
+  return ALLOW_HTTP ? ["https:", "http:"] : ["https:"];
+}
+
+/**
+ * Strips the brackets URL parsing keeps around IPv6 host names.
+ *
+ * @param {string} hostname - Host name from a parsed URL
+ * @returns {string} Host name or bare IP address
+ */
+function toBareHostname(hostname) {
+  return hostname.replace(/^\[(.*)\]$/, "$1");
+}
+
+/**
+ * Checks whether a host is allowed by WEBHOOK_ALLOWED_HOSTS.
+ *
+ * @param {string} hostname - Host name from a parsed URL
+ * @returns {boolean} True when no allowlist is configured or the host matches an entry
+ */
+function isHostAllowed(hostname) {
+  if (ALLOWED_HOSTS.length === 0) {
+    return true;
+  }
+
+  const host = toBareHostname(hostname).toLowerCase();
+  return ALLOWED_HOSTS.some((entry) =>
+    entry.startsWith("*.") ? host.endsWith(entry.slice(1)) : host === entry
+  );
+}
+
+/**
+ * Checks whether an IP address is in a loopback, link-local, private or other
+ * non-public range.
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if callbacks must not be delivered to the address
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Checks a parsed callback URL against the protocol, host allowlist and, for
+ * IP literal hosts, address rules. Host names are resolved at delivery time.
+ *
+ * @param {URL} url - Parsed callback URL
+ * @returns {string|null} Why the URL is refused, or null if it is acceptable
+ */
+function getCallbackUrlRejection(url) {
+  const protocols = getCallbackProtocols();
+  if (!protocols.includes(url.protocol)) {
+    return `must use ${protocols.join(" or ").replace(/:/g, "")}`;
+  }
+  if (!isHostAllowed(url.hostname)) {
+    return "host is not allowed";
+  }
+
+  const host = toBareHostname(url.hostname);
+  if (net.isIP(host) !== 0 && isBlockedAddress(host)) {
+    return "must not point to a loopback, link-local or private address";
+  }
+  return null;
+}
+
+/**
+ * Resolves a callback host to the address delivery should connect to. Every
+ * address the host resolves to must be public, so a host that mixes public
+ * and internal records is refused.
+ *
+ * @param {string} hostname - Host name from a parsed URL
+ * @returns {Promise<{address: string, family: number}>} Address to connect to
+ * @throws {Error} With code `WEBHOOK_TARGET_BLOCKED` if an address is not public;
+ *   DNS errors are passed through
+ */
+async function resolveCallbackAddress(hostname) {
+  const host = toBareHostname(hostname);
+  const addresses = net.isIP(host) !== 0
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true });
+
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) {
+    const error = new Error(`${host} resolves to non-public address ${blocked.address}`);
+    error.code = "WEBHOOK_TARGET_BLOCKED";
+    throw error;
+  }
+
+  return addresses[0];
+}
+
+module.exports = {
+  getCallbackProtocols,
+  isHostAllowed,
+  isBlockedAddress,
+  getCallbackUrlRejection,
+  resolveCallbackAddress,
+};
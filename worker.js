@@ -0,0 +1,91 @@
+require("dotenv").config();
+const express = require("express");
+const logger = require("./src/utils/logger.util");
+const { PROCESS_ROLES, getProcessRole } = require("./src/utils/process-role.util");
+
+// This entrypoint only runs workers; role-dependent settings must see "worker"
+// even when started without PROCESS_ROLE (e.g. `npm run start:worker`)
+process.env.PROCESS_ROLE = process.env.PROCESS_ROLE || PROCESS_ROLES.WORKER;
+
+const workerHealthRoutes = require("./src/routes/worker-health.routes");
+const { initWorker, close: closeQueue } = require("./src/services/worker.service");
+const exportHistoryService = require("./src/services/export-history.service");
+
+const HEALTH_PORT = parseInt(process.env.WORKER_HEALTH_PORT, 10) || 3001;
+const NODE_ENV = process.env.NODE_ENV;
+// Workers wait for active exports to finish, so allow longer than the API's drain
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.WORKER_SHUTDOWN_TIMEOUT_MS, 10) || 60000;
+
+let isShuttingDown = false;
+
+try {
+  const role = getProcessRole();
+  if (role !== PROCESS_ROLES.WORKER) {
+    throw new Error(`worker.js only runs workers, but PROCESS_ROLE is "${role}"; use server.js for "${role}"`);
+  }
+
+  exportHistoryService.validateConfig(role);
+  initWorker();
+  logger.info("Worker process started processing jobs...", {
+    environment: NODE_ENV,
+    nodeVersion: process.version,
+  });
+} catch (err) {
+  logger.error("Failed to start worker", err);
+  process.exit(1);
+}
+
+// Health endpoint only; the REST API runs in processes with PROCESS_ROLE=api or all
+const healthApp = express();
+healthApp.use("/", workerHealthRoutes);
+
+const healthServer = healthApp.listen(HEALTH_PORT, () => {
+  logger.info("Worker health server started", { port: HEALTH_PORT });
+});
+
+/**
+ * Handles graceful shutdown on termination signals.
+ * Stops taking new jobs, lets active jobs finish, then closes the health server.
+ * Jobs still running when the timeout fires are picked up again by another
+ * worker once BullMQ marks them stalled.
+ *
+ * @param {string} signal - Signal that triggered shutdown
+ */
+const gracefulShutdown = async (signal) => {
+  if (isShuttingDown) {
+    return;
+  }
+  isShuttingDown = true;
+  logger.info(`Received ${signal}, starting graceful worker shutdown...`);
+
+  setTimeout(() => {
+    logger.error("Forced worker shutdown after timeout");
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  try {
+    // Readiness reports "not ready" while workers close
+    await closeQueue();
+    logger.info("Queue and workers closed");
+  } catch (error) {
+    logger.error("Error closing queue and workers", error);
+  }
+
+  healthServer.close(() => {
+    logger.info("Worker graceful shutdown completed");
+    process.exit(0);
+  });
+};
+
+process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
+process.on("SIGINT", () => gracefulShutdown("SIGINT"));
+
+process.on("uncaughtException", (error) => {
+  logger.error("Uncaught exception", error);
+  gracefulShutdown("uncaughtException");
+});
+
+process.on("unhandledRejection", (reason, promise) => {
+  logger.error("Unhandled rejection", reason, { promise });
+  gracefulShutdown("unhandledRejection");
+});